@@ -0,0 +1,38 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const ApiAdapterV1 = require('./v1');
+const ApiAdapterV2 = require('./v2');
+const ApiAdapterV5 = require('./v5');
+const ApiAdapterV6 = require('./v6');
+const ApiAdapterV7 = require('./v7');
+
+exports.ApiAdapterV1 = ApiAdapterV1;
+exports.ApiAdapterV2 = ApiAdapterV2;
+exports.ApiAdapterV5 = ApiAdapterV5;
+exports.ApiAdapterV6 = ApiAdapterV6;
+exports.ApiAdapterV7 = ApiAdapterV7;
+
+/**
+ * Returns the API adapter for a cluster version.  Unknown versions get the 1.x adapter.
+ *
+ * @method getApiAdapter
+ * @static
+ * @param {String} [version] - The version number reported by the cluster, ie. `5.6.3` .
+ * @return {ApiAdapterV1}
+ */
+function getApiAdapter(version) {
+	let major = parseInt(('' + (version || '')).split('.')[0]);
+	if (major >= 7) {
+		return new ApiAdapterV7(version);
+	} else if (major === 6) {
+		return new ApiAdapterV6(version);
+	} else if (major === 5) {
+		return new ApiAdapterV5(version);
+	} else if (major === 2) {
+		return new ApiAdapterV2(version);
+	}
+	return new ApiAdapterV1(version || undefined);
+}
+exports.getApiAdapter = getApiAdapter;
@@ -0,0 +1,365 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const objtools = require('objtools');
+
+// Index setting used to store the version of index templates, on versions without template versions
+const TEMPLATE_VERSION_SETTING = 'unimodel_template_version';
+
+/**
+ * Adapts requests built by this library to the API of an ElasticSearch 1.x cluster.  The query,
+ * mapping and aggregation converters, as well as the models and indexes, emit 1.x syntax.  Adapters
+ * for later versions extend this class and translate that syntax for their version.
+ *
+ * @class ApiAdapterV1
+ * @constructor
+ * @param {String} [version='1.7.0'] - The version number reported by the cluster.
+ */
+class ApiAdapterV1 {
+
+	constructor(version = '1.7.0') {
+		this.version = version;
+	}
+
+	/**
+	 * Returns the major version number of the cluster.
+	 *
+	 * @method getMajorVersion
+	 * @return {Number}
+	 */
+	getMajorVersion() {
+		return parseInt(this.version.split('.')[0]);
+	}
+
+	/**
+	 * Translates an ElasticSearch query, as returned by `convertQuery()`.
+	 *
+	 * @method translateQuery
+	 * @param {Object} esquery - The 1.x query.
+	 * @return {Object} - The query for this version.
+	 */
+	translateQuery(esquery) {
+		return esquery;
+	}
+
+	/**
+	 * Translates a type mapping, as returned by `convertSchema()`.
+	 *
+	 * @method translateMapping
+	 * @throws {ElasticsearchMappingValidationError} - If the mapping cannot be expressed in this version.
+	 * @param {Object} mapping - The 1.x mapping.
+	 * @return {Object} - The mapping for this version.
+	 */
+	translateMapping(mapping) {
+		return mapping;
+	}
+
+	/**
+	 * Translates an aggregation, as returned by `convertAggregate()`.
+	 *
+	 * @method translateAggregation
+	 * @throws {AggregateValidationError} - If the aggregation cannot be expressed in this version.
+	 * @param {Object} aggregation - The 1.x aggregation.
+	 * @return {Object} - The aggregation for this version.
+	 */
+	translateAggregation(aggregation) {
+		return aggregation;
+	}
+
+	/**
+	 * Translates the parameters of an elasticsearch.Client `search` call.
+	 *
+	 * @method translateSearchParams
+	 * @param {Object} params - Search parameters in 1.x form.  `params.body.query` must already be
+	 *   translated.
+	 * @return {Object} - The search parameters for this version.
+	 */
+	translateSearchParams(params) {
+		return params;
+	}
+
+	/**
+	 * Translates the parameters of an elasticsearch.Client `index` or `delete` call.
+	 *
+	 * @method translateWriteParams
+	 * @param {Object} params - Write parameters in 1.x form, including `consistency` and `replication` .
+	 * @return {Object} - The write parameters for this version.
+	 */
+	translateWriteParams(params) {
+		return params;
+	}
+
+	/**
+	 * Builds the parameters to continue a scroll.
+	 *
+	 * @method buildScrollParams
+	 * @param {String} scrollId
+	 * @param {String} scroll - Scroll timeout.
+	 * @return {Object} - Parameters for the elasticsearch.Client `scroll` method.
+	 */
+	buildScrollParams(scrollId, scroll) {
+		return { scrollId, scroll };
+	}
+
+	/**
+	 * Builds the action line of a `bulk` request which indexes a document.
+	 *
+	 * @method buildBulkIndexAction
+	 * @param {Object} params - Object containing the document `index`, `type`, `id`, and optionally
+	 *   `routing` and `parent` .
+	 * @return {Object} - The bulk action, ie. `{ index: { _index, _type, _id } }` .
+	 */
+	buildBulkIndexAction(params) {
+		return {
+			index: _.omit({
+				_index: params.index,
+				_type: params.type,
+				_id: params.id,
+				_routing: params.routing,
+				_parent: params.parent
+			}, _.isUndefined)
+		};
+	}
+
+	/**
+	 * Builds the action line of a `bulk` request which updates a document.
+	 *
+	 * @method buildBulkUpdateAction
+	 * @param {Object} params - Same as for `buildBulkIndexAction()`, and optionally `retryOnConflict`,
+	 *   the number of times ES retries the update when the document changes concurrently.
+	 * @return {Object} - The bulk action, ie. `{ update: { _index, _type, _id } }` .
+	 */
+	buildBulkUpdateAction(params) {
+		let action = this.buildBulkIndexAction(params).index;
+		if (params.retryOnConflict) {
+			action._retry_on_conflict = params.retryOnConflict; //eslint-disable-line camelcase
+		}
+		return { update: action };
+	}
+
+	/**
+	 * Builds the body of an update request which applies update operations with a script.
+	 *
+	 * @method buildUpdateScript
+	 * @param {Object[]} operations - Operations to apply in order.  Each contains the `op` (one of
+	 *   `set`, `unset`, `inc`, `push`, `addToSet` and `pull`), the `path` of the field as an array of
+	 *   keys, and the `value` (an array of values for `push`, `addToSet` and `pull`).
+	 * @return {Object|Null} - The update body, or null if documents cannot be updated by scripts.
+	 */
+	buildUpdateScript(/*operations*/) {
+		// Inline Groovy scripts are disabled by default before 5.x
+		return null;
+	}
+
+	/**
+	 * Builds the parameters to clear one or more scrolls.
+	 *
+	 * @method buildClearScrollParams
+	 * @param {String|String[]} scrollId
+	 * @return {Object} - Parameters for the elasticsearch.Client `clearScroll` method.
+	 */
+	buildClearScrollParams(scrollId) {
+		return { scrollId };
+	}
+
+	/**
+	 * Builds the request to delete all documents matching a query.
+	 *
+	 * @method buildDeleteByQueryRequest
+	 * @param {Object} params - Delete-by-query parameters in 1.x form, containing `index`, `type`,
+	 *   `routing`, `body.query` and write parameters.
+	 * @return {Array} - Tuple of the elasticsearch.Client method and its parameters.
+	 */
+	buildDeleteByQueryRequest(params) {
+		return [ 'deleteByQuery', params ];
+	}
+
+	/**
+	 * Builds the request to merge the segments of an index.
+	 *
+	 * @method buildForceMergeRequest
+	 * @param {Object} params - Parameters containing the `index`, and optionally `maxNumSegments`,
+	 *   `onlyExpungeDeletes` and `flush` .
+	 * @return {Array} - Tuple of the elasticsearch.Client method and its parameters.
+	 */
+	buildForceMergeRequest(params) {
+		// Force merges are called optimizations before 5.x
+		return [ 'indices.optimize', params ];
+	}
+
+	/**
+	 * Builds an `indices.updateAliases` action which deletes an index.  Combined with adding an alias
+	 * with the same name, this replaces the index by the alias atomically.
+	 *
+	 * @method buildRemoveIndexAction
+	 * @param {String} index - Name of the index.
+	 * @return {Object|Null} - The alias action, or null if this version does not support it.
+	 */
+	buildRemoveIndexAction(/*index*/) {
+		// The `remove_index` action was added in 6.4
+		return null;
+	}
+
+	/**
+	 * Builds the parameters to put a type mapping into an index.
+	 *
+	 * @method buildPutMappingParams
+	 * @param {String} index - Name of the index.
+	 * @param {String} typeName - Name of the type.
+	 * @param {Object} mapping - The translated type mapping.
+	 * @return {Object} - Parameters for the elasticsearch.Client `indices.putMapping` method.
+	 */
+	buildPutMappingParams(index, typeName, mapping) {
+		return {
+			index,
+			type: typeName,
+			body: {
+				[ `${typeName}` ]: mapping
+			}
+		};
+	}
+
+	/**
+	 * Builds the parameters to get the type mappings of an index.
+	 *
+	 * @method buildGetMappingParams
+	 * @param {String} index - Name of the index.
+	 * @return {Object} - Parameters for the elasticsearch.Client `indices.getMapping` method.  The
+	 *   response maps index names to objects containing the `mappings` of each type.
+	 */
+	buildGetMappingParams(index) {
+		return { index };
+	}
+
+	/**
+	 * Builds the parameters to put an index template.
+	 *
+	 * @method buildPutTemplateParams
+	 * @param {String} name - Name of the template.
+	 * @param {String} pattern - Pattern of the index names the template applies to, ie. `events_*` .
+	 * @param {Object} template
+	 *   @param {Number} template.order - Order of the template when merging multiple matching templates.
+	 *   @param {Object} template.settings - Index settings.
+	 *   @param {Object} template.mappings - Map from type names to translated type mappings.
+	 *   @param {Object} [template.warmers] - Index warmers, in raw ES format.
+	 *   @param {Object} [template.aliases] - Aliases added to new indexes, in raw ES format.
+	 *   @param {Number} template.version - Version of the template content.
+	 * @return {Object} - Parameters for the elasticsearch.Client `indices.putTemplate` method.
+	 */
+	buildPutTemplateParams(name, pattern, template) {
+		// Templates have no version field, so the version is stored as a custom index setting
+		let settings = objtools.deepCopy(template.settings);
+		settings.index = _.assign({}, settings.index, { [TEMPLATE_VERSION_SETTING]: template.version });
+		let body = {
+			template: pattern,
+			order: template.order,
+			settings,
+			mappings: template.mappings
+		};
+		if (this.supportsWarmers() && template.warmers) {
+			body.warmers = template.warmers;
+		}
+		if (template.aliases) {
+			body.aliases = template.aliases;
+		}
+		return { name, body };
+	}
+
+	/**
+	 * Extracts the version from an existing index template, as returned by `indices.getTemplate` .
+	 *
+	 * @method getTemplateVersion
+	 * @param {Object} template - The index template.
+	 * @return {Number|Null} - The version, or null if the template has no version.
+	 */
+	getTemplateVersion(template) {
+		let settings = template.settings || {};
+		// Settings may be returned either flat or nested
+		let version = settings[`index.${TEMPLATE_VERSION_SETTING}`] ||
+			objtools.getPath(settings, `index.${TEMPLATE_VERSION_SETTING}`);
+		return version ? parseInt(version) : null;
+	}
+
+	/**
+	 * Returns whether index warmers are supported.
+	 *
+	 * @method supportsWarmers
+	 * @return {Boolean}
+	 */
+	supportsWarmers() {
+		return true;
+	}
+
+	/**
+	 * Extracts the total number of hits from a search response.
+	 *
+	 * @method getHitsTotal
+	 * @param {Object} response - The search response.
+	 * @return {Number}
+	 */
+	getHitsTotal(response) {
+		return objtools.getPath(response, 'hits.total') || 0;
+	}
+
+	/**
+	 * Recursively applies a function to each node of an ElasticSearch query.  Compound queries
+	 * are translated bottom-up.
+	 *
+	 * @method _mapQuery
+	 * @protected
+	 * @param {Object} esquery
+	 * @param {Function} fn - Called with each (already mapped) query node, returns the new node.
+	 * @return {Object}
+	 */
+	_mapQuery(esquery, fn) {
+		if (!_.isPlainObject(esquery)) { return esquery; }
+		let mapChild = (child) => {
+			return _.isArray(child) ? _.map(child, (c) => this._mapQuery(c, fn)) : this._mapQuery(child, fn);
+		};
+		// Map the clauses of compound queries which contain other queries
+		let mapClauses = (body, clauseNames) => {
+			return _.mapValues(body, (clause, clauseName) => {
+				return _.contains(clauseNames, clauseName) ? mapChild(clause) : clause;
+			});
+		};
+		let result = {};
+		for (let queryType in esquery) {
+			let body = esquery[queryType];
+			if (queryType === 'bool') {
+				body = mapClauses(body, [ 'must', 'must_not', 'should', 'filter' ]);
+			} else if (_.contains([ 'filtered', 'nested', 'has_child', 'has_parent' ], queryType)) {
+				body = mapClauses(body, [ 'query', 'filter' ]);
+			} else if (queryType === 'not') {
+				body = body.filter ? mapClauses(body, [ 'filter' ]) : mapChild(body);
+			} else if (queryType === 'query') {
+				body = mapChild(body);
+			}
+			result[queryType] = body;
+		}
+		return fn(result);
+	}
+
+	/**
+	 * Recursively applies a function to each aggregation in an aggregation tree.
+	 *
+	 * @method _mapAggregation
+	 * @protected
+	 * @param {Object} aggregation
+	 * @param {Function} fn - Called with each aggregation, returns the new aggregation.
+	 * @return {Object}
+	 */
+	_mapAggregation(aggregation, fn) {
+		let result = fn(objtools.deepCopy(aggregation));
+		if (result.aggregations) {
+			result.aggregations = _.mapValues(result.aggregations, (subAggregation) => {
+				return this._mapAggregation(subAggregation, fn);
+			});
+		}
+		return result;
+	}
+
+}
+
+module.exports = exports = ApiAdapterV1;
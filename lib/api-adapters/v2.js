@@ -0,0 +1,74 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const ApiAdapterV1 = require('./v1');
+
+/**
+ * Adapts requests to ElasticSearch 2.x.  Filters and queries were merged in this version, and
+ * mappings can no longer extract the document id from a path.
+ *
+ * @class ApiAdapterV2
+ * @extends ApiAdapterV1
+ * @constructor
+ * @param {String} version - The version number reported by the cluster.
+ */
+class ApiAdapterV2 extends ApiAdapterV1 {
+
+	translateQuery(esquery) {
+		return this._mapQuery(super.translateQuery(esquery), (node) => {
+			if (node.filtered) {
+				// `filtered` is replaced by the `filter` clause of a `bool` query
+				let bool = { filter: node.filtered.filter || { 'match_all': {} } };
+				if (node.filtered.query) { bool.must = node.filtered.query; }
+				return { bool };
+			}
+			if (node.query && _.size(node) === 1) {
+				// Queries no longer need to be wrapped to be used as filters
+				return node.query;
+			}
+			if (node.not) {
+				return { bool: { 'must_not': node.not.filter || node.not } };
+			}
+			if (_.isString(node.exists)) {
+				return { exists: { field: node.exists } };
+			}
+			if (node.missing) {
+				let field = _.isString(node.missing) ? node.missing : node.missing.field;
+				return { bool: { 'must_not': { exists: { field } } } };
+			}
+			for (let queryType of [ 'nested', 'has_child', 'has_parent' ]) {
+				if (node[queryType] && node[queryType].filter) {
+					let body = _.omit(node[queryType], 'filter');
+					body.query = node[queryType].filter;
+					return { [ `${queryType}` ]: body };
+				}
+			}
+			return node;
+		});
+	}
+
+	translateMapping(mapping) {
+		mapping = super.translateMapping(mapping);
+		// `_id.path` is no longer supported; documents get their id from the model instead
+		return _.omit(mapping, '_id');
+	}
+
+	translateWriteParams(params) {
+		return _.omit(super.translateWriteParams(params), [ 'replication', 'fields' ]);
+	}
+
+	buildDeleteByQueryRequest(params) {
+		// Delete by query is provided by the delete-by-query plugin
+		return [ 'transport.request', {
+			method: 'DELETE',
+			path: `/${encodeURIComponent(params.index)}/${encodeURIComponent(params.type)}/_query`,
+			query: _.pick(params, [ 'routing', 'timeout' ]),
+			body: { query: params.body.query }
+		} ];
+	}
+
+}
+
+module.exports = exports = ApiAdapterV2;
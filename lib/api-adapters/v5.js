@@ -0,0 +1,215 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const ApiAdapterV2 = require('./v2');
+
+// Mapping from 1.x write consistency levels to `wait_for_active_shards` values
+const CONSISTENCY_ACTIVE_SHARDS = {
+	one: '1',
+	all: 'all'
+};
+
+// Painless script applying the operations built by ElasticsearchModel to the source of a document.
+// The operations are passed as parameters, so ES compiles the script once for all updates.
+const UPDATE_SCRIPT = [
+	'for (def op : params.ops) {',
+	'  def obj = ctx._source;',
+	'  int last = op.path.size() - 1;',
+	'  for (int i = 0; i < last && obj != null; i++) {',
+	'    def child = obj[op.path[i]];',
+	'    if (!(child instanceof Map)) {',
+	'      if (op.op == \'unset\' || op.op == \'pull\') {',
+	'        child = null;',
+	'      } else {',
+	'        child = new HashMap();',
+	'        obj[op.path[i]] = child;',
+	'      }',
+	'    }',
+	'    obj = child;',
+	'  }',
+	'  if (obj == null) { continue; }',
+	'  def key = op.path[last];',
+	'  if (op.op == \'set\') {',
+	'    obj[key] = op.value;',
+	'  } else if (op.op == \'unset\') {',
+	'    obj.remove(key);',
+	'  } else if (op.op == \'inc\') {',
+	'    obj[key] = (obj[key] == null) ? op.value : obj[key] + op.value;',
+	'  } else {',
+	'    def list = obj[key];',
+	'    if (list == null) {',
+	'      if (op.op == \'pull\') { continue; }',
+	'      list = new ArrayList();',
+	'      obj[key] = list;',
+	'    }',
+	'    if (op.op == \'push\') {',
+	'      list.addAll(op.value);',
+	'    } else if (op.op == \'addToSet\') {',
+	'      for (def value : op.value) {',
+	'        if (!list.contains(value)) { list.add(value); }',
+	'      }',
+	'    } else {',
+	'      list.removeAll(op.value);',
+	'    }',
+	'  }',
+	'}'
+].join('\n');
+
+/**
+ * Adapts requests to ElasticSearch 5.x.  The `string` field type is split into `text` and `keyword`,
+ * scan searches and warmers are removed, and delete by query is part of the core API.
+ * Documents are updated with inline Painless scripts, which are enabled by default.
+ *
+ * @class ApiAdapterV5
+ * @extends ApiAdapterV2
+ * @constructor
+ * @param {String} version - The version number reported by the cluster.
+ */
+class ApiAdapterV5 extends ApiAdapterV2 {
+
+	translateMapping(mapping) {
+		mapping = super.translateMapping(mapping);
+		let translateField = (fieldMapping) => {
+			fieldMapping = _.omit(fieldMapping, [ 'precision_step', 'geohash' ]);
+			if (fieldMapping.type === 'string') {
+				if (fieldMapping.index === 'analyzed') {
+					fieldMapping.type = 'text';
+					// Text fields cannot have a null value
+					delete fieldMapping.null_value; //eslint-disable-line camelcase
+				} else {
+					fieldMapping.type = 'keyword';
+				}
+			}
+			if (fieldMapping.index === 'no') {
+				fieldMapping.index = false;
+			} else if (_.isString(fieldMapping.index)) {
+				delete fieldMapping.index;
+			}
+			if (fieldMapping.properties) {
+				fieldMapping.properties = _.mapValues(fieldMapping.properties, translateField);
+			}
+			if (fieldMapping.fields) {
+				fieldMapping.fields = _.mapValues(fieldMapping.fields, translateField);
+			}
+			return fieldMapping;
+		};
+		if (mapping.properties) {
+			mapping.properties = _.mapValues(mapping.properties, translateField);
+		}
+		return mapping;
+	}
+
+	translateSearchParams(params) {
+		params = _.omit(super.translateSearchParams(params), 'fields');
+		if (params.searchType === 'scan') {
+			// Scan searches are replaced by scrolls sorted by `_doc`
+			delete params.searchType;
+			params.sort = [ '_doc' ];
+		}
+		return params;
+	}
+
+	translateWriteParams(params) {
+		let activeShards = CONSISTENCY_ACTIVE_SHARDS[params.consistency];
+		params = _.omit(super.translateWriteParams(params), 'consistency');
+		if (activeShards) {
+			params.wait_for_active_shards = activeShards; //eslint-disable-line camelcase
+		}
+		return params;
+	}
+
+	buildUpdateScript(operations) {
+		return { script: this._buildScript(UPDATE_SCRIPT, { ops: operations }) };
+	}
+
+	buildScrollParams(scrollId, scroll) {
+		return {
+			method: 'POST',
+			body: { scroll, 'scroll_id': scrollId }
+		};
+	}
+
+	buildClearScrollParams(scrollId) {
+		return {
+			body: { 'scroll_id': _.isArray(scrollId) ? scrollId : [ scrollId ] }
+		};
+	}
+
+	buildDeleteByQueryRequest(params) {
+		return [ 'transport.request', {
+			method: 'POST',
+			path: this._getDeleteByQueryPath(params),
+			query: _.pick(this.translateWriteParams(params), [
+				'routing',
+				'refresh',
+				'timeout',
+				'wait_for_active_shards'
+			]),
+			body: { query: params.body.query }
+		} ];
+	}
+
+	buildForceMergeRequest(params) {
+		return [ 'transport.request', {
+			method: 'POST',
+			path: `/${encodeURIComponent(params.index)}/_forcemerge`,
+			query: _.omit({
+				'max_num_segments': params.maxNumSegments,
+				'only_expunge_deletes': params.onlyExpungeDeletes,
+				flush: params.flush
+			}, _.isUndefined)
+		} ];
+	}
+
+	/**
+	 * Returns the URL path of the delete by query API.
+	 *
+	 * @method _getDeleteByQueryPath
+	 * @protected
+	 * @param {Object} params - Delete-by-query parameters containing `index` and `type` .
+	 * @return {String}
+	 */
+	_getDeleteByQueryPath(params) {
+		return `/${encodeURIComponent(params.index)}/${encodeURIComponent(params.type)}/_delete_by_query`;
+	}
+
+	/**
+	 * Builds an inline Painless script.
+	 *
+	 * @method _buildScript
+	 * @protected
+	 * @param {String} source - The script source.
+	 * @param {Object} params - The script parameters.
+	 * @return {Object}
+	 */
+	_buildScript(source, params) {
+		return { inline: source, lang: 'painless', params };
+	}
+
+	supportsWarmers() {
+		return false;
+	}
+
+	buildPutTemplateParams(name, pattern, template) {
+		return {
+			name,
+			body: _.omit({
+				template: pattern,
+				order: template.order,
+				version: template.version,
+				settings: template.settings,
+				mappings: template.mappings,
+				aliases: template.aliases
+			}, _.isUndefined)
+		};
+	}
+
+	getTemplateVersion(template) {
+		return _.isNumber(template.version) ? template.version : null;
+	}
+
+}
+
+module.exports = exports = ApiAdapterV5;
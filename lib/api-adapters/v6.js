@@ -0,0 +1,76 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const ApiAdapterV5 = require('./v5');
+const ElasticsearchMappingValidationError = require('../elasticsearch-mapping-validation-error');
+
+/**
+ * Adapts requests to ElasticSearch 6.x.  Indexes hold a single type, so `_parent` mappings are no
+ * longer available, and the `_all` field is deprecated.
+ *
+ * @class ApiAdapterV6
+ * @extends ApiAdapterV5
+ * @constructor
+ * @param {String} version - The version number reported by the cluster.
+ */
+class ApiAdapterV6 extends ApiAdapterV5 {
+
+	translateMapping(mapping) {
+		if (mapping._parent) {
+			let msg = `Parent types are not supported on ElasticSearch ${this.getMajorVersion()}; use a join field`;
+			throw new ElasticsearchMappingValidationError(msg);
+		}
+		mapping = super.translateMapping(mapping);
+		if (mapping._all && !mapping._all.enabled) {
+			// Disabled by default
+			delete mapping._all;
+		}
+		return mapping;
+	}
+
+	translateWriteParams(params) {
+		return _.omit(super.translateWriteParams(params), 'parent');
+	}
+
+	buildBulkIndexAction(params) {
+		// Parents are not supported, and the metadata fields are named without underscores
+		return {
+			index: _.omit({
+				_index: params.index,
+				_type: params.type,
+				_id: params.id,
+				routing: params.routing
+			}, _.isUndefined)
+		};
+	}
+
+	buildBulkUpdateAction(params) {
+		return {
+			update: _.omit(_.assign(this.buildBulkIndexAction(params).index, {
+				'retry_on_conflict': params.retryOnConflict
+			}), _.isUndefined)
+		};
+	}
+
+	buildRemoveIndexAction(index) {
+		let minorVersion = parseInt(this.version.split('.')[1]);
+		if (this.getMajorVersion() === 6 && minorVersion < 4) { return null; }
+		return { 'remove_index': { index } };
+	}
+
+	buildPutTemplateParams(name, pattern, template) {
+		let params = super.buildPutTemplateParams(name, pattern, template);
+		params.body = _.assign({ 'index_patterns': [ pattern ] }, _.omit(params.body, 'template'));
+		return params;
+	}
+
+	_buildScript(source, params) {
+		// The `inline` script property is renamed to `source`
+		return { source, lang: 'painless', params };
+	}
+
+}
+
+module.exports = exports = ApiAdapterV6;
@@ -0,0 +1,103 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const objtools = require('objtools');
+const { AggregateValidationError } = require('common-query');
+const ApiAdapterV6 = require('./v6');
+
+// Units which can only be used with a `calendar_interval` (with a count of 1)
+const CALENDAR_UNITS = {
+	w: 'week',
+	M: 'month',
+	q: 'quarter',
+	y: 'year',
+	Y: 'year'
+};
+// Units which can be used with a `fixed_interval`
+const FIXED_UNITS = [ 'ms', 's', 'm', 'h', 'd' ];
+// Mapping from 1.x source filtering parameters to their current names
+const SOURCE_FILTER_PARAMS = {
+	_sourceInclude: '_source_includes',
+	_sourceExclude: '_source_excludes'
+};
+
+/**
+ * Adapts requests to ElasticSearch 7.x (7.2 and later).  Types are deprecated, hit totals are
+ * returned as objects, and date histograms need either a fixed or a calendar interval.
+ *
+ * @class ApiAdapterV7
+ * @extends ApiAdapterV6
+ * @constructor
+ * @param {String} version - The version number reported by the cluster.
+ */
+class ApiAdapterV7 extends ApiAdapterV6 {
+
+	translateMapping(mapping) {
+		return _.omit(super.translateMapping(mapping), '_all');
+	}
+
+	translateAggregation(aggregation) {
+		return this._mapAggregation(super.translateAggregation(aggregation), (aggr) => {
+			let histogram = aggr.date_histogram;
+			if (!histogram || !histogram.interval) { return aggr; }
+			let [ , count, unit ] = /^(\d*)([a-zA-Z]+)$/.exec(histogram.interval) || [];
+			count = count ? parseInt(count) : 1;
+			if (CALENDAR_UNITS[unit] && count === 1) {
+				histogram.calendar_interval = CALENDAR_UNITS[unit]; //eslint-disable-line camelcase
+			} else if (_.contains(FIXED_UNITS, unit)) {
+				histogram.fixed_interval = `${count}${unit}`; //eslint-disable-line camelcase
+			} else {
+				let msg = `Date histogram interval ${histogram.interval} is not supported by ElasticSearch 7`;
+				throw new AggregateValidationError(msg);
+			}
+			delete histogram.interval;
+			return aggr;
+		});
+	}
+
+	translateSearchParams(params) {
+		params = super.translateSearchParams(params);
+		for (let oldName in SOURCE_FILTER_PARAMS) {
+			let newName = SOURCE_FILTER_PARAMS[oldName];
+			if (params[oldName]) {
+				params[newName] = [].concat(params[oldName]).join(',');
+				delete params[oldName];
+			}
+		}
+		// Totals are only counted up to 10000 by default
+		params.track_total_hits = true; //eslint-disable-line camelcase
+		return params;
+	}
+
+	buildPutMappingParams(index, typeName, mapping) {
+		let params = super.buildPutMappingParams(index, typeName, mapping);
+		params.include_type_name = true; //eslint-disable-line camelcase
+		return params;
+	}
+
+	buildGetMappingParams(index) {
+		let params = super.buildGetMappingParams(index);
+		params.include_type_name = true; //eslint-disable-line camelcase
+		return params;
+	}
+
+	buildPutTemplateParams(name, pattern, template) {
+		let params = super.buildPutTemplateParams(name, pattern, template);
+		params.include_type_name = true; //eslint-disable-line camelcase
+		return params;
+	}
+
+	getHitsTotal(response) {
+		let total = objtools.getPath(response, 'hits.total');
+		return (_.isPlainObject(total) ? total.value : total) || 0;
+	}
+
+	_getDeleteByQueryPath(params) {
+		return `/${encodeURIComponent(params.index)}/_delete_by_query`;
+	}
+
+}
+
+module.exports = exports = ApiAdapterV7;
@@ -20,6 +20,8 @@ exports.createQuery = createQuery;
 
 // Export local update factory and helpers
 let updateFactory = new update.UpdateFactory();
+// Register the new update operators
+operators.registerUpdateOperators(updateFactory);
 exports.updateFactory = updateFactory;
 function createUpdate(updateData, options) {
 	return updateFactory.createUpdate(updateData, options);
@@ -20,9 +20,27 @@ const {
  * @static
  * @throws {AggregateValidationError} - When the aggregate cannot be converted.
  * @param {Aggregate} aggregate - The common-query aggregate.
+ * @param {ApiAdapterV1} [apiAdapter] - If given, the aggregation is translated for this adapter's
+ *   ElasticSearch version.  Otherwise, ElasticSearch 1.x syntax is returned.
  * @return {Object} - The ElasticSearch aggregation spec.
  */
-function convertAggregate(aggregate) {
+function convertAggregate(aggregate, apiAdapter) {
+	let aggregation = buildAggregation(aggregate);
+	return apiAdapter ? apiAdapter.translateAggregation(aggregation) : aggregation;
+}
+exports.convertAggregate = convertAggregate;
+
+/**
+ * Builds the ElasticSearch 1.x aggregation for a common-query aggregate spec.
+ *
+ * @method buildAggregation
+ * @private
+ * @static
+ * @throws {AggregateValidationError} - When the aggregate cannot be converted.
+ * @param {Aggregate} aggregate - The common-query aggregate.
+ * @return {Object} - The ElasticSearch aggregation spec.
+ */
+function buildAggregation(aggregate) {
 	// See https://www.elastic.co/guide/en/elasticsearch/reference/master/search-aggregations.html
 	// for documentation on ES aggregates.  Note that not all types of aggregates allowed by
 	// common-query may be possible in ES.  In the case that an aggregate cannot be converted,
@@ -53,7 +71,6 @@ function convertAggregate(aggregate) {
 	}
 	return root.aggregations.aggregate;
 }
-exports.convertAggregate = convertAggregate;
 
 /**
  * Convert the result from an aggregate (from ElasticSearch) into the common-query
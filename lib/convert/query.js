@@ -17,9 +17,11 @@ const {
  * @throws {QueryValidationError} - When query cannot be converted or does not match the schema
  * @param {Query} query - The common-query object
  * @param {ElasticsearchModel} model - The zs-unimodel-elasticsearch object holding the schema and indexes
+ * @param {ApiAdapterV1} [apiAdapter] - If given, the query is translated for this adapter's ElasticSearch
+ *   version.  Otherwise, ElasticSearch 1.x syntax is returned.
  * @return {Object} - The raw elasticsearch query
  */
-function convertQuery(query, model) {
+function convertQuery(query, model, apiAdapter) {
 	// Need to traverse the query data ourselves properly build the ESQuery
 	let queryData = query.getData();
 	let [ filter, errors ] = queryExpressionToFilter(queryData, model, model.getSchema());
@@ -31,7 +33,7 @@ function convertQuery(query, model) {
 		// Build multiple errors object
 		throw new QueryValidationError(errors[0].message + `...+${errors.length - 1} more`, errors);
 	}
-	return filter;
+	return apiAdapter ? apiAdapter.translateQuery(filter) : filter;
 }
 exports.convertQuery = convertQuery;
 
@@ -278,7 +280,7 @@ function queryExpressionToFilter(query, model, schema, resultKeyPrefix) {
 						if (childType[0] === '$') { continue; }
 						let childModel;
 						try {
-							childModel = require('../index').model(childType); // try to prevent circular dependency
+							childModel = model.getRelatedModel(childType);
 						} catch (ex) {
 							throw new QueryValidationError(ex.message, { query }, ex);
 						}
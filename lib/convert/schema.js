@@ -43,6 +43,8 @@ const ElasticsearchMappingValidationError = require('../elasticsearch-mapping-va
  * @param {Object} [options={}]
  *   @param {String} [options.parentType] - If this is a child type, the type name of the parent.
  *   @param {Boolean} [options.includeAllField] - If this is true, the _all field will be enabled in the mapping.
+ *   @param {ApiAdapterV1} [options.apiAdapter] - If given, the mapping is translated for this adapter's
+ *     ElasticSearch version.  Otherwise, ElasticSearch 1.x syntax is returned.
  * @return {Object} - The ElasticSearch mapping
  */
 function convertSchema(schema, extraIndexes=[], options={}) {
@@ -65,7 +67,7 @@ function convertSchema(schema, extraIndexes=[], options={}) {
 		mapping._parent = { type: options.parentType };
 	}
 	mapping._all = { enabled: (options.includeAllField === true) };
-	return mapping;
+	return options.apiAdapter ? options.apiAdapter.translateMapping(mapping) : mapping;
 }
 
 exports.convertSchema = convertSchema;
@@ -0,0 +1,218 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const pasync = require('pasync');
+const objtools = require('objtools');
+const { Writable } = require('zstreams');
+const ElasticsearchDocument = require('./elasticsearch-document');
+const {
+	getBackoffDelay,
+	isRejectedExecutionError,
+	parseByteSize,
+	splitBatchesByBytes
+} = require('./utils');
+
+// Default policy used to retry documents rejected because an ES bulk queue is full
+const DEFAULT_RETRY_POLICY = {
+	initialDelay: 500,
+	maxDelay: 30000,
+	factor: 2,
+	jitter: 0.2,
+	maxAttempts: 5
+};
+
+/**
+ * A writable stream which saves documents into a model with the bulk API.  It accepts plain data
+ * objects, which are created as new documents, and ElasticsearchDocuments.  Documents are buffered
+ * into bulk requests; writes are held back while `parallelism` requests are in flight.  As with
+ * `save()`, the `pre-save` and `post-save` hooks are triggered for each document.
+ *
+ * Documents rejected because the ES bulk queue is full are retried with an exponential backoff.  Other
+ * failed documents are emitted as `itemError` events, with their `position` in the stream, the
+ * `document` (if it could be created) and the `error` .  After each bulk request, a `progress` event
+ * is emitted with the current summary.  A request failing as a whole fails the stream.
+ *
+ * When all documents are written, the `summary` property contains the number of `indexed` and
+ * `failed` documents, and the number of documents `retried`, and is emitted as a `summary` event
+ * before the stream finishes.
+ *
+ * @class ElasticsearchBulkWriteStream
+ * @constructor
+ * @throws {XError} - If the consistency or replication option is invalid.
+ * @param {ElasticsearchModel} model - The model to save documents into.
+ * @param {Object} [options={}]
+ *   @param {String} [options.index] - Index to save new documents into.  Defaults to the index of the
+ *     model (or the index for the date of time-based documents).
+ *   @param {String} [options.routing] - Routing of new documents.
+ *   @param {String} [options.consistency] - Save consistency. Could be: "one", "quorum", "all"
+ *   @param {Boolean} [options.refresh] - If true, refresh the index after each bulk request.
+ *   @param {String} [options.replication] - Replication types. Could be: "sync", "async"
+ *   @param {AbortSignal} [options.signal] - Cancellation signal.  When triggered, the request in flight
+ *     is aborted, and the stream fails with a `request_cancelled` ElasticsearchError.
+ *   @param {Number} [options.timeout] - Timeout (in ms) of each bulk request.
+ *   @param {Number} [options.batchSize=500] - Maximum number of documents per bulk request.
+ *   @param {Number|String} [options.batchBytes='5mb'] - Maximum size of a bulk request body, in bytes
+ *     or as a string such as `10mb` .  Larger documents are sent alone.
+ *   @param {Number} [options.parallelism=1] - Maximum number of bulk requests in flight at once.
+ *   @param {Object|Boolean} [options.retry] - Policy for retrying rejected documents, in the format of
+ *     the `rejectionRetry` option of ElasticsearchConnection (defaults to a first delay of 500ms, and
+ *     5 attempts).  Set to false to disable retrying.
+ */
+class ElasticsearchBulkWriteStream extends Writable {
+
+	constructor(model, options = {}) {
+		super({ objectMode: true });
+		this.model = model;
+		this.options = options;
+
+		this._createParams = _.pick(options, [ 'index', 'routing' ]);
+		this._saveParams = _.assign(model._buildSaveParams(options), _.pick(options, [ 'signal', 'timeout' ]));
+		ElasticsearchDocument._validateSaveOptions(this._saveParams);
+		this._batchSize = options.batchSize || 500;
+		this._batchBytes = parseByteSize(options.batchBytes || '5mb');
+		this._parallelism = options.parallelism || 1;
+		this._retryPolicy = (options.retry === false) ? null :
+			objtools.merge({}, DEFAULT_RETRY_POLICY, options.retry || {});
+
+		// Documents waiting for the next batch, and the position of the next document in the stream
+		this._buffer = [];
+		this._position = 0;
+		// Promises of the batches in flight, and the error which failed a batch
+		this._running = [];
+		this._error = null;
+
+		this.summary = { indexed: 0, failed: 0, retried: 0 };
+	}
+
+	_write(data, encoding, cb) {
+		if (this._error) { return cb(this._error); }
+		this._buffer.push(data);
+		if (this._buffer.length < this._batchSize) { return cb(); }
+		this._startBatch().then(() => cb(), cb);
+	}
+
+	_flush(cb) {
+		let batchPromise = this._buffer.length ? this._startBatch() : Promise.resolve();
+		batchPromise
+			.then(() => Promise.all(this._running))
+			.then(() => {
+				if (this._error) { throw this._error; }
+				this.emit('summary', this.summary);
+			})
+			.then(() => cb(), cb);
+	}
+
+	/**
+	 * Starts writing the buffered documents, once fewer than `parallelism` batches are in flight.
+	 *
+	 * @method _startBatch
+	 * @private
+	 * @return {Promise} - Resolves when the batch has started.
+	 */
+	_startBatch() {
+		let datas = this._buffer;
+		let offset = this._position;
+		this._buffer = [];
+		this._position += datas.length;
+		return this._waitForSlot().then(() => {
+			if (this._error) { throw this._error; }
+			let batchPromise = this._writeBatch(datas, offset)
+				.catch((err) => {
+					this._error = this._error || err;
+				})
+				.then(() => {
+					_.pull(this._running, batchPromise);
+				});
+			this._running.push(batchPromise);
+		});
+	}
+
+	/**
+	 * Waits until fewer than `parallelism` batches are in flight.
+	 *
+	 * @method _waitForSlot
+	 * @private
+	 * @return {Promise}
+	 */
+	_waitForSlot() {
+		if (this._running.length < this._parallelism) { return Promise.resolve(); }
+		return Promise.race(this._running).then(() => this._waitForSlot());
+	}
+
+	/**
+	 * Prepares and writes a batch of documents, split into bulk requests by size.
+	 *
+	 * @method _writeBatch
+	 * @private
+	 * @param {Array{Object|ElasticsearchDocument}} datas
+	 * @param {Number} offset - Position of the first document in the stream.
+	 * @return {Promise}
+	 */
+	_writeBatch(datas, offset) {
+		return this.model._prepareBulkDocuments(datas, offset, this._createParams, this._saveParams, 'bulkWriteStream')
+			.then((entries) => {
+				let prepared = [];
+				for (let entry of entries) {
+					if (entry.error) {
+						this._addFailure(entry, entry.error);
+					} else {
+						prepared.push(entry);
+					}
+				}
+				return pasync.eachSeries(splitBatchesByBytes(prepared, this._batchBytes), (batch) => {
+					return this._sendBatch(batch, 1);
+				});
+			});
+	}
+
+	/**
+	 * Sends a bulk request, and retries the documents which were rejected.
+	 *
+	 * @method _sendBatch
+	 * @private
+	 * @param {Object[]} entries - Prepared entries, as returned by `ElasticsearchModel#_prepareBulkDocuments` .
+	 * @param {Number} attempt - Number of the attempt, starting at 1.
+	 * @return {Promise}
+	 */
+	_sendBatch(entries, attempt) {
+		return this.model._sendBulkDocuments(entries, this._saveParams, 'bulkWriteStream')
+			.then((errors) => {
+				let retryEntries = [];
+				entries.forEach((entry, i) => {
+					let error = errors[i];
+					let policy = this._retryPolicy;
+					if (!error) {
+						this.summary.indexed++;
+					} else if (policy && attempt < policy.maxAttempts && isRejectedExecutionError(error)) {
+						retryEntries.push(entry);
+					} else {
+						this._addFailure(entry, error);
+					}
+				});
+				this.emit('progress', _.clone(this.summary));
+				if (!retryEntries.length) { return Promise.resolve(); }
+				this.summary.retried += retryEntries.length;
+				let delay = getBackoffDelay(attempt, this._retryPolicy);
+				return new Promise((resolve) => setTimeout(resolve, delay))
+					.then(() => this._sendBatch(retryEntries, attempt + 1));
+			});
+	}
+
+	/**
+	 * Counts a document which could not be saved, and emits it as an `itemError` event.
+	 *
+	 * @method _addFailure
+	 * @private
+	 * @param {Object} entry - A prepared entry.
+	 * @param {Error} error
+	 */
+	_addFailure(entry, error) {
+		this.summary.failed++;
+		this.emit('itemError', { position: entry.position, document: entry.doc, error });
+	}
+
+}
+
+module.exports = exports = ElasticsearchBulkWriteStream;
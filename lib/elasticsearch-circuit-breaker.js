@@ -0,0 +1,178 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const { EventEmitter } = require('events');
+const XError = require('xerror');
+
+/**
+ * Tracks the outcome of recent requests, and stops requests from being sent while the cluster is
+ * failing.  The breaker starts `closed`.  It opens when too many of the recent requests failed or
+ * timed out.  After `resetTimeout` it becomes `halfOpen` and lets a limited number of probe requests
+ * through: if they succeed the breaker closes, otherwise it opens again.
+ *
+ * Emits a `stateChange` event with `{ state, previousState }` whenever the state changes.
+ *
+ * @class ElasticsearchCircuitBreaker
+ * @constructor
+ * @param {Object} [options={}]
+ *   @param {Number} [options.windowSize=20] - Number of recent requests the failure rate is computed over.
+ *   @param {Number} [options.minRequests=10] - Minimum number of recent requests before the failure rate
+ *     is considered.
+ *   @param {Number} [options.failureRate=0.5] - Fraction (0 to 1) of failed recent requests which opens
+ *     the breaker.
+ *   @param {Number} [options.maxTimeouts=5] - Number of timed out recent requests which opens the breaker.
+ *   @param {Number} [options.resetTimeout=30000] - Time (in ms) the breaker stays open before probing.
+ *   @param {Number} [options.halfOpenRequests=1] - Number of concurrent probe requests while half open.
+ */
+class ElasticsearchCircuitBreaker extends EventEmitter {
+
+	constructor(options = {}) {
+		super();
+		this.options = _.defaults({}, options, {
+			windowSize: 20,
+			minRequests: 10,
+			failureRate: 0.5,
+			maxTimeouts: 5,
+			resetTimeout: 30000,
+			halfOpenRequests: 1
+		});
+		this.state = 'closed';
+		this.openedAt = null;
+
+		// Outcomes of recent requests, as objects containing `failed` and `timedOut` flags
+		this.results = [];
+
+		// Number of probe requests in flight while half open
+		this.probes = 0;
+	}
+
+	/**
+	 * Returns the current state.
+	 *
+	 * @method getState
+	 * @return {String} - One of `closed`, `open` or `halfOpen` .
+	 */
+	getState() {
+		if (this.state === 'open' && Date.now() - this.openedAt >= this.options.resetTimeout) {
+			this._setState('halfOpen');
+		}
+		return this.state;
+	}
+
+	/**
+	 * Registers the start of a request.
+	 *
+	 * @method begin
+	 * @return {Object|Null} - Null if the request may not be sent.  Otherwise, an object with an
+	 *   `end(err)` method to call when the request completes, and a `cancel()` method to call if it
+	 *   is aborted.
+	 */
+	begin() {
+		let state = this.getState();
+		if (state === 'open') {
+			return null;
+		}
+		let isProbe = (state === 'halfOpen');
+		if (isProbe) {
+			if (this.probes >= this.options.halfOpenRequests) { return null; }
+			this.probes++;
+		}
+		let finished = false;
+		let finish = (err, cancelled) => {
+			if (finished) { return; }
+			finished = true;
+			if (isProbe) { this.probes--; }
+			if (!cancelled) { this._record(err, isProbe); }
+		};
+		return {
+			end: (err) => finish(err, false),
+			cancel: () => finish(null, true)
+		};
+	}
+
+	/**
+	 * Records the outcome of a request, and updates the state.
+	 *
+	 * @method _record
+	 * @private
+	 * @param {Error} [err] - The error the request failed with.
+	 * @param {Boolean} isProbe - Whether the request was sent while half open.
+	 */
+	_record(err, isProbe) {
+		let timedOut = isTimeoutError(err);
+		let failed = timedOut || isFailureError(err);
+		if (isProbe && this.state === 'halfOpen') {
+			this._setState(failed ? 'open' : 'closed');
+			return;
+		}
+		if (this.state !== 'closed') { return; }
+		this.results.push({ failed, timedOut });
+		if (this.results.length > this.options.windowSize) {
+			this.results.shift();
+		}
+		let failures = _.filter(this.results, 'failed').length;
+		let timeouts = _.filter(this.results, 'timedOut').length;
+		if (
+			timeouts >= this.options.maxTimeouts ||
+			(
+				this.results.length >= this.options.minRequests &&
+				failures / this.results.length >= this.options.failureRate
+			)
+		) {
+			this._setState('open');
+		}
+	}
+
+	/**
+	 * Changes the state, and emits `stateChange` .
+	 *
+	 * @method _setState
+	 * @private
+	 * @param {String} state
+	 */
+	_setState(state) {
+		let previousState = this.state;
+		if (state === previousState) { return; }
+		this.state = state;
+		if (state === 'open') {
+			this.openedAt = Date.now();
+		} else if (state === 'closed') {
+			this.results = [];
+		}
+		this.emit('stateChange', { state, previousState });
+	}
+
+}
+
+/**
+ * Returns whether an error is a client-side or server-side request timeout.
+ *
+ * @method isTimeoutError
+ * @private
+ * @param {Error} [err]
+ * @return {Boolean}
+ */
+function isTimeoutError(err) {
+	if (!err) { return false; }
+	return /Request Timeout/i.test(`${err.message} ${_.isString(err.data) ? err.data : ''}`);
+}
+
+/**
+ * Returns whether an error indicates a problem with the cluster, rather than with the request.
+ * Errors with a 4xx status (ie, document not found) do not count as failures.
+ *
+ * @method isFailureError
+ * @private
+ * @param {Error} [err]
+ * @return {Boolean}
+ */
+function isFailureError(err) {
+	if (!err) { return false; }
+	let errorCode = XError.getErrorCode(err.code);
+	let status = errorCode && errorCode.http;
+	return !(status >= 400 && status < 500);
+}
+
+module.exports = exports = ElasticsearchCircuitBreaker;
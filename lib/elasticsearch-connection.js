@@ -2,14 +2,268 @@
 // Licensed under the Apache License, Version 2.0
 // http://www.apache.org/licenses/LICENSE-2.0
 
+const _ = require('lodash');
 const elasticsearch = require('elasticsearch');
+const Host = require('elasticsearch/src/lib/host');
 const { EventEmitter } = require('events');
 const objtools = require('objtools');
 const pasync = require('pasync');
+const XError = require('xerror');
+const zstreams = require('zstreams');
 
 const ElasticsearchHttpConnector = require('./elasticsearch-http-connector');
 const ElasticsearchIndexManager = require('./elasticsearch-index-manager');
 const ElasticsearchError = require('./elasticsearch-error');
+const ElasticsearchRequestLimiter = require('./elasticsearch-request-limiter');
+const ElasticsearchCircuitBreaker = require('./elasticsearch-circuit-breaker');
+const ElasticsearchJsonArrayStream = require('./elasticsearch-json-array-stream');
+const { getBackoffDelay, onCancel, isRejectedExecutionError } = require('./utils');
+const { getApiAdapter } = require('./api-adapters');
+
+// Default policy used to retry the initial connection to the cluster
+const DEFAULT_RECONNECT_POLICY = {
+	initialDelay: 1000,
+	maxDelay: 30000,
+	factor: 2,
+	jitter: 0.2,
+	maxAttempts: 5
+};
+
+// Default settings for the background cluster health monitor
+const DEFAULT_HEALTH_CHECK = {
+	interval: 30000,
+	timeout: 10000
+};
+
+// Default policy used to retry requests rejected because an ES thread pool queue is full
+const DEFAULT_REJECTION_RETRY_POLICY = {
+	initialDelay: 100,
+	maxDelay: 5000,
+	factor: 2,
+	jitter: 0.2,
+	maxAttempts: 5
+};
+
+// Client methods which only read data; all other methods count as writes for the request limits
+const READ_METHODS = [
+	'count',
+	'exists',
+	'get',
+	'getSource',
+	'info',
+	'mget',
+	'msearch',
+	'ping',
+	'scroll',
+	'search',
+	'suggest',
+	'cat.indices',
+	'cluster.health',
+	'indices.exists',
+	'indices.getMapping',
+	'indices.getSettings'
+];
+
+// Client methods sent to the read nodes, if read and write nodes are separated; all other methods,
+// including mapping and index operations, are sent to the write nodes
+const READ_NODE_METHODS = [
+	'clearScroll',
+	'count',
+	'exists',
+	'get',
+	'getSource',
+	'mget',
+	'msearch',
+	'scroll',
+	'search',
+	'suggest'
+];
+
+/**
+ * Returns the roles of a node, from its entry in a nodes info response.
+ *
+ * @method getNodeRoles
+ * @private
+ * @param {Object} node - The node info.
+ * @return {Object} - Contains `master` and `data` flags.
+ */
+function getNodeRoles(node) {
+	if (_.isArray(node.roles)) {
+		// ES 5.x and newer list the roles; ES 7.9+ has specialized data roles, such as `data_hot`
+		return {
+			master: _.contains(node.roles, 'master'),
+			data: _.some(node.roles, (role) => /^data/.test(role))
+		};
+	}
+	// ES 1.x and 2.x only list the roles a node does not have, as string attributes
+	let attributes = node.attributes || {};
+	return {
+		master: attributes.master !== 'false',
+		data: attributes.data !== 'false'
+	};
+}
+
+/**
+ * Returns the host config for the HTTP address of a node, from its entry in a nodes info response.
+ *
+ * @method getNodeHostConfig
+ * @private
+ * @param {Object} node - The node info.
+ * @return {Object|Null} - Contains `host` and `port`, or null if the node has no HTTP address.
+ */
+function getNodeHostConfig(node) {
+	// ES 1.x addresses look like `inet[/127.0.0.1:9200]`; newer versions use `127.0.0.1:9200`,
+	// optionally prefixed by the host name and a slash
+	let address = node.http_address || objtools.getPath(node, 'http.publish_address');
+	if (!address) { return null; }
+	let match = /([^\/\[\]]+):(\d+)\]?$/.exec(address);
+	if (!match) { return null; }
+	return { host: match[1], port: parseInt(match[2], 10) };
+}
+
+/**
+ * Serializes the lines of a bulk or multi-search body as newline-delimited JSON.
+ *
+ * @method serializeNdjson
+ * @private
+ * @param {Array} lines - Objects or already serialized strings.
+ * @return {String}
+ */
+function serializeNdjson(lines) {
+	return _.map(lines, (line) => (_.isString(line) ? line : JSON.stringify(line)) + '\n').join('');
+}
+
+/**
+ * Returns the size in bytes of a request body, as it is serialized when sent.
+ *
+ * @method getBodySize
+ * @private
+ * @param {String|Buffer|Object|Array} [body]
+ * @return {Number}
+ */
+function getBodySize(body) {
+	if (!body) { return 0; }
+	if (Buffer.isBuffer(body)) { return body.length; }
+	if (_.isArray(body)) { body = serializeNdjson(body); }
+	return Buffer.byteLength(_.isString(body) ? body : JSON.stringify(body), 'utf8');
+}
+
+/**
+ * Builds the connector parameters of a raw request.  Object bodies are serialized as JSON, and array
+ * bodies as newline-delimited JSON (ie, for `_bulk` and `_msearch` requests).
+ *
+ * @method buildRawRequestParams
+ * @private
+ * @param {String} path - The HTTP path to request.  This may optionally start with a `/` .
+ * @param {Object} options - Options passed to `request()` or `requestStream()` .
+ * @return {Object} - Parameters for ElasticsearchHttpConnector.
+ */
+function buildRawRequestParams(path, options) {
+	let params = {
+		method: (options.method || 'GET').toUpperCase(),
+		path: (path.charAt(0) === '/') ? path : `/${path}`,
+		headers: _.assign({}, options.headers || {})
+	};
+	if (!_.isEmpty(options.qs)) {
+		params.query = options.qs;
+	}
+	let body = options.body;
+	if (body !== undefined && body !== null) {
+		let contentType = 'application/json';
+		if (_.isArray(body)) {
+			params.body = serializeNdjson(body);
+			contentType = 'application/x-ndjson';
+		} else if (_.isString(body) || Buffer.isBuffer(body)) {
+			params.body = body;
+		} else {
+			params.body = JSON.stringify(body);
+		}
+		let hasContentType = _.some(_.keys(params.headers), (name) => name.toLowerCase() === 'content-type');
+		if (!hasContentType) {
+			params.headers['Content-Type'] = contentType;
+		}
+	}
+	return params;
+}
+
+/**
+ * Returns whether a response has a JSON content type.
+ *
+ * @method isJsonResponse
+ * @private
+ * @param {Object} [headers] - The response headers.
+ * @return {Boolean}
+ */
+function isJsonResponse(headers) {
+	return /json/i.test((headers && headers['content-type']) || '');
+}
+
+/**
+ * Parses the body of a raw response.  JSON responses are parsed; other responses are left as strings.
+ *
+ * @method parseResponseBody
+ * @private
+ * @param {String} body - The raw response body.
+ * @param {Object} [headers] - The response headers.
+ * @return {Mixed}
+ * @throws {ElasticsearchError} - If a JSON response cannot be parsed.
+ */
+function parseResponseBody(body, headers) {
+	if (!isJsonResponse(headers)) { return body; }
+	if (!body) { return undefined; }
+	try {
+		return JSON.parse(body);
+	} catch (ex) {
+		throw new ElasticsearchError(XError.INTERNAL_ERROR, 'Invalid JSON in ElasticSearch response', ex);
+	}
+}
+
+/**
+ * Converts an unsuccessful raw response into an error.
+ *
+ * @method getResponseError
+ * @private
+ * @param {Number} status - The response status code.
+ * @param {String} body - The raw response body.
+ * @param {Object} [headers] - The response headers.
+ * @return {ElasticsearchError}
+ */
+function getResponseError(status, body, headers) {
+	let message = body;
+	try {
+		let response = parseResponseBody(body, headers);
+		if (_.isPlainObject(response) && response.error) {
+			message = response.error;
+		}
+	} catch (ex) {
+		// Use the raw body as the message
+	}
+	return ElasticsearchError.fromESError(status, message || `Request failed with status ${status}`);
+}
+
+/**
+ * Builds the error rejecting requests made after the connection was closed.
+ *
+ * @method buildClosedError
+ * @private
+ * @param {Object} data - Data about the request, ie. its `method` or `path` .
+ * @return {ElasticsearchError}
+ */
+function buildClosedError(data) {
+	return new ElasticsearchError(ElasticsearchError.DB_ERROR, 'Connection is closed', data);
+}
+
+/**
+ * Returns whether a response status code indicates success.
+ *
+ * @method isSuccessStatus
+ * @private
+ * @param {Number} status
+ * @return {Boolean}
+ */
+function isSuccessStatus(status) {
+	return status >= 200 && status < 300;
+}
 
 /**
  * This class represents a connection to an Elasticsearch cluster.
@@ -25,12 +279,135 @@ const ElasticsearchError = require('./elasticsearch-error');
  *   ElasticsearchIndex for details.
  * @param {Object} [options={}]
  *   @param {Boolean} [options.initialize=true] - If set to false, connection isn't immediately attempted.
+ *   @param {Object|Boolean} [options.reconnect] - Policy for retrying the cluster health check while
+ *     initializing.  Set to false to fail after the first attempt.  While retrying, callers of
+ *     `getClient()` stay queued up, and a `reconnecting` event is emitted before each retry.
+ *     @param {Number} [options.reconnect.initialDelay=1000] - Delay (in ms) before the first retry.
+ *     @param {Number} [options.reconnect.maxDelay=30000] - Maximum delay (in ms) between retries.
+ *     @param {Number} [options.reconnect.factor=2] - Multiplier applied to the delay after each retry.
+ *     @param {Number} [options.reconnect.jitter=0.2] - Fraction of the delay to randomly add or subtract.
+ *     @param {Number} [options.reconnect.maxAttempts=5] - Number of connection attempts before
+ *       the connection gives up, rejects `connectionWaiter` and emits an `error` event.  Set to
+ *       `Infinity` to keep retrying until the cluster is reachable.
+ *   @param {Object|Boolean} [options.healthCheck=false] - If set, the cluster health is periodically
+ *     checked after the connection is established.  Each check emits a `health` event.  A `degraded`
+ *     event is emitted when the status changes to anything but `green`, and a `recovered` event is
+ *     emitted when it changes back to `green`.  The first check only establishes the initial status and
+ *     emits neither event; use the `health` event or `getHealthStatus()` to inspect it.  Set to true to
+ *     use the defaults.
+ *     @param {Number} [options.healthCheck.interval=30000] - Time (in ms) between health checks.
+ *     @param {Number} [options.healthCheck.timeout=10000] - Request timeout (in ms) for a health check.
+ *   @param {Object} [options.auth] - Credentials sent with every request, including streamed requests.
+ *     @param {String} [options.auth.username] - User name for basic authentication.
+ *     @param {String} [options.auth.password] - Password for basic authentication.
+ *     @param {String|Object} [options.auth.apiKey] - API key, either encoded or as an object containing
+ *       `id` and `key` .  Takes precedence over basic authentication.
+ *     @param {Function} [options.auth.refresh] - Function returning (a promise resolving with) an object
+ *       containing `username` and `password` or `apiKey` .  If given, it is called on each connection
+ *       attempt, after a request is rejected with a 401 status, and every `refreshInterval` ms.
+ *       Requests which were rejected are not retried.  A refresh failure emits an `authError` event.
+ *     @param {Number} [options.auth.refreshInterval] - Time (in ms) between credential refreshes.
+ *   @param {Object} [options.tls] - TLS settings for `https` hosts.  These are passed to the https agent.
+ *     @param {String|Buffer|String[]|Buffer[]} [options.tls.ca] - Trusted CA certificates in PEM format.
+ *     @param {String|Buffer} [options.tls.cert] - Client certificate in PEM format.
+ *     @param {String|Buffer} [options.tls.key] - Private key of the client certificate in PEM format.
+ *     @param {String} [options.tls.passphrase] - Passphrase of the private key.
+ *     @param {Boolean} [options.tls.rejectUnauthorized=true] - Whether to reject servers whose certificate
+ *       is not signed by a trusted CA.
+ *   @param {Object} [options.limits] - Limits on the number of concurrent requests.  Requests over
+ *     the limits wait in a FIFO queue.  See ElasticsearchRequestLimiter for details.
+ *     @param {Number} [options.limits.maxConcurrent=Infinity] - Maximum number of requests running at once.
+ *     @param {Number} [options.limits.maxConcurrentReads=Infinity] - Maximum number of searches and other
+ *       read requests running at once.
+ *     @param {Number} [options.limits.maxConcurrentWrites=Infinity] - Maximum number of writes, deletes,
+ *       and index operations running at once.
+ *     @param {Number} [options.limits.maxQueueLength=Infinity] - Maximum number of waiting requests.
+ *   @param {Object|Boolean} [options.rejectionRetry] - Policy for retrying client requests that
+ *     ElasticSearch rejects with `es_rejected_execution_exception` because its queues are full.  Set
+ *     to false to disable retrying.  A `requestRejected` event is emitted before each retry.
+ *     @param {Number} [options.rejectionRetry.initialDelay=100] - Delay (in ms) before the first retry.
+ *     @param {Number} [options.rejectionRetry.maxDelay=5000] - Maximum delay (in ms) between retries.
+ *     @param {Number} [options.rejectionRetry.factor=2] - Multiplier applied to the delay after each retry.
+ *     @param {Number} [options.rejectionRetry.jitter=0.2] - Fraction of the delay to randomly add or subtract.
+ *     @param {Number} [options.rejectionRetry.maxAttempts=5] - Number of attempts before the request fails.
+ *   @param {Object|Boolean} [options.circuitBreaker=false] - If set, requests fail fast with a
+ *     `db_circuit_open` ElasticsearchError while the cluster is failing, instead of waiting for their
+ *     timeout.  A `circuitStateChange` event is emitted with `{ state, previousState }` when the breaker
+ *     opens, becomes half open or closes.  Set to true to use the defaults; see ElasticsearchCircuitBreaker
+ *     for the settings.
+ *   @param {Object} [options.nodes] - Sends reads and writes to different nodes.  Searches, counts,
+ *     scrolls and document gets go to the read nodes.  Writes, deletes, and mapping and index operations
+ *     go to the write nodes.  Nodes not configured here default to the hosts in the client options.
+ *     @param {String|String[]|Object|Object[]} [options.nodes.read] - Hosts to send reads to.
+ *     @param {String|String[]|Object|Object[]} [options.nodes.write] - Hosts to send writes to.
+ *     @param {Boolean} [options.nodes.sniffRoles=false] - If set, the roles of the cluster nodes are
+ *       fetched on connect.  Reads are then sent to the data nodes, and writes to the master-eligible
+ *       nodes, unless the corresponding hosts are configured explicitly.
+ *
+ * Every HTTP request made through the connection (by the client, `request()` or `requestStream()`)
+ * emits a `request` event when it is sent, and a `response` event when it completes.  The `request`
+ * event is emitted with an object containing:
+ *   - `id` - Identifies the request in the `response` event.
+ *   - `method` - The HTTP method.
+ *   - `path` - The HTTP path, without the query string.
+ *   - `query` - The query string parameters.
+ *   - `bodySize` - Size of the request body in bytes.
+ *   - `model` - Name of the model the request was made for, if any.
+ *   - `operation` - Name of the model or document operation the request was made for, if any.
+ * The `response` event is emitted with the same object, plus:
+ *   - `took` - Time (in ms) from sending the request until the response was received.
+ *   - `status` - The HTTP status code, if a response was received.
+ *   - `error` - The error the request failed with, if any.
  */
 class ElasticsearchConnection extends EventEmitter {
 
 	constructor(clientOptions={}, indexConfigs={}, indexOptions={}, options={}) {
 		super();
 
+		// Options for this connection (not passed on to the client)
+		this.options = options;
+
+		// Incremented on each initialization, so stale connection attempts can tell they are outdated
+		this._connectGeneration = 0;
+		this._reconnectTimer = null;
+
+		// The last known cluster health, as returned by `getHealthStatus()`
+		this._healthStatus = { status: 'unknown', checkedAt: null, error: null, response: null };
+		this._healthCheckTimer = null;
+
+		// Adapter for the API version of the cluster, replaced once the version has been detected
+		this.apiAdapter = getApiAdapter();
+
+		// Map from request ids to requests currently in flight, so they can be drained when closing
+		this._pendingRequests = {};
+		this._requestCounter = 0;
+		// Set by `close()`; new requests are rejected from then on
+		this._closing = false;
+
+		// Set of scroll ids currently open on the server, so they can be cleared when closing
+		this._activeScrolls = {};
+
+		// Registry of models using this connection, keyed by name; see `model()`
+		this.modelRegistry = {};
+
+		// Limits the number of concurrent requests; replaced on initialization
+		this.requestLimiter = new ElasticsearchRequestLimiter(options.limits);
+
+		// Client used for reads, if read and write nodes are separated; otherwise the same as `this.client`
+		this.readClient = null;
+
+		// Fails requests fast while the cluster is failing, if enabled; replaced on initialization
+		this.circuitBreaker = this._createCircuitBreaker();
+
+		// Context of the client request being started, used to annotate the instrumentation events
+		this._clientRequestContext = null;
+		this._instrumentationCounter = 0;
+
+		// Headers built from the current credentials, and the state of credential refreshes
+		this._authHeaders = null;
+		this._authRefreshPromise = null;
+		this._authRefreshTimer = null;
+
 		// This waiter is resolved when initialization is complete.
 		this.connectionWaiter = pasync.waiter();
 
@@ -66,7 +443,9 @@ class ElasticsearchConnection extends EventEmitter {
 	 * @param {Object} clientOptions
 	 *   @param {String|String[]|Object|Object[]} [clientOptions.host='http://localhost:9200'] - The
 	 *     elasticsearch host to connect to.
-	 *   @param {String} [clientOptions.apiVersion='1.7'] - Version of the API to target.
+	 *   @param {String} [clientOptions.apiVersion='1.7'] - Version of the client API spec used to build
+	 *     requests.  Requests are translated for the cluster version detected on connect, so this should
+	 *     normally not be changed.
 	 *   @param {Number} [clientOptions.maxRetries=1000000] - How many times the client should try to connect
 	 *     to other nodes before returning a ConnectionFault error.
 	 *   @param {Number} [clientOptions.maxSockets=10] - Maximum number of concurrent requests that can be
@@ -80,6 +459,17 @@ class ElasticsearchConnection extends EventEmitter {
 		}
 	}
 
+	/**
+	 * Set the options for this connection, as passed to the constructor.  These are merged over
+	 * the existing options, and take effect on the next call to `initialize()` .
+	 *
+	 * @method setConnectionOptions
+	 * @param {Object} options
+	 */
+	setConnectionOptions(options) {
+		this.options = objtools.merge({}, this.options, options);
+	}
+
 	/**
 	 * Set the options, which will be pass on to ElasticsearchIndex.
 	 *
@@ -91,29 +481,400 @@ class ElasticsearchConnection extends EventEmitter {
 	}
 
 	/**
-	 * Check ElasticSearch cluster health to ensure it is still avilable.
+	 * Registers a model with this connection, or retrieves a registered model.  Related models
+	 * referenced by `$child` and `$parent` queries are looked up in the registry of the querying
+	 * model's connection.
+	 *
+	 * @method model
+	 * @throws {XError} - If retrieving a model which is not registered.
+	 * @param {String} name - Name of the model, usually its type name.
+	 * @param {ElasticsearchModel} [model] - If given, the model is registered under `name` .
+	 * @return {ElasticsearchModel|undefined} - The registered model, if `model` is not given.
+	 */
+	model(name, model) {
+		if (model) {
+			this.modelRegistry[name] = model;
+		} else {
+			model = this.modelRegistry[name];
+			if (!model) throw new XError(XError.INTERNAL_ERROR, `Model not found: ${name}`);
+			return model;
+		}
+	}
+
+	/**
+	 * Check ElasticSearch cluster health to ensure it is still avilable, and detect the cluster version.
 	 *
 	 * @method _tryElasticsearchConnect
 	 * @private
 	 * @return {Promise}
 	 */
 	_tryElasticsearchConnect() {
-		return this.client.cluster.health({ level: 'cluster' })
-			.then(() => {}); // Throw away response
+		return this._refreshCredentials()
+			.then(() => this.client.cluster.health({ level: 'cluster' }))
+			.then((response) => this._setHealthStatus(response.status, response, null))
+			.then(() => this.client.info())
+			.then((info) => {
+				this.apiAdapter = getApiAdapter(objtools.getPath(info, 'version.number'));
+				let nodeOptions = this.options.nodes;
+				if (nodeOptions && nodeOptions.sniffRoles) {
+					return this._sniffNodeRoles();
+				}
+			});
+	}
+
+	/**
+	 * Fetches the roles of the cluster nodes, and points the read client at the data nodes and the
+	 * write client at the master-eligible nodes.  Explicitly configured read and write hosts are kept.
+	 *
+	 * @method _sniffNodeRoles
+	 * @private
+	 * @return {Promise}
+	 */
+	_sniffNodeRoles() {
+		let nodeOptions = this.options.nodes;
+		return this.client.nodes.info()
+			.then((response) => {
+				let readHosts = [];
+				let writeHosts = [];
+				_.forEach(response.nodes || {}, (node) => {
+					let hostConfig = getNodeHostConfig(node);
+					if (!hostConfig) { return; }
+					let roles = getNodeRoles(node);
+					if (roles.data) { readHosts.push(hostConfig); }
+					if (roles.master) { writeHosts.push(hostConfig); }
+				});
+				// If no node has a role (ie, behind a load balancer without HTTP addresses), keep the configured hosts
+				if (!nodeOptions.read && readHosts.length) {
+					this._setClientHosts(this.readClient, readHosts);
+				}
+				if (!nodeOptions.write && writeHosts.length) {
+					this._setClientHosts(this.client, writeHosts);
+				}
+				this.emit('nodeRoles', { read: readHosts, write: writeHosts });
+			});
+	}
+
+	/**
+	 * Replaces the hosts a client sends requests to.
+	 *
+	 * @method _setClientHosts
+	 * @private
+	 * @param {elasticsearch.Client} client
+	 * @param {Object[]} hostConfigs - Objects containing `host` and `port` .
+	 */
+	_setClientHosts(client, hostConfigs) {
+		let transport = client.transport;
+		transport.connectionPool.setHosts(_.map(hostConfigs, (hostConfig) => new Host(_.assign({
+			protocol: transport.sniffedNodesProtocol || 'http'
+		}, hostConfig), transport._config)));
+	}
+
+	/**
+	 * Creates an elasticsearch.Client, optionally sending requests to different hosts than configured in
+	 * the client options.
+	 *
+	 * @method _createClient
+	 * @private
+	 * @param {Object} clientOptions - Options for the client.
+	 * @param {String|String[]|Object|Object[]} [hosts] - Hosts replacing the configured hosts.
+	 * @return {elasticsearch.Client}
+	 */
+	_createClient(clientOptions, hosts) {
+		// The client refuses options objects which were already used to create another client
+		clientOptions = hosts ? _.assign(_.omit(clientOptions, 'host', 'hosts'), { hosts }) : _.clone(clientOptions);
+		let client = new elasticsearch.Client(clientOptions);
+		this._instrumentTransport(client.transport);
+		return client;
+	}
+
+	/**
+	 * Builds the authentication headers for a set of credentials.
+	 *
+	 * @method _buildAuthHeaders
+	 * @private
+	 * @param {Object} [credentials] - Object containing `username` and `password` or `apiKey` .
+	 * @return {Object}
+	 */
+	_buildAuthHeaders(credentials) {
+		if (!credentials) { return {}; }
+		if (credentials.apiKey) {
+			let apiKey = credentials.apiKey;
+			if (_.isPlainObject(apiKey)) {
+				apiKey = Buffer.from(`${apiKey.id}:${apiKey.key}`).toString('base64');
+			}
+			return { Authorization: `ApiKey ${apiKey}` };
+		}
+		if (credentials.username) {
+			let token = Buffer.from(`${credentials.username}:${credentials.password || ''}`).toString('base64');
+			return { Authorization: `Basic ${token}` };
+		}
+		return {};
+	}
+
+	/**
+	 * Updates the authentication headers from the configured credentials.  If the credentials are
+	 * provided by a refresh function, it is called; concurrent refreshes share a single call.
+	 *
+	 * @method _refreshCredentials
+	 * @private
+	 * @return {Promise} - Resolves when the headers have been updated.
+	 */
+	_refreshCredentials() {
+		let auth = this.options.auth;
+		if (!auth || !_.isFunction(auth.refresh)) {
+			this._authHeaders = this._buildAuthHeaders(auth);
+			return Promise.resolve();
+		}
+		if (!this._authRefreshPromise) {
+			this._authRefreshPromise = Promise.resolve()
+				.then(() => auth.refresh())
+				.then((credentials) => {
+					this._authRefreshPromise = null;
+					this._authHeaders = this._buildAuthHeaders(credentials);
+				}, (err) => {
+					this._authRefreshPromise = null;
+					throw new XError(XError.INTERNAL_ERROR, 'Failed to refresh credentials', err);
+				});
+		}
+		return this._authRefreshPromise;
+	}
+
+	/**
+	 * Refreshes the credentials in the background, emitting `authError` on failure.  This is called
+	 * when ElasticSearch rejects a request with a 401 status.
+	 *
+	 * @method _onAuthenticationFailure
+	 * @private
+	 */
+	_onAuthenticationFailure() {
+		let auth = this.options.auth;
+		if (!auth || !_.isFunction(auth.refresh)) { return; }
+		this._refreshCredentials().catch((err) => this.emit('authError', err));
+	}
+
+	/**
+	 * Schedules the next periodic credential refresh, if credentials are refreshed on an interval.
+	 *
+	 * @method _scheduleCredentialsRefresh
+	 * @private
+	 * @param {Number} generation - The initialization the refresh belongs to.
+	 */
+	_scheduleCredentialsRefresh(generation) {
+		let auth = this.options.auth;
+		if (!auth || !_.isFunction(auth.refresh) || !auth.refreshInterval) { return; }
+		if (generation !== this._connectGeneration) { return; }
+		this._authRefreshTimer = setTimeout(() => {
+			this._authRefreshTimer = null;
+			this._refreshCredentials()
+				.catch((err) => {
+					if (generation === this._connectGeneration) { this.emit('authError', err); }
+				})
+				.then(() => this._scheduleCredentialsRefresh(generation));
+		}, auth.refreshInterval);
+		// Refreshing credentials should not keep the process running
+		if (this._authRefreshTimer.unref) { this._authRefreshTimer.unref(); }
+	}
+
+	/**
+	 * Returns the TLS settings from the connection options in the form accepted by elasticsearch.Client,
+	 * or null if there are none.
+	 *
+	 * @method _getTlsOptions
+	 * @private
+	 * @return {Object|Null}
+	 */
+	_getTlsOptions() {
+		if (!this.options.tls) {
+			return null;
+		}
+		return _.defaults(
+			_.pick(this.options.tls, [ 'ca', 'cert', 'key', 'passphrase', 'rejectUnauthorized' ]),
+			{ rejectUnauthorized: true }
+		);
+	}
+
+	/**
+	 * Returns the adapter used to build requests for the cluster's API version.  Until the connection
+	 * is established, this is the adapter for ElasticSearch 1.x .
+	 *
+	 * @method getApiAdapter
+	 * @return {ApiAdapterV1}
+	 */
+	getApiAdapter() {
+		return this.apiAdapter;
+	}
+
+	/**
+	 * Records the result of a cluster health check, and emits the health events.
+	 *
+	 * @method _setHealthStatus
+	 * @private
+	 * @param {String} status - One of `green`, `yellow`, `red`, or `unavailable` if the check failed.
+	 * @param {Object} [response] - The cluster health response.
+	 * @param {Error} [error] - The error from a failed health check.
+	 */
+	_setHealthStatus(status, response, error) {
+		let previousStatus = this._healthStatus.status;
+		this._healthStatus = {
+			status,
+			checkedAt: new Date(),
+			error: error || null,
+			response: response || null
+		};
+		this.emit('health', this.getHealthStatus());
+		// The first check only establishes the initial status
+		if (status === previousStatus || previousStatus === 'unknown') { return; }
+		if (status !== 'green') {
+			this.emit('degraded', this.getHealthStatus(), previousStatus);
+		} else {
+			this.emit('recovered', this.getHealthStatus(), previousStatus);
+		}
+	}
+
+	/**
+	 * Returns the result of the most recent cluster health check.
+	 *
+	 * @method getHealthStatus
+	 * @return {Object} - Health status object containing:
+	 *   - `status` - One of `green`, `yellow`, `red`, `unavailable` (the check failed), or `unknown`
+	 *     (not checked yet).
+	 *   - `checkedAt` - Date of the check.
+	 *   - `error` - The error if the check failed.
+	 *   - `response` - The raw cluster health response.
+	 */
+	getHealthStatus() {
+		return objtools.deepCopy(this._healthStatus);
+	}
+
+	/**
+	 * Returns the health check settings from the connection options, or null if health checks are disabled.
+	 *
+	 * @method _getHealthCheckOptions
+	 * @private
+	 * @return {Object|Null}
+	 */
+	_getHealthCheckOptions() {
+		if (!this.options.healthCheck) {
+			return null;
+		}
+		let healthCheck = (this.options.healthCheck === true) ? {} : this.options.healthCheck;
+		return objtools.merge({}, DEFAULT_HEALTH_CHECK, healthCheck);
+	}
+
+	/**
+	 * Schedules the next background health check, if health checks are enabled.
+	 *
+	 * @method _scheduleHealthCheck
+	 * @private
+	 * @param {Number} generation - The initialization the health monitor belongs to.
+	 */
+	_scheduleHealthCheck(generation) {
+		let healthCheck = this._getHealthCheckOptions();
+		if (!healthCheck || generation !== this._connectGeneration) { return; }
+		this._healthCheckTimer = setTimeout(() => {
+			this._healthCheckTimer = null;
+			this.client.cluster.health({ level: 'cluster', requestTimeout: healthCheck.timeout })
+				.then((response) => {
+					if (generation !== this._connectGeneration) { return; }
+					this._setHealthStatus(response.status, response, null);
+				}, (err) => {
+					if (generation !== this._connectGeneration) { return; }
+					this._setHealthStatus('unavailable', null, err);
+				})
+				.then(() => this._scheduleHealthCheck(generation));
+		}, healthCheck.interval);
+		// The health monitor should not keep the process running
+		if (this._healthCheckTimer.unref) { this._healthCheckTimer.unref(); }
+	}
+
+	/**
+	 * Returns the reconnect policy from the connection options, or null if retrying is disabled.
+	 *
+	 * @method _getReconnectPolicy
+	 * @private
+	 * @return {Object|Null}
+	 */
+	_getReconnectPolicy() {
+		if (this.options.reconnect === false) {
+			return null;
+		}
+		return objtools.merge({}, DEFAULT_RECONNECT_POLICY, this.options.reconnect || {});
+	}
+
+	/**
+	 * Repeatedly tries to connect to ElasticSearch according to the reconnect policy, until either
+	 * the connection succeeds or the policy runs out of attempts.
+	 *
+	 * @method _connectWithRetry
+	 * @private
+	 * @param {Number} generation - The initialization this attempt belongs to.  Attempts from an
+	 *   older initialization are dropped.
+	 * @param {Number} [attempt=1] - The number of this attempt.
+	 */
+	_connectWithRetry(generation, attempt = 1) {
+		this._tryElasticsearchConnect()
+			.then(() => {
+				if (generation !== this._connectGeneration) { return; }
+				// Resolve the promise and emit a global convenience event
+				this.connectionWaiter.resolve(this);
+				this.emit('connected', this);
+				this._scheduleHealthCheck(generation);
+				this._scheduleCredentialsRefresh(generation);
+			}, (err) => {
+				if (generation !== this._connectGeneration) { return; }
+				let policy = this._getReconnectPolicy();
+				if (!policy || attempt >= policy.maxAttempts) {
+					// emit an error
+					// event signifying the initialization failed.
+					this.connectionWaiter.reject(err);
+					this.emit('error', err);
+					return;
+				}
+				let delay = getBackoffDelay(attempt, policy);
+				this.emit('reconnecting', { attempt, delay, error: err });
+				this._reconnectTimer = setTimeout(() => {
+					this._reconnectTimer = null;
+					this._connectWithRetry(generation, attempt + 1);
+				}, delay);
+			});
+	}
+
+	/**
+	 * Stops any pending connection retry, the background health monitor and credential refreshes.
+	 *
+	 * @method _cancelReconnect
+	 * @private
+	 */
+	_cancelReconnect() {
+		this._connectGeneration++;
+		if (this._reconnectTimer) {
+			clearTimeout(this._reconnectTimer);
+			this._reconnectTimer = null;
+		}
+		if (this._healthCheckTimer) {
+			clearTimeout(this._healthCheckTimer);
+			this._healthCheckTimer = null;
+		}
+		if (this._authRefreshTimer) {
+			clearTimeout(this._authRefreshTimer);
+			this._authRefreshTimer = null;
+		}
 	}
 
 	/**
 	 * Initializes the ES connection.  Resolves `this.connectionPromise` when complete.
-	 * Emits `connected` or `error` events as well.  By default, this is automatically
-	 * called from the constructor.
+	 * Emits `connected` or `error` events as well.  If the cluster cannot be reached, the
+	 * connection is retried according to `options.reconnect`, emitting a `reconnecting`
+	 * event before each retry.  By default, this is automatically called from the constructor.
 	 *
 	 * @method initialize
 	 * @return {Waiter} - Resolve with initialized ElasticsearchConnection.
 	 */
 	initialize() {
 		if (this.client) {
-			// Close the old client if it exists
+			// Close the old clients if they exist
 			this.client.close();
+			if (this.readClient !== this.client) { this.readClient.close(); }
 		}
 
 		// Construct new client options
@@ -132,29 +893,39 @@ class ElasticsearchConnection extends EventEmitter {
 				}).catch((err) => {
 					// Automatically convert ES Error to an XError
 					let { status, message } = err;
+					if (err instanceof elasticsearch.errors.RequestTimeout) {
+						// The client gave up waiting for a response
+						return Promise.reject(new ElasticsearchError(XError.TIMED_OUT, message));
+					}
 					return Promise.reject(ElasticsearchError.fromESError(status, message));
 				});
 				return p;
-			}
+			},
+			// Used by ElasticsearchHttpConnector to authenticate each request
+			getAuthHeaders: () => this._authHeaders,
+			onAuthenticationFailure: () => this._onAuthenticationFailure()
 		}, this._clientOptions);
-		// Initialize a new client
-		this.client = new elasticsearch.Client(clientOptions);
+		let tls = this._getTlsOptions();
+		if (tls) {
+			clientOptions.ssl = objtools.merge({}, clientOptions.ssl || {}, tls);
+		}
+		// Initialize new clients.  A separate read client is only needed if read and write nodes are separated.
+		let nodeOptions = this.options.nodes || {};
+		this.client = this._createClient(clientOptions, nodeOptions.write);
+		if (nodeOptions.read || nodeOptions.sniffRoles) {
+			this.readClient = this._createClient(clientOptions, nodeOptions.read);
+		} else {
+			this.readClient = this.client;
+		}
 
 		// Reset the waiter so new requests that come in in the meantime are queued up
 		this.connectionWaiter.reset();
+		this.requestLimiter = new ElasticsearchRequestLimiter(this.options.limits);
+		this.circuitBreaker = this._createCircuitBreaker();
 
 		// Try to connect and resolve the connection promise if successful
-		this._tryElasticsearchConnect()
-			.then(() => {
-				// Resolve the promise and emit a global convenience event
-				this.connectionWaiter.resolve(this);
-				this.emit('connected', this);
-			}, (err) => {
-				// emit an error
-				// event signifying the initialization failed.
-				this.connectionWaiter.reject(err);
-				this.emit('error', err);
-			});
+		this._cancelReconnect();
+		this._connectWithRetry(this._connectGeneration);
 
 		// Return the connection promise waiter, for convenience.
 		return this.connectionWaiter;
@@ -163,11 +934,13 @@ class ElasticsearchConnection extends EventEmitter {
 	/**
 	 * Get a Connector instance from the underlying Client ConnectionPool.
 	 *
+	 * @param {String} [kind='write'] - Either `read` or `write`; selects the read or write nodes.
 	 * @return {Promise} - Resolves with Client Connector instance
 	 */
-	_getClientConnection() {
+	_getClientConnection(kind = 'write') {
 		return this.getClient()
 			.then((client) => {
+				if (kind === 'read') { client = this.readClient; }
 				return new Promise((resolve, reject) => {
 					client.transport.connectionPool.select((err, connection) => {
 						if (err) { return reject(err); }
@@ -178,7 +951,8 @@ class ElasticsearchConnection extends EventEmitter {
 	}
 
 	/**
-	 * Get the elasticsearch.Client instance from this connection once it is initialized.
+	 * Get the elasticsearch.Client instance from this connection once it is initialized.  If read and
+	 * write nodes are separated, this client sends requests to the write nodes.
 	 *
 	 * @return {Promise{elasticsearch.Client}} Resolves with this connection's client instance.
 	 */
@@ -186,6 +960,347 @@ class ElasticsearchConnection extends EventEmitter {
 		return this.connectionWaiter.promise.then((connection) => connection.client);
 	}
 
+	/**
+	 * Get the elasticsearch.Client instance used for reads once the connection is initialized.  This is
+	 * the same as `getClient()` unless read and write nodes are separated.
+	 *
+	 * @method getReadClient
+	 * @return {Promise{elasticsearch.Client}}
+	 */
+	getReadClient() {
+		return this.connectionWaiter.promise.then((connection) => connection.readClient);
+	}
+
+	/**
+	 * Calls a method on the elasticsearch.Client once the connection is initialized.  The request
+	 * is tracked until it completes, so it can be drained when the connection is closed.  Searches and
+	 * other reads are sent with the read client.
+	 *
+	 * @method clientRequest
+	 * @param {String} method - Path to the client method, such as `search` or `indices.putMapping` .
+	 * @param {Object} [params={}] - Parameters passed to the client method.
+	 * @param {Object} [context={}] - Information about the origin of the request.
+	 *   @param {String} [context.model] - Name of the model the request is made for.
+	 *   @param {String} [context.operation] - Name of the operation the request is made for.
+	 *   @param {AbortSignal} [context.signal] - Cancellation signal.  When triggered, the request is
+	 *     aborted, and rejects with a `request_cancelled` ElasticsearchError.
+	 * @return {Promise} - Resolves with the client method's response.  Rejects with an ElasticsearchError,
+	 *   including if the connection is closed.
+	 */
+	clientRequest(method, params = {}, context = {}) {
+		if (this._closing) { return Promise.reject(buildClosedError({ method })); }
+		return this.getClient().then((client) => {
+			if (_.contains(READ_NODE_METHODS, method)) { client = this.readClient; }
+			let methodPath = method.split('.');
+			let methodName = methodPath.pop();
+			let namespace = methodPath.length ? objtools.getPath(client, methodPath.join('.')) : client;
+			if (!namespace || !_.isFunction(namespace[methodName])) {
+				throw new XError(XError.INTERNAL_ERROR, `Unknown elasticsearch client method: ${method}`);
+			}
+			let kind = _.contains(READ_METHODS, method) ? 'read' : 'write';
+			let retryPolicy = this._getRejectionRetryPolicy();
+			let limiter = this.requestLimiter;
+			return new Promise((resolve, reject) => {
+				let request = null;
+				let release = _.noop;
+				let breakerTicket = null;
+				let retryTimer = null;
+				let aborted = false;
+				let abortRequest = (err) => {
+					aborted = true;
+					if (request && request.abort) { request.abort(); }
+					if (breakerTicket) { breakerTicket.cancel(); }
+					clearTimeout(retryTimer);
+					release();
+					reject(err);
+				};
+				let removeCancelListener = _.noop;
+				let untrack = _.noop;
+				let done = () => {
+					removeCancelListener();
+					untrack();
+				};
+				// Called when the connection is closed and the drain times out
+				untrack = this._trackRequest(context, () => {
+					done();
+					let message = 'Request was aborted';
+					abortRequest(new ElasticsearchError(ElasticsearchError.DB_ERROR, message, { method }));
+				});
+				removeCancelListener = onCancel(context.signal, () => {
+					done();
+					abortRequest(new ElasticsearchError(ElasticsearchError.REQUEST_CANCELLED, 'Request was cancelled', {
+						method
+					}));
+				});
+				if (aborted) { return; }
+				let fail = (err) => {
+					done();
+					reject(err);
+				};
+				let sendRequest = (attempt) => {
+					breakerTicket = this._beginCircuitBreakerRequest(method);
+					if (breakerTicket instanceof Error) { return fail(breakerTicket); }
+					limiter.acquire(kind).then((releaseSlot) => {
+						release = releaseSlot;
+						if (aborted) { return release(); }
+						// The client sends the request synchronously, so the instrumented transport picks up
+						// the context
+						this._clientRequestContext = context;
+						try {
+							request = namespace[methodName](params);
+						} finally {
+							this._clientRequestContext = null;
+						}
+						request.then((result) => {
+							release();
+							breakerTicket.end();
+							done();
+							resolve(result);
+						}, (err) => {
+							if (aborted) { return; }
+							release();
+							breakerTicket.end(err);
+							if (retryPolicy && attempt < retryPolicy.maxAttempts && isRejectedExecutionError(err)) {
+								let delay = getBackoffDelay(attempt, retryPolicy);
+								this.emit('requestRejected', { method, attempt, delay, error: err, context });
+								retryTimer = setTimeout(() => sendRequest(attempt + 1), delay);
+								return;
+							}
+							fail(err);
+						});
+					}).catch((err) => {
+						// The client method may throw synchronously, after the slot was acquired
+						release();
+						breakerTicket.cancel();
+						fail(err);
+					});
+				};
+				sendRequest(1);
+			});
+		});
+	}
+
+	/**
+	 * Creates the circuit breaker from the connection options, or returns null if it is disabled.
+	 *
+	 * @method _createCircuitBreaker
+	 * @private
+	 * @return {ElasticsearchCircuitBreaker|Null}
+	 */
+	_createCircuitBreaker() {
+		if (!this.options.circuitBreaker) {
+			return null;
+		}
+		let breakerOptions = (this.options.circuitBreaker === true) ? {} : this.options.circuitBreaker;
+		let breaker = new ElasticsearchCircuitBreaker(breakerOptions);
+		breaker.on('stateChange', (change) => this.emit('circuitStateChange', change));
+		return breaker;
+	}
+
+	/**
+	 * Registers a request with the circuit breaker.
+	 *
+	 * @method _beginCircuitBreakerRequest
+	 * @private
+	 * @param {String} method - The client method or HTTP method of the request.
+	 * @return {Object|ElasticsearchError} - The circuit breaker ticket for the request (see
+	 *   ElasticsearchCircuitBreaker#begin), or an error if the request may not be sent.
+	 */
+	_beginCircuitBreakerRequest(method) {
+		if (!this.circuitBreaker) {
+			return { end: _.noop, cancel: _.noop };
+		}
+		let ticket = this.circuitBreaker.begin();
+		if (!ticket) {
+			return new ElasticsearchError(ElasticsearchError.DB_CIRCUIT_OPEN, {
+				method,
+				state: this.circuitBreaker.getState()
+			});
+		}
+		return ticket;
+	}
+
+	/**
+	 * Returns the circuit breaker state.
+	 *
+	 * @method getCircuitBreakerState
+	 * @return {String|Null} - One of `closed`, `open` or `halfOpen`, or null if the circuit breaker
+	 *   is disabled.
+	 */
+	getCircuitBreakerState() {
+		return this.circuitBreaker ? this.circuitBreaker.getState() : null;
+	}
+
+	/**
+	 * Returns the policy for retrying rejected requests from the connection options, or null if
+	 * retrying is disabled.
+	 *
+	 * @method _getRejectionRetryPolicy
+	 * @private
+	 * @return {Object|Null}
+	 */
+	_getRejectionRetryPolicy() {
+		if (this.options.rejectionRetry === false) {
+			return null;
+		}
+		return objtools.merge({}, DEFAULT_REJECTION_RETRY_POLICY, this.options.rejectionRetry || {});
+	}
+
+	/**
+	 * Emits the `request` instrumentation event for a request being sent.
+	 *
+	 * @method _emitRequestEvent
+	 * @private
+	 * @param {Object} params - Parameters of the request.
+	 *   @param {String} [params.method='GET']
+	 *   @param {String} [params.path='/']
+	 *   @param {Object} [params.query]
+	 *   @param {String|Object} [params.body] - The request body.
+	 * @param {Object} [context={}] - Information about the origin of the request.
+	 * @return {Function} - Function to call with `(error, status)` when the request completes, which
+	 *   emits the `response` event.
+	 */
+	_emitRequestEvent(params, context = {}) {
+		let startTime = Date.now();
+		let info = {
+			id: ++this._instrumentationCounter,
+			method: (params.method || 'GET').toUpperCase(),
+			path: (params.path || '/').split('?')[0],
+			query: params.query || {},
+			bodySize: getBodySize(params.body),
+			model: context.model,
+			operation: context.operation
+		};
+		this.emit('request', info);
+		return _.once((error, status) => {
+			this.emit('response', _.assign({}, info, {
+				took: Date.now() - startTime,
+				status: status || (error && error.status),
+				error: error || null
+			}));
+		});
+	}
+
+	/**
+	 * Wraps the request method of an elasticsearch.Client transport to emit instrumentation events
+	 * for every request the client makes.
+	 *
+	 * @method _instrumentTransport
+	 * @private
+	 * @param {Transport} transport
+	 */
+	_instrumentTransport(transport) {
+		let transportRequest = transport.request;
+		transport.request = (params, cb) => {
+			let context = this._clientRequestContext || {};
+			let ret;
+			let callback = (err, body, status) => {
+				emitResponse(err, status);
+				if (typeof cb === 'function') {
+					cb(err, body, status);
+				} else if (err) {
+					// Same as the promise handling in Transport#request
+					err.body = body;
+					err.status = status;
+					ret.reject(err);
+				} else {
+					ret.resolve(body);
+				}
+			};
+			if (typeof cb !== 'function') {
+				ret = transport.defer();
+			}
+			// Emitted before sending, since the transport may call back synchronously
+			let emitResponse = this._emitRequestEvent(params, context);
+			let handle = transportRequest.call(transport, params, callback);
+			if (typeof cb === 'function') {
+				return handle;
+			}
+			ret.promise.abort = handle.abort;
+			return ret.promise;
+		};
+	}
+
+	/**
+	 * Registers a request as in flight.
+	 *
+	 * @method _trackRequest
+	 * @private
+	 * @param {Object} context - Information about the origin of the request.
+	 * @param {Function} [abort] - Function that aborts the request.
+	 * @return {Function} - Function to call when the request has completed.
+	 */
+	_trackRequest(context, abort) {
+		let id = ++this._requestCounter;
+		let waiter = pasync.waiter();
+		this._pendingRequests[id] = { context, abort, waiter };
+		return () => {
+			delete this._pendingRequests[id];
+			waiter.resolve();
+		};
+	}
+
+	/**
+	 * Registers a scroll as open on the server.  Open scrolls are cleared when the connection is
+	 * closed with `drain` set.
+	 *
+	 * @method _trackScroll
+	 * @private
+	 * @param {String} scrollId
+	 */
+	_trackScroll(scrollId) {
+		this._activeScrolls[scrollId] = true;
+	}
+
+	/**
+	 * Unregisters a scroll that was finished or cleared.
+	 *
+	 * @method _untrackScroll
+	 * @private
+	 * @param {String} scrollId
+	 */
+	_untrackScroll(scrollId) {
+		delete this._activeScrolls[scrollId];
+	}
+
+	/**
+	 * Waits for a request limiter slot for a raw request, and selects a client connection to send it on.
+	 * Requests with the `GET` and `HEAD` methods count as reads, and are sent to the read nodes.
+	 *
+	 * @method _acquireRawRequestSlot
+	 * @private
+	 * @param {Object} params - Raw request parameters.
+	 * @return {Promise} - Resolves with a tuple of the connector, a function that releases the slot, and
+	 *   a function to call with `(error, status)` when the response has been received.
+	 */
+	_acquireRawRequestSlot(params) {
+		let method = (params.method || 'GET').toUpperCase();
+		let kind = _.contains([ 'GET', 'HEAD' ], method) ? 'read' : 'write';
+		return this.getClient()
+			.then(() => {
+				let breakerTicket = this._beginCircuitBreakerRequest(method);
+				if (breakerTicket instanceof Error) { throw breakerTicket; }
+				return this.requestLimiter.acquire(kind)
+					.then((releaseSlot) => this._getClientConnection(kind).then((connection) => {
+						// Records the result of the request with the circuit breaker
+						let recordResult = (err, status) => {
+							if (!err && status >= 500) {
+								err = ElasticsearchError.fromESError(status, `Request to ${params.path} failed`);
+							}
+							breakerTicket.end(err);
+						};
+						return [ connection, releaseSlot, recordResult ];
+					}, (err) => {
+						releaseSlot();
+						throw err;
+					}))
+					.catch((err) => {
+						breakerTicket.cancel();
+						throw err;
+					});
+			});
+	}
+
 	/**
 	 * Send a request to ElasticSearch.
 	 *
@@ -194,54 +1309,201 @@ class ElasticsearchConnection extends EventEmitter {
 	 *   @param {String} [options.method='GET']
 	 *   @param {Object} [options.headers={}] - Object containing headers
 	 *   @param {Object} [options.qs={}] - Object containing query string parameters
-	 *   @param {Object} [options.body] - Object containing body parameters
-	 * @return {Promise} - Resolves with the parsed response body.  Reject with an ElasticsearchError.
+	 *   @param {Object|Array|String} [options.body] - The request body.  Objects are sent as JSON, and
+	 *     arrays as newline-delimited JSON (one line per element).  Strings and Buffers are sent as is.
+	 * @return {Promise} - Resolves with the response body, parsed if it is JSON.  Rejects with an
+	 *   ElasticsearchError, including if the response status is not 2xx or the connection is closed.
 	 */
-	request(params) {
-		return this._getClientConnection().then((connection) => {
+	request(path, options = {}) {
+		if (this._closing) { return Promise.reject(buildClosedError({ path })); }
+		let params = buildRawRequestParams(path, options);
+		return this._acquireRawRequestSlot(params).then(([ connection, release, recordResult ]) => {
 			return new Promise((resolve, reject) => {
-				connection.request(params, (err, stream) => {
+				// Set up before sending, since the connector may call back synchronously
+				let abort;
+				let done = this._trackRequest({ path: params.path }, () => abort && abort());
+				let emitResponse = this._emitRequestEvent(params);
+				abort = connection.request(params, (err, body, status, headers) => {
+					let result;
+					if (err) {
+						err = ElasticsearchError.fromESError(err.status, err.message);
+					} else if (!isSuccessStatus(status)) {
+						err = getResponseError(status, body, headers);
+					} else {
+						try {
+							result = parseResponseBody(body, headers);
+						} catch (ex) {
+							err = ex;
+						}
+					}
+					emitResponse(err, status);
+					recordResult(err, status);
+					release();
+					done();
 					if (err) { return reject(err); }
-					resolve(stream);
+					resolve(result);
 				});
 			});
 		});
 	}
 
 	/**
-	 * Send a request to ElasticSearch.  Returns the result as a stream of raw data.
+	 * Send a request to ElasticSearch.  Returns the result as a stream of raw data, or optionally as a
+	 * stream of parsed objects.
 	 *
 	 * @param {String} path - The HTTP path to request.  This may optionally start with a `/` .
 	 * @param {Object} [options]
 	 *   @param {String} [options.method='GET']
 	 *   @param {Object} [options.headers={}] - Object containing headers
 	 *   @param {Object} [options.qs={}] - Object containing query string parameters
-	 *   @param {Object} [options.body] - Object containing body parameters
-	 * @return {Promise} - Resolves with a zstreams object built from an IncomingRequestStream
+	 *   @param {Object|Array|String} [options.body] - The request body; see `request()` .
+	 *   @param {String} [options.parse] - Set to `ndjson` to parse a newline-delimited JSON response, or
+	 *     to `json-array` to parse a response containing a JSON array.  The returned stream then emits
+	 *     each parsed line or array element as an object.
+	 * @return {Promise} - Resolves with a zstreams object built from an IncomingRequestStream.  Rejects
+	 *   with an ElasticsearchError, including if the response status is not 2xx or the connection is closed.
 	 */
-	requestStream(params) {
-		return this._getClientConnection().then((connection) => {
+	requestStream(path, options = {}) {
+		if (this._closing) { return Promise.reject(buildClosedError({ path })); }
+		if (options.parse && !_.contains([ 'ndjson', 'json-array' ], options.parse)) {
+			return Promise.reject(new XError(XError.INVALID_ARGUMENT, `Unknown response format: ${options.parse}`));
+		}
+		let params = buildRawRequestParams(path, options);
+		return this._acquireRawRequestSlot(params).then(([ connection, release, recordResult ]) => {
 			return new Promise((resolve, reject) => {
-				connection.requestStream(params, (err, stream) => {
-					if (err) { return reject(err); }
+				// Set up before sending, since the connector may call back synchronously
+				let abort;
+				let untrack = this._trackRequest({ path: params.path }, () => abort && abort());
+				let done = _.once(() => {
+					release();
+					untrack();
+				});
+				let emitResponse = this._emitRequestEvent(params);
+				let fail = (err, status) => {
+					emitResponse(err, status);
+					recordResult(err, status);
+					done();
+					reject(err);
+				};
+				abort = connection.requestStream(params, (err, stream) => {
+					if (err) {
+						return fail(ElasticsearchError.fromESError(err.status, err.message));
+					}
+					let status = stream.statusCode;
+					// The request stays in flight until the response has been fully read
+					stream.on('end', done);
+					stream.on('error', done);
+					stream.on('close', done);
+					if (!isSuccessStatus(status)) {
+						return stream.intoString().then(
+							(body) => fail(getResponseError(status, body, stream.headers), status),
+							(err) => fail(ElasticsearchError.fromESError(status, err.message), status)
+						);
+					}
+					emitResponse(null, status);
+					recordResult(null, status);
+					if (options.parse === 'ndjson') {
+						stream = stream
+							.pipe(new zstreams.SplitStream())
+							.filterSync((line) => !!line.trim())
+							.throughObj((line, cb) => {
+								let obj;
+								try {
+									obj = JSON.parse(line);
+								} catch (ex) {
+									let message = 'Invalid line in NDJSON response';
+									return cb(new ElasticsearchError(XError.INTERNAL_ERROR, message, ex));
+								}
+								cb(null, obj);
+							});
+					} else if (options.parse === 'json-array') {
+						stream = stream.pipe(new ElasticsearchJsonArrayStream());
+					}
 					resolve(stream);
 				});
 			});
 		});
 	}
 
+	/**
+	 * Waits for all requests in flight to complete.  Requests still running after the timeout are aborted.
+	 *
+	 * @method _drainRequests
+	 * @private
+	 * @param {Number} timeout - Time (in ms) to wait for requests to complete.
+	 * @return {Promise}
+	 */
+	_drainRequests(timeout) {
+		let timedOut = false;
+		let timer;
+		let timeoutPromise = new Promise((resolve) => {
+			timer = setTimeout(() => {
+				timedOut = true;
+				resolve();
+			}, timeout);
+		});
+		// Requests made before closing are only tracked once the client is ready, so keep waiting until none are left
+		let waitForRequests = () => {
+			let waiters = _.map(_.values(this._pendingRequests), (request) => request.waiter.promise);
+			if (!waiters.length || timedOut) { return Promise.resolve(); }
+			return Promise.all(waiters).then(waitForRequests);
+		};
+		return Promise.race([ waitForRequests(), timeoutPromise ])
+			.then(() => {
+				clearTimeout(timer);
+				let requests = _.values(this._pendingRequests);
+				this._pendingRequests = {};
+				for (let request of requests) {
+					if (request.abort) { request.abort(); }
+				}
+			});
+	}
+
+	/**
+	 * Clears all scrolls that are still open on the server.
+	 *
+	 * @method _clearActiveScrolls
+	 * @private
+	 * @return {Promise}
+	 */
+	_clearActiveScrolls() {
+		let scrollIds = _.keys(this._activeScrolls);
+		this._activeScrolls = {};
+		if (!scrollIds.length || !this.client) { return Promise.resolve(); }
+		return this.client.clearScroll(this.apiAdapter.buildClearScrollParams(scrollIds))
+			.catch(() => {}); // Scrolls which already expired cannot be cleared
+	}
+
 	/**
 	 * Closes the connection to ElasticSearch.
 	 *
 	 * @method close
-	 * @return {Promise}
+	 * @param {Object} [options={}]
+	 *   @param {Boolean} [options.drain=false] - If set, wait for requests in flight to complete and clear
+	 *     any open scrolls before closing the client.  New requests are rejected as soon as `close()` is
+	 *     called, even while draining.
+	 *   @param {Number} [options.timeout=30000] - When draining, the time (in ms) to wait for requests to
+	 *     complete.  Requests still running after this are aborted, and reject with an ElasticsearchError.
+	 * @return {Promise} - Resolves when the connection is closed.
 	 */
-	close() {
-		if (this.client) {
-			// Close open client connections
-			this.client.close();
+	close(options = {}) {
+		this._closing = true;
+		this._cancelReconnect();
+		this.indexManager.cancelLifecycle();
+		let closeClient = () => {
+			if (this.client) {
+				// Close open client connections
+				this.client.close();
+				if (this.readClient !== this.client) { this.readClient.close(); }
+			}
+		};
+		if (!options.drain) {
+			closeClient();
+			return Promise.resolve();
 		}
-		return Promise.resolve();
+		return this._drainRequests(options.timeout || 30000)
+			.then(() => this._clearActiveScrolls())
+			.then(closeClient);
 	}
 
 }
@@ -8,6 +8,7 @@ const objtools = require('objtools');
 const Profiler = require('simprof');
 const { SchemaDocument } = require('unimodel-core');
 const ElasticsearchError = require('./elasticsearch-error');
+const { buildTimeoutParams } = require('./utils');
 
 const profiler = new Profiler('ElasticsearchDocument');
 
@@ -60,11 +61,12 @@ class ElasticsearchDocument extends SchemaDocument {
 	 */
 	static fromESData(model, esdata, isPartialDocument = false) {
 		esdata.fields = esdata.fields || {};
+		// Newer ElasticSearch versions return _routing and _parent along with the other metadata
 		let fields = {
 			id: esdata._id,
 			index: esdata._index,
-			routing: esdata.fields._routing,
-			parent: esdata.fields._parent
+			routing: esdata._routing || esdata.fields._routing,
+			parent: esdata._parent || esdata.fields._parent
 		};
 		return new ElasticsearchDocument(model, esdata._source, fields, true, isPartialDocument);
 	}
@@ -167,27 +169,134 @@ class ElasticsearchDocument extends SchemaDocument {
 	 *   @param {String} [opts.consistency] - Save consistency. Could be: "one", "quorum", "all"
 	 *   @param {Boolean} [opts.refresh] - If true, refresh the index after saving.
 	 *   @param {String} [opts.replication] - Replication types. Could be: "sync", "async"
+	 *   @param {AbortSignal} [opts.signal] - Cancellation signal.  When triggered, the request in flight is
+	 *     aborted, and the save rejects with a `request_cancelled` ElasticsearchError.
+	 *   @param {Number} [opts.timeout] - Time (in ms) ES waits for the primary shard to become available.
+	 *     If ES does not respond shortly after, the save fails with a `timed_out` ElasticsearchError.
 	 * @return {Promise{ElasticsearchDocument}} - Resolves when the document has been saved.
 	 */
 	save(opts = {}) {
 		let prof = profiler.begin('#save');
 
-		// Validate opts if they exist
-		if (!_.isEmpty(opts)) {
-			if (opts.consistency) {
-				if (!_.contains([ 'one', 'quorum', 'all' ], opts.consistency)) {
-					let msg = 'Save consistency options must be one of: "one", "quorum", "all"';
-					throw new XError(XError.INVALID_ARGUMENT, msg);
-				}
+		ElasticsearchDocument._validateSaveOptions(opts);
+
+		return this._prepareSave()
+			.then((normalizedData) => {
+				// Ensure the model is initialized before sending requests through the connection
+				let connection = this.model.connection;
+				let apiAdapter = connection.getApiAdapter();
+				let requestContext = { model: this.model.getName(), operation: 'save', signal: opts.signal };
+				let timeoutParams = buildTimeoutParams(opts.timeout);
+				return this.model.initialize().then(() => {
+					return this._purgeOriginal(opts, 'save')
+						.then(() => {
+							// Perform the index operation
+							return connection.clientRequest('index', apiAdapter.translateWriteParams({
+								type: this.getType(),
+								id: this.fields.id,
+								index: this.fields.index,
+								parent: this.fields.parent,
+								routing: this.fields.routing,
+								body: normalizedData,
+								fields: [ '_routing', '_parent', '_id', '_index' ],
+								consistency: opts.consistency,
+								refresh: opts.refresh,
+								replication: opts.replication || 'sync',
+								timeout: timeoutParams.timeout,
+								requestTimeout: timeoutParams.requestTimeout
+							}), requestContext);
+						})
+						.then((esdata) => {
+							// Set fields based on the response
+							this.setInternalId(esdata._id);
+							this.setIndexId(esdata._index);
+							if (esdata.fields) {
+								if (esdata.fields._parent) {
+									this.setParentId(esdata.fields._parent);
+								}
+								if (esdata.fields._routing) {
+									this.setRouting(esdata.fields._routing);
+								}
+							}
+						});
+				});
+			})
+			.then(() => this._finishSave())
+			.then(() => this)
+			.then(prof.wrappedEnd());
+	}
+
+	/**
+	 * Deletes the document from where it was last saved, if its ID, routing, index or parent changed
+	 * since.  This must run before the document is written again, once the model is initialized.
+	 *
+	 * @method _purgeOriginal
+	 * @private
+	 * @param {Object} opts - Options as passed to `save()` .
+	 * @param {String} operation - Name of the operation, for the request context.
+	 * @return {Promise}
+	 */
+	_purgeOriginal(opts, operation) {
+		let internalFields = [ 'id', 'routing', 'index', 'parent' ];
+		let needsPurged = !!this._originalFields && _.any(internalFields, (field) => {
+			return (
+				this._originalFields[field] &&
+				this.fields[field] !== this._originalFields[field]
+			);
+		});
+		if (!needsPurged) { return Promise.resolve(); }
+		// Need to purge the unclean
+		let connection = this.model.connection;
+		let timeoutParams = buildTimeoutParams(opts.timeout);
+		let requestContext = { model: this.model.getName(), operation, signal: opts.signal };
+		return connection.clientRequest('delete', connection.getApiAdapter().translateWriteParams({
+			type: this.getType(),
+			id: this._originalFields.id,
+			index: this._originalFields.index,
+			routing: this._originalFields.routing,
+			parent: this._originalFields.parent,
+			timeout: timeoutParams.timeout,
+			requestTimeout: timeoutParams.requestTimeout
+		}), requestContext).catch((err) => {
+			// Care for "does not exist"
+			return Promise.reject(err);
+		});
+	}
+
+	/**
+	 * Validates the options of a save operation.
+	 *
+	 * @method _validateSaveOptions
+	 * @static
+	 * @private
+	 * @throws {XError} - If the consistency or replication option is invalid.
+	 * @param {Object} opts - Options as passed to `save()` .
+	 */
+	static _validateSaveOptions(opts) {
+		if (opts.consistency) {
+			if (!_.contains([ 'one', 'quorum', 'all' ], opts.consistency)) {
+				let msg = 'Save consistency options must be one of: "one", "quorum", "all"';
+				throw new XError(XError.INVALID_ARGUMENT, msg);
 			}
-			if (opts.replication) {
-				if (!_.contains([ 'sync', 'async' ], opts.replication)) {
-					let msg = 'Replication types must be one of: "sync", "async"';
-					throw new XError(XError.INVALID_ARGUMENT, msg);
-				}
+		}
+		if (opts.replication) {
+			if (!_.contains([ 'sync', 'async' ], opts.replication)) {
+				let msg = 'Replication types must be one of: "sync", "async"';
+				throw new XError(XError.INVALID_ARGUMENT, msg);
 			}
 		}
+	}
 
+	/**
+	 * Runs the steps of a save which come before the write request: normalizes the data, sets the
+	 * internal fields and the index to save into, and triggers the `pre-save` hooks.  This is also
+	 * used by bulk writes.
+	 *
+	 * @method _prepareSave
+	 * @private
+	 * @return {Promise{Object}} - Resolves with the normalized data to write.
+	 */
+	_prepareSave() {
 		let normalizedData;
 		return Promise.resolve()
 			.then(() => this.model.trigger('pre-normalize'))
@@ -215,83 +324,48 @@ class ElasticsearchDocument extends SchemaDocument {
 			.then(() => this.model.trigger('post-normalize'))
 			.then(() => this.model.trigger('pre-save'))
 			.then(() => {
-				// Ensure we have an index to save this document in
-				if (this.getIndexId()) { return Promise.resolve(); }
-				return this.model.getIndex()
-					.then((index) => this.setIndexId(index.getName()));
-			})
-			.then(() => {
-				// Retreive the connection's ElasticSearch client
-				return this.model.getClient().then((client) => {
-					return Promise.resolve()
-						.then(() => {
-							// Check if existing document needs to be purged first
-							let internalFields = [ 'id', 'routing', 'index', 'parent' ];
-							let needsPurged = !!this._originalFields && _.any(internalFields, (field) => {
-								return (
-									this._originalFields[field] &&
-									this.fields[field] !== this._originalFields[field]
-								);
-							});
-							if (!needsPurged) { return Promise.resolve(); }
-							// Need to purge the unclean
-							return client.delete({
-								type: this.getType(),
-								id: this._originalFields.id,
-								index: this._originalFields.index,
-								routing: this._originalFields.routing,
-								parent: this._originalFields.parent
-							}).catch((err) => {
-								// Care for "does not exist"
-								return Promise.reject(err);
-							});
-						})
-						.then(() => {
-							// Perform the index operation
-							return client.index({
-								type: this.getType(),
-								id: this.fields.id,
-								index: this.fields.index,
-								parent: this.fields.parent,
-								routing: this.fields.routing,
-								body: normalizedData,
-								fields: [ '_routing', '_parent', '_id', '_index' ],
-								consistency: opts.consistency,
-								refresh: opts.refresh,
-								replication: opts.replication || 'sync'
-							});
-						})
-						.then((esdata) => {
-							// Set fields based on the response
-							this.setInternalId(esdata._id);
-							this.setIndexId(esdata._index);
-							if (esdata.fields) {
-								if (esdata.fields._parent) {
-									this.setParentId(esdata.fields._parent);
-								}
-								if (esdata.fields._routing) {
-									this.setRouting(esdata.fields._routing);
-								}
-							}
-						});
-				});
-			})
-			.then(() => {
-				this._originalData = objtools.deepCopy(this.data);
-				this._originalFields = objtools.deepCopy(this.fields);
+				// Ensure we have an index to save this document in.  Existing documents of time-based models
+				// move to another index when their date changes.
+				let isMovable = !!this.model.indexPattern && !!this._originalFields;
+				if (this.getIndexId() && !isMovable) { return Promise.resolve(); }
+				return this.model.getIndexForData(normalizedData)
+					.then((index) => {
+						if (isMovable && index.concreteName === this._originalFields.index) { return; }
+						// New documents are written through the write alias of the index, if it has one
+						this.setIndexId(index.getWriteName());
+						let aliasRouting = index.getWriteRouting();
+						if (!_.isUndefined(aliasRouting)) {
+							this.setRouting(aliasRouting);
+						}
+					});
 			})
-			.then(() => this.model.trigger('post-save'))
-			.then(() => this)
-			.then(prof.wrappedEnd());
+			.then(() => normalizedData);
+	}
+
+	/**
+	 * Runs the steps of a save which come after the write request: marks the data as saved, and
+	 * triggers the `post-save` hooks.
+	 *
+	 * @method _finishSave
+	 * @private
+	 * @return {Promise}
+	 */
+	_finishSave() {
+		this._originalData = objtools.deepCopy(this.data);
+		this._originalFields = objtools.deepCopy(this.fields);
+		return Promise.resolve(this.model.trigger('post-save'));
 	}
 
 	/**
 	 * Remove document from the database.
 	 *
 	 * @method remove
+	 * @param {Object} [opts]
+	 *   @param {AbortSignal} [opts.signal] - Cancellation signal.  When triggered, the request in flight is
+	 *     aborted, and the removal rejects with a `request_cancelled` ElasticsearchError.
 	 * @return {Promise{ElasticsearchDocument}} - Resovles when the document has been removed.
 	 */
-	remove() {
+	remove(opts = {}) {
 		let prof = profiler.begin('#remove');
 
 		return Promise.resolve()
@@ -319,16 +393,15 @@ class ElasticsearchDocument extends SchemaDocument {
 			})
 			.then(() => this.model.trigger('pre-remove'))
 			.then(() => {
-				// Get the connection's client
-				return this.model.connection.getClient()
-					// Run the actual delete
-					.then((client) => client.delete({
-						type: this.model.getName(),
-						id: this._originalFields.id,
-						index: this._originalFields.index,
-						routing: this._originalFields.routing,
-						parent: this._originalFields.parent
-					}));
+				// Run the actual delete
+				let connection = this.model.connection;
+				return connection.clientRequest('delete', connection.getApiAdapter().translateWriteParams({
+					type: this.model.getName(),
+					id: this._originalFields.id,
+					index: this._originalFields.index,
+					routing: this._originalFields.routing,
+					parent: this._originalFields.parent
+				}), { model: this.model.getName(), operation: 'remove', signal: opts.signal });
 			})
 			.then(() => this.model.trigger('post-remove'))
 			.then(() => {
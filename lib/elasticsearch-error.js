@@ -47,5 +47,13 @@ XError.registerErrorCode('db_error', {
 	message: 'Internal database error',
 	http: 500
 });
+XError.registerErrorCode('db_circuit_open', {
+	message: 'Requests to the database are suspended after repeated failures',
+	http: 503
+});
+XError.registerErrorCode('request_cancelled', {
+	message: 'The request was cancelled',
+	http: 499
+});
 
 module.exports = ElasticsearchError;
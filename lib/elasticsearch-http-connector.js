@@ -17,11 +17,45 @@ const zstreams = require('zstreams');
  * @param {Host} host - The host object representing the elasticsearch node we will be talking to.
  * @param {Object} [config] - Configuration options (extends the configuration options for ConnectionAbstract).
  *   @param {Number} [config.concurrency=10] - the maximum number of sockets that will be opened to this node.
+ *   @param {Function} [config.getAuthHeaders] - Returns headers used to authenticate each request.
+ *   @param {Function} [config.onAuthenticationFailure] - Called when a request is rejected with a 401 status.
  */
 class ElasticsearchHttpConnector extends HttpConnector {
 
-	constructor(host, config) {
+	constructor(host, config = {}) {
 		super(host, config);
+		this.getAuthHeaders = config.getAuthHeaders;
+		this.onAuthenticationFailure = config.onAuthenticationFailure;
+	}
+
+	/**
+	 * Extends HttpConnector.makeReqParams to add the authentication headers to each request.  Headers
+	 * given in the request parameters take precedence.
+	 *
+	 * @param {Object} params - ElasticSearch request parameters.
+	 * @return {Object} - Parameters for `http.request()` .
+	 */
+	makeReqParams(params) {
+		let reqParams = super.makeReqParams(params);
+		let authHeaders = this.getAuthHeaders && this.getAuthHeaders();
+		if (!_.isEmpty(authHeaders)) {
+			reqParams.headers = _.assign({}, authHeaders, reqParams.headers || {});
+		}
+		return reqParams;
+	}
+
+	/**
+	 * Extends HttpConnector.request to report authentication failures.
+	 *
+	 * @param {Object} params - ElasticSearch request parameters.
+	 * @param {Function} cb
+	 * @return {Function} - Aborts the request.
+	 */
+	request(params, cb) {
+		return super.request(params, (err, response, status, headers) => {
+			if (status === 401 && this.onAuthenticationFailure) { this.onAuthenticationFailure(); }
+			cb(err, response, status, headers);
+		});
 	}
 
 	/**
@@ -54,6 +88,7 @@ class ElasticsearchHttpConnector extends HttpConnector {
 
 		let request = this.hand.request(reqParams, (_incoming) => {
 			let incoming = zstreams(_incoming);
+			if (_incoming.statusCode === 401 && this.onAuthenticationFailure) { this.onAuthenticationFailure(); }
 
 			// Automatically handle unzipping incoming stream
 			let encoding = (_incoming.headers['content-encoding'] || '').toLowerCase();
@@ -61,8 +96,11 @@ class ElasticsearchHttpConnector extends HttpConnector {
 				incoming = incoming.pipe(zlib.createUnzip());
 			}
 
-			// Wrap IncomingMessage functinoality into the zstream
-			_incoming.on('close', () => incoming.emit('close'));
+			// Wrap IncomingMessage functinoality into the zstream.  zstreams converts the IncomingMessage
+			// in place, so `close` only needs to be forwarded to an unzip stream.
+			if (incoming !== _incoming) {
+				_incoming.on('close', () => incoming.emit('close'));
+			}
 			incoming.httpVersion = _incoming.httpVersion;
 			incoming.headers = _incoming.headers;
 			incoming.rawHeaders = _incoming.rawHeaders;
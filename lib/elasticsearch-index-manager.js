@@ -2,6 +2,11 @@
 // Licensed under the Apache License, Version 2.0
 // http://www.apache.org/licenses/LICENSE-2.0
 
+const _ = require('lodash');
+const crypto = require('crypto');
+const objtools = require('objtools');
+const { EventEmitter } = require('events');
+const pasync = require('pasync');
 const ElasticsearchIndex = require('./elasticsearch-index');
 const elasticsearchUtils = require('./utils');
 const XError = require('xerror');
@@ -26,18 +31,48 @@ const XError = require('xerror');
  *   }
  *   ```
  *   If multiple globs match the same index names, the first listed glob takes precedence.
+ *   Each config may also contain a `template` key, used by `putTemplates()` .  It may be set to
+ *   `false` to skip the glob, or to an object containing the template `name` and `order` .
+ *   A `lifecycle` key sets the rules enforced on the indexes matching the glob by `applyLifecycle()`:
+ *   ```js
+ *   {
+ *     'logs_*': {
+ *       aliases: { read: 'logs', write: 'logs_current' },
+ *       lifecycle: {
+ *         // Roll the write alias over to a new index when any condition is reached
+ *         rollover: { maxAge: '1d', maxSize: '50gb', maxDocs: 10000000 },
+ *         // Delete (or close) indexes beyond the 30 most recent, or created more than 90 days ago
+ *         retention: { maxIndexes: 30, maxAge: '90d', action: 'delete' }
+ *       }
+ *     }
+ *   }
+ *   ```
+ *   Durations are in milliseconds, or strings such as `12h` or `7d`; sizes are in bytes, or strings
+ *   such as `50gb` .  Rollover requires a write alias.  The index holding the write alias is never
+ *   expired.
+ *
+ * Emits `lifecycle` with the report of each `applyLifecycle()` call, and `lifecycleError` when a
+ * scheduled lifecycle run fails.  The `drift` reports of the managed indexes are also emitted by the
+ * manager.  Set `strict: true` in a config to fail initializing indexes which drifted from it.
  * @param {Object} [indexOptions] - Options to pass to the ElasticsearchIndex constructor
  *   for initializing indexes.
  */
-class ElasticsearchIndexManager {
+class ElasticsearchIndexManager extends EventEmitter {
 
 	constructor(connection, indexConfigs, indexOptions={}) {
+		super();
 		this.connection = connection;
 		this.indexConfigs = indexConfigs;
 		this.indexOptions = indexOptions;
 
 		// This is a map from string index names to instantiated ElasticsearchIndex objects
 		this.indexMap = {};
+		// Map from index names to the listeners attached to the indexes in `indexMap`
+		this._indexListeners = {};
+
+		// Timer of the scheduled lifecycle runs, and whether a run is in progress
+		this._lifecycleTimer = null;
+		this._lifecycleRunning = false;
 	}
 
 	/**
@@ -53,23 +88,527 @@ class ElasticsearchIndexManager {
 		} else {
 
 			// Find a matching config
-			let matchingConfig;
-			for (let glob in this.indexConfigs) {
-				if (elasticsearchUtils.elasticsearchGlobFilter(glob, [ name ]).length) {
-					matchingConfig = this.indexConfigs[glob];
-					break;
+			let matchingGlob = this._getMatchingGlob(name);
+			if (!matchingGlob) {
+				return Promise.reject(new XError(XError.DB_ERROR, `No matching ES index config found for: ${name}`));
+			}
+			let matchingConfig = this.indexConfigs[matchingGlob];
+
+			let index = new ElasticsearchIndex(name, this.connection, matchingConfig, this.indexOptions);
+			this._registerIndex(name, index);
+			return index.indexWaiter.promise;
+
+		}
+	}
+
+	/**
+	 * Stores an index under a name, forwarding its `drift` events and forgetting it once it is deleted.
+	 * The listeners of the index previously stored under the name are detached.
+	 *
+	 * @method _registerIndex
+	 * @private
+	 * @param {String} name
+	 * @param {ElasticsearchIndex} index
+	 */
+	_registerIndex(name, index) {
+		this._unregisterIndex(name);
+		let listeners = {
+			index,
+			drift: (report) => this.emit('drift', report),
+			deleted: () => {
+				if (this.indexMap[name] === index) { this.removeIndex(name); }
+			}
+		};
+		index.on('drift', listeners.drift);
+		index.on('deleted', listeners.deleted);
+		this._indexListeners[name] = listeners;
+		this.indexMap[name] = index;
+	}
+
+	/**
+	 * Detaches the listeners of the index stored under a name.
+	 *
+	 * @method _unregisterIndex
+	 * @private
+	 * @param {String} name
+	 */
+	_unregisterIndex(name) {
+		let listeners = this._indexListeners[name];
+		if (!listeners) { return; }
+		listeners.index.removeListener('drift', listeners.drift);
+		listeners.index.removeListener('deleted', listeners.deleted);
+		delete this._indexListeners[name];
+	}
+
+	/**
+	 * Returns the glob of the config governing an index.
+	 *
+	 * @method _getMatchingGlob
+	 * @private
+	 * @param {String} name - Name of the index.
+	 * @return {String|Undefined} - The first config glob matching the name.
+	 */
+	_getMatchingGlob(name) {
+		return _.find(_.keys(this.indexConfigs), (glob) => {
+			return elasticsearchUtils.elasticsearchGlobFilter(glob, [ name ]).length > 0;
+		});
+	}
+
+	/**
+	 * Lists the indexes existing in the cluster which match a glob expression and an index config, and
+	 * initializes them.  Aliases pointing to a single index (ie, the name left by a reindex) are listed
+	 * instead of the index they point to.  The read and write aliases declared in the configs, and
+	 * aliases spanning multiple indexes, are not listed.
+	 *
+	 * @method listIndexes
+	 * @param {String} [glob='_all'] - An ElasticSearch glob expression, such as `events_*,-events_old` .
+	 * @return {Promise{ElasticsearchIndex[]}} - Resolves with the initialized indexes, sorted by name.
+	 */
+	listIndexes(glob = '_all') {
+		return this.connection.connectionWaiter.promise
+			.then(() => this.connection.clientRequest('indices.getAliases', {}))
+			.then((response) => {
+				// Map from the listed names to the concrete indexes they stand for
+				let names = {};
+				let aliasIndexes = {};
+				for (let index in response) {
+					names[index] = index;
+					for (let alias in (response[index] || {}).aliases) {
+						aliasIndexes[alias] = (aliasIndexes[alias] || []).concat(index);
+					}
 				}
+				let configAliases = _.flatten(_.map(this.indexConfigs, (config) => {
+					let { read, write } = config.aliases || {};
+					return _.map(_.compact([ read, write ]), (alias) => _.isString(alias) ? alias : alias.name);
+				}));
+				for (let alias in aliasIndexes) {
+					let isIndexName = !_.contains(configAliases, alias) && this._getMatchingGlob(alias);
+					if (aliasIndexes[alias].length === 1 && isIndexName) {
+						delete names[aliasIndexes[alias][0]];
+						names[alias] = aliasIndexes[alias][0];
+					}
+				}
+				let matching = elasticsearchUtils.elasticsearchGlobFilter(glob, _.keys(names).sort());
+				return pasync.mapSeries(_.filter(matching, (name) => this._getMatchingGlob(name)), (name) => {
+					return this.getIndex(name);
+				});
+			});
+	}
+
+	/**
+	 * Pushes the index configs as ES index templates, so indexes created outside of this manager
+	 * (ie, by automatic index creation) get the same settings.  Each template also contains the
+	 * mappings of the models registered on the connection whose default index matches the glob, and
+ * its read alias.  Write aliases point to a single index, so they are not part of templates.
+	 *
+	 * Templates are versioned by a hash of their content, and are only updated when the content
+	 * changed since they were last pushed.
+	 *
+	 * @method putTemplates
+	 * @return {Promise{Object[]}} - Resolves with an array of objects containing the template `name`,
+	 *   the index `pattern`, the `version`, and whether it was `updated` .
+	 */
+	putTemplates() {
+		let templates = [];
+		let globCount = _.size(this.indexConfigs);
+		let globOrder = 0;
+		for (let glob in this.indexConfigs) {
+			let config = this.indexConfigs[glob];
+			let templateConfig = config.template;
+			if (templateConfig === false) { continue; }
+			if (!_.isPlainObject(templateConfig)) { templateConfig = {}; }
+			let patterns = glob.split(',');
+			for (let pattern of patterns) {
+				// A configured name can only be used as is if the glob contains a single pattern
+				let name = getTemplateName(pattern);
+				if (templateConfig.name) {
+					name = (patterns.length > 1) ? `${templateConfig.name}_${name}` : templateConfig.name;
+				}
+				templates.push({
+					name,
+					pattern,
+					// Earlier globs take precedence, so they are given a higher order
+					order: _.isNumber(templateConfig.order) ? templateConfig.order : globCount - globOrder,
+					config
+				});
 			}
-			if (!matchingConfig) {
-				return Promise.reject(new XError(XError.DB_ERROR, `No matching ES index config found for: ${name}`));
+			globOrder++;
+		}
+		// Templates must be pushed after the connection was established, so the API version is known
+		return this.connection.connectionWaiter.promise
+			.then(() => pasync.mapSeries(templates, (template) => this._putTemplate(template)));
+	}
+
+	/**
+	 * Pushes a single index template, if its version changed.
+	 *
+	 * @method _putTemplate
+	 * @private
+	 * @param {Object} template - Object containing the template `name`, `pattern`, `order` and index
+	 *   `config` .
+	 * @return {Promise{Object}}
+	 */
+	_putTemplate({ name, pattern, order, config }) {
+		let apiAdapter = this.connection.getApiAdapter();
+		let content = {
+			order,
+			settings: ElasticsearchIndex.buildIndexSettings(config),
+			mappings: _.mapValues(this.getModelMappings(pattern), (mapping) => apiAdapter.translateMapping(mapping))
+		};
+		if (apiAdapter.supportsWarmers() && config.warmers) {
+			content.warmers = config.warmers;
+		}
+		let aliases = ElasticsearchIndex.buildTemplateAliases(config);
+		if (aliases) {
+			content.aliases = aliases;
+		}
+		let version = getContentVersion(content);
+		return this.connection.clientRequest('indices.getTemplate', { name })
+			.then((response) => response[name] || null, (err) => {
+				if (err.code === XError.NOT_FOUND) { return null; }
+				throw err;
+			})
+			.then((existingTemplate) => {
+				if (existingTemplate && apiAdapter.getTemplateVersion(existingTemplate) === version) {
+					return { name, pattern, version, updated: false };
+				}
+				let params = apiAdapter.buildPutTemplateParams(name, pattern, _.assign({ version }, content));
+				return this.connection.clientRequest('indices.putTemplate', params)
+					.then(() => ({ name, pattern, version, updated: true }));
+			});
+	}
+
+	/**
+	 * Enforces the lifecycle rules of the index configs: rolls write aliases over to new indexes, and
+	 * deletes or closes expired indexes.
+	 *
+	 * @method applyLifecycle
+	 * @param {Object} [options={}]
+	 *   @param {Boolean} [options.dryRun=false] - If true, only report the actions which would be taken.
+	 * @return {Promise{Object}} - Resolves with a report containing `dryRun` and an array of `actions`
+	 *   taken (or which would be taken).  Each action contains the `glob`, the `action` (`rollover`,
+	 *   `delete` or `close`), the `index`, the `reason` (the lifecycle rule which triggered it), and for
+	 *   rollovers, the `newIndex` .
+	 */
+	applyLifecycle(options = {}) {
+		let globs = _.filter(_.keys(this.indexConfigs), (glob) => !!this.indexConfigs[glob].lifecycle);
+		return this.connection.connectionWaiter.promise
+			.then(() => pasync.mapSeries(globs, (glob) => this._applyGlobLifecycle(glob, options)))
+			.then((actionLists) => {
+				let report = { dryRun: !!options.dryRun, actions: _.flatten(actionLists) };
+				this.emit('lifecycle', report);
+				return report;
+			});
+	}
+
+	/**
+	 * Runs `applyLifecycle()` periodically, until `cancelLifecycle()` is called or the connection is
+	 * closed.  Reports are emitted as `lifecycle` events, and errors as `lifecycleError` events.
+	 *
+	 * @method scheduleLifecycle
+	 * @param {Number|String} interval - Time between runs, in ms or as a duration string such as `1h` .
+	 * @param {Object} [options] - Options passed to `applyLifecycle()` .
+	 */
+	scheduleLifecycle(interval, options = {}) {
+		this.cancelLifecycle();
+		this._lifecycleTimer = setInterval(() => {
+			// Skip runs while the previous run is still in progress
+			if (this._lifecycleRunning) { return; }
+			this._lifecycleRunning = true;
+			this.applyLifecycle(options)
+				.catch((err) => this.emit('lifecycleError', err))
+				.then(() => {
+					this._lifecycleRunning = false;
+				});
+		}, elasticsearchUtils.parseDuration(interval));
+		if (this._lifecycleTimer.unref) { this._lifecycleTimer.unref(); }
+	}
+
+	/**
+	 * Stops the scheduled lifecycle runs.
+	 *
+	 * @method cancelLifecycle
+	 */
+	cancelLifecycle() {
+		if (this._lifecycleTimer) {
+			clearInterval(this._lifecycleTimer);
+			this._lifecycleTimer = null;
+		}
+	}
+
+	/**
+	 * Computes and applies the lifecycle actions of one index config.
+	 *
+	 * @method _applyGlobLifecycle
+	 * @private
+	 * @param {String} glob
+	 * @param {Object} options - Options passed to `applyLifecycle()` .
+	 * @return {Promise{Object[]}} - Resolves with the actions.
+	 */
+	_applyGlobLifecycle(glob, options) {
+		let config = this.indexConfigs[glob];
+		let lifecycle = config.lifecycle;
+		let writeAlias = (config.aliases || {}).write;
+		let writeAliasName = _.isString(writeAlias) ? writeAlias : (writeAlias && writeAlias.name);
+		if (lifecycle.rollover && !writeAliasName) {
+			return Promise.reject(new XError(XError.INVALID_ARGUMENT, `Rollover requires a write alias: ${glob}`));
+		}
+		return Promise.all([
+			this._getFamilyIndexes(glob),
+			this._getAliasIndexName(writeAliasName)
+		])
+			.then(([ indexes, writeIndexName ]) => {
+				let rolloverPromise = (lifecycle.rollover && indexes[writeIndexName]) ?
+					this._getRolloverAction(glob, writeIndexName, indexes[writeIndexName]) :
+					Promise.resolve(null);
+				return rolloverPromise.then((rolloverAction) => {
+					let actions = _.compact([ rolloverAction ])
+						.concat(this._getRetentionActions(glob, indexes, writeIndexName));
+					if (options.dryRun) { return actions; }
+					return pasync.eachSeries(actions, (action) => this._applyLifecycleAction(action))
+						.then(() => actions);
+				});
+			});
+	}
+
+	/**
+	 * Lists the open indexes governed by an index config, with their creation dates.  Indexes matching
+	 * an earlier glob are governed by that glob's config.
+	 *
+	 * @method _getFamilyIndexes
+	 * @private
+	 * @param {String} glob
+	 * @return {Promise{Object}} - Resolves with a map from index names to objects containing `createdAt` .
+	 */
+	_getFamilyIndexes(glob) {
+		// Closed indexes are already retired, so they must not be closed or counted again
+		return this.connection.clientRequest('indices.getSettings', { index: glob, expandWildcards: 'open' })
+			.catch((err) => {
+				if (err.code === XError.NOT_FOUND) { return {}; }
+				throw err;
+			})
+			.then((response) => {
+				let indexes = {};
+				let isGovernedIndex = (name) => this._getMatchingGlob(name) === glob;
+				for (let name of _.filter(_.keys(response), isGovernedIndex)) {
+					// Settings may be returned either flat or nested
+					let settings = response[name].settings || {};
+					let createdAt = settings['index.creation_date'] ||
+						objtools.getPath(settings, 'index.creation_date');
+					indexes[name] = { createdAt: parseInt(createdAt) || 0 };
+				}
+				return indexes;
+			});
+	}
+
+	/**
+	 * Fetches the name of the index an alias points to.
+	 *
+	 * @method _getAliasIndexName
+	 * @private
+	 * @param {String} [aliasName]
+	 * @return {Promise{String|Null}}
+	 */
+	_getAliasIndexName(aliasName) {
+		if (!aliasName) { return Promise.resolve(null); }
+		return this.connection.clientRequest('indices.getAlias', { name: aliasName })
+			.then((response) => _.keys(response)[0] || null, (err) => {
+				if (err.code === XError.NOT_FOUND) { return null; }
+				throw err;
+			});
+	}
+
+	/**
+	 * Checks whether the index holding the write alias must be rolled over.
+	 *
+	 * @method _getRolloverAction
+	 * @private
+	 * @param {String} glob
+	 * @param {String} writeIndexName
+	 * @param {Object} writeIndexInfo - Object containing the `createdAt` date of the index.
+	 * @return {Promise{Object|Null}} - Resolves with the rollover action, if needed.
+	 */
+	_getRolloverAction(glob, writeIndexName, writeIndexInfo) {
+		let rollover = this.indexConfigs[glob].lifecycle.rollover;
+		let buildAction = (reason) => ({
+			glob,
+			action: 'rollover',
+			index: writeIndexName,
+			newIndex: elasticsearchUtils.getNextVersionName(writeIndexName),
+			reason
+		});
+		let age = Date.now() - writeIndexInfo.createdAt;
+		if (rollover.maxAge && age >= elasticsearchUtils.parseDuration(rollover.maxAge)) {
+			return Promise.resolve(buildAction('maxAge'));
+		}
+		if (!rollover.maxDocs && !rollover.maxSize) { return Promise.resolve(null); }
+		return this.connection.clientRequest('indices.stats', { index: writeIndexName, metric: [ 'docs', 'store' ] })
+			.then((response) => {
+				let primaries = ((response.indices || {})[writeIndexName] || {}).primaries || {};
+				let docCount = objtools.getPath(primaries, 'docs.count') || 0;
+				let size = objtools.getPath(primaries, 'store.size_in_bytes') || 0;
+				if (rollover.maxDocs && docCount >= rollover.maxDocs) {
+					return buildAction('maxDocs');
+				}
+				if (rollover.maxSize && size >= elasticsearchUtils.parseByteSize(rollover.maxSize)) {
+					return buildAction('maxSize');
+				}
+				return null;
+			});
+	}
+
+	/**
+	 * Finds the indexes expired by the retention rule of an index config.
+	 *
+	 * @method _getRetentionActions
+	 * @private
+	 * @param {String} glob
+	 * @param {Object} indexes - Indexes governed by the config, as returned by `_getFamilyIndexes()` .
+	 * @param {String} [writeIndexName] - Index holding the write alias, which is never expired.
+	 * @return {Object[]} - The retention actions.
+	 */
+	_getRetentionActions(glob, indexes, writeIndexName) {
+		let retention = this.indexConfigs[glob].lifecycle.retention;
+		if (!retention) { return []; }
+		let action = retention.action || 'delete';
+		if (!_.contains([ 'delete', 'close' ], action)) {
+			throw new XError(XError.INVALID_ARGUMENT, `Invalid retention action: ${action}`);
+		}
+		// Newest indexes first
+		let names = _.sortBy(_.keys(indexes), (name) => -indexes[name].createdAt);
+		let maxAge = retention.maxAge && elasticsearchUtils.parseDuration(retention.maxAge);
+		let actions = [];
+		_.forEach(names, (name, position) => {
+			if (name === writeIndexName) { return; }
+			let reason = null;
+			if (retention.maxIndexes && position >= retention.maxIndexes) {
+				reason = 'maxIndexes';
+			} else if (maxAge && Date.now() - indexes[name].createdAt >= maxAge) {
+				reason = 'maxAge';
+			}
+			if (reason) {
+				actions.push({ glob, action, index: name, reason });
 			}
+		});
+		return actions;
+	}
 
-			this.indexMap[name] = new ElasticsearchIndex(name, this.connection, matchingConfig, this.indexOptions);
-			return this.indexMap[name].indexWaiter.promise;
+	/**
+	 * Applies a lifecycle action.
+	 *
+	 * @method _applyLifecycleAction
+	 * @private
+	 * @param {Object} action - An action as returned in the `applyLifecycle()` report.
+	 * @return {Promise}
+	 */
+	_applyLifecycleAction(action) {
+		if (action.action === 'rollover') {
+			// The new index gets the read alias on initialization, then the write alias is moved to it
+			let aliases = this.indexConfigs[action.glob].aliases;
+			return this.getIndex(action.newIndex)
+				.then((index) => index.updateAliases(aliases));
+		}
+		let method = (action.action === 'close') ? 'indices.close' : 'indices.delete';
+		return this.connection.clientRequest(method, { index: action.index })
+			.then(() => this.removeIndex(action.index));
+	}
+
+	/**
+	 * Forgets an index, ie. after it was deleted, so the next `getIndex()` call initializes it again.
+	 * Indexes deleted through `index.delete()` are forgotten automatically.
+	 *
+	 * @method removeIndex
+	 * @param {String} name - The index name.
+	 */
+	removeIndex(name) {
+		this._unregisterIndex(name);
+		delete this.indexMap[name];
+	}
 
+	/**
+	 * Builds the mappings of the registered models whose default index matches a pattern.
+	 *
+	 * @method getModelMappings
+	 * @param {String} pattern - An index name or pattern.
+	 * @return {Object} - Map from type names to (untranslated) mappings.
+	 */
+	getModelMappings(pattern) {
+		let mappings = {};
+		for (let modelName of _.keys(this.connection.modelRegistry).sort()) {
+			let model = this.connection.modelRegistry[modelName];
+			let matches;
+			if (model.indexPattern) {
+				// Time-based models match if any of their indexes match
+				matches = elasticsearchUtils.elasticsearchGlobFilter(model.indexPattern.getGlob(), [ pattern ]).length;
+			} else {
+				let indexName = _.isString(model.defaultIndex) ? model.defaultIndex : model.defaultIndex.getName();
+				matches = elasticsearchUtils.elasticsearchGlobFilter(pattern, [ indexName ]).length;
+			}
+			if (matches) {
+				mappings[model.getName()] = model.buildMapping();
+			}
 		}
+		return mappings;
+	}
+
+	/**
+	 * Rebuilds an index with its current config and the current mappings of its models, and makes
+	 * the new index available under the same name; see `ElasticsearchIndex#reindex` .  The name must
+	 * keep resolving to the new index on the server, so it must be an alias of the index, or the
+	 * `deleteOld` option must be set to replace the old index by an alias.
+	 *
+	 * @method reindex
+	 * @throws {XError} - Rejects with `invalid_argument` if the name is not an alias and `deleteOld` is
+	 *   not set.
+	 * @param {String} name - Name of the index.
+	 * @param {Object} [options] - Options passed to `ElasticsearchIndex#reindex` .  The `config` defaults
+	 *   to the matching index config, and the `mappings` to those of the registered models.
+	 * @return {Promise{ElasticsearchIndex}} - Resolves with the new index.
+	 */
+	reindex(name, options = {}) {
+		return this.getIndex(name)
+			.then((index) => {
+				if (!options.deleteOld && index.name === index.concreteName) {
+					throw new XError(
+						XError.INVALID_ARGUMENT,
+						`Index ${name} is not an alias, so reindexing it requires the deleteOld option`
+					);
+				}
+				return index.reindex(_.assign({
+					config: this.indexConfigs[this._getMatchingGlob(name)],
+					mappings: this.getModelMappings(name)
+				}, options));
+			})
+			.then((newIndex) => {
+				this._registerIndex(name, newIndex);
+				return newIndex;
+			});
 	}
+}
 
+/**
+ * Builds the default template name for an index name pattern.
+ *
+ * @method getTemplateName
+ * @private
+ * @param {String} pattern - Ie, `events_*` .
+ * @return {String} - Ie, `unimodel_events_` .
+ */
+function getTemplateName(pattern) {
+	return 'unimodel_' + pattern.replace(/\*/g, '').replace(/[^a-zA-Z0-9_.-]/g, '_');
+}
+
+/**
+ * Computes the version of a template from its content, so templates are only updated when changed.
+ *
+ * @method getContentVersion
+ * @private
+ * @param {Object} content
+ * @return {Number} - A positive integer.
+ */
+function getContentVersion(content) {
+	let hash = crypto.createHash('md5').update(JSON.stringify(content)).digest('hex');
+	return parseInt(hash.slice(0, 7), 16);
 }
 
 module.exports = ElasticsearchIndexManager;
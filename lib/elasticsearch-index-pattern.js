@@ -0,0 +1,209 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const moment = require('moment');
+const XError = require('xerror');
+
+// Moment units of the date format tokens, from the finest to the coarsest.  ISO weeks and week-years
+// start on Monday, while locale weeks and week-years start on the locale's first day of the week.
+const FORMAT_UNITS = [
+	[ /[Hhk]/, 'hour' ],
+	[ /[DdE]/, 'day' ],
+	[ /[WG]/, 'isoWeek' ],
+	[ /[wg]/, 'week' ],
+	[ /M/, 'month' ],
+	[ /Q/, 'quarter' ],
+	[ /[Yy]/, 'year' ]
+];
+
+// Date used to check the index names formatted by a pattern
+const SAMPLE_DATE = '2016-12-31T23:59:59Z';
+// Characters which are not allowed in ES index names
+const INVALID_NAME_CHARS = /[\\/*?"<>|,#]/;
+
+/**
+ * Names time-based indexes, such as daily or monthly indexes, after the value of a date field.
+ * The pattern contains moment.js date formats between braces, which are formatted in UTC.  For example,
+ * with the pattern `events_{YYYY.MM.DD}`, a document with a date of 2016-03-05 is stored in the index
+ * `events_2016.03.05` .
+ *
+ * @class ElasticsearchIndexPattern
+ * @constructor
+ * @throws {XError} - If the pattern does not contain a date format, or formats invalid index names.
+ * @param {String} pattern - The index name pattern, ie. `events_{YYYY.MM.DD}` .
+ * @param {String} field - Path of the date field that selects the index.
+ * @param {Object} [options={}]
+ *   @param {Number} [options.maxSearchIndexes=100] - Maximum number of index names to search over.
+ *     Date ranges spanning more indexes search all indexes matching the pattern instead.
+ */
+class ElasticsearchIndexPattern {
+
+	constructor(pattern, field, options = {}) {
+		this.pattern = pattern;
+		this.field = field;
+		this.options = _.defaults({}, options, { maxSearchIndexes: 100 });
+
+		let formats = [];
+		pattern.replace(/\{([^}]+)\}/g, (match, format) => formats.push(format));
+		if (!formats.length) {
+			throw new XError(XError.INVALID_ARGUMENT, `Index pattern does not contain a date format: ${pattern}`);
+		}
+		// The finest unit of the formats; consecutive indexes are one unit apart
+		let unitEntry = _.find(FORMAT_UNITS, ([ regex ]) => _.any(formats, (format) => regex.test(format)));
+		this.unit = unitEntry ? unitEntry[1] : 'year';
+
+		let sampleName = this.getIndexName(SAMPLE_DATE);
+		let reason = getIndexNameError(sampleName);
+		if (reason) {
+			throw new XError(XError.INVALID_ARGUMENT, `Index pattern ${pattern} formats invalid index names, ie. ` +
+				`${sampleName}: ${reason}`);
+		}
+	}
+
+	/**
+	 * Returns whether an index name is a time-based index pattern.
+	 *
+	 * @method isPattern
+	 * @static
+	 * @param {String} name
+	 * @return {Boolean}
+	 */
+	static isPattern(name) {
+		return _.isString(name) && /\{[^}]+\}/.test(name);
+	}
+
+	/**
+	 * Returns the name of the index for a date.
+	 *
+	 * @method getIndexName
+	 * @throws {XError} - If the date is not valid.
+	 * @param {Date|String|Number} date
+	 * @return {String}
+	 */
+	getIndexName(date) {
+		let time = moment.utc(date);
+		if (date === null || date === undefined || !time.isValid()) {
+			throw new XError(XError.INVALID_ARGUMENT, `Invalid date for index pattern ${this.pattern}: ${date}`);
+		}
+		return this.pattern.replace(/\{([^}]+)\}/g, (match, format) => time.format(format));
+	}
+
+	/**
+	 * Returns the ElasticSearch glob expression matching all indexes of this pattern.
+	 *
+	 * @method getGlob
+	 * @return {String} - Ie, `events_*` .
+	 */
+	getGlob() {
+		return this.pattern.replace(/\{[^}]+\}/g, '*');
+	}
+
+	/**
+	 * Returns the names of the indexes holding the documents between two dates.
+	 *
+	 * @method getIndexNames
+	 * @param {Date|String|Number} start
+	 * @param {Date|String|Number} end
+	 * @return {String[]|Null} - The index names, or null if there are more than `maxSearchIndexes` .
+	 */
+	getIndexNames(start, end) {
+		let names = [];
+		let time = moment.utc(start).startOf(this.unit);
+		let endTime = moment.utc(end);
+		while (!time.isAfter(endTime)) {
+			let name = this.getIndexName(time);
+			if (names[names.length - 1] !== name) {
+				names.push(name);
+			}
+			if (names.length > this.options.maxSearchIndexes) { return null; }
+			time.add(1, (this.unit === 'isoWeek') ? 'week' : this.unit);
+		}
+		return names;
+	}
+
+	/**
+	 * Returns the indexes to search for a query.  The searched indexes are narrowed down when the query
+	 * restricts the date field to a range, or to a single date.
+	 *
+	 * @method getSearchIndexes
+	 * @param {Object} queryData - The normalized common-query query data.
+	 * @return {String} - Comma-separated list of index names, or the glob matching all indexes.
+	 */
+	getSearchIndexes(queryData) {
+		let range = this._getQueryRange(queryData);
+		if (!range.start || !range.end) { return this.getGlob(); }
+		if (moment.utc(range.start).isAfter(moment.utc(range.end))) {
+			// No document can match; search a single index, which may not exist
+			return this.getIndexName(range.start);
+		}
+		let names = this.getIndexNames(range.start, range.end);
+		return names ? names.join(',') : this.getGlob();
+	}
+
+	/**
+	 * Extracts the range of the date field from the conditions a query requires.  Only top-level
+	 * conditions and `$and` clauses narrow the range, since other operators may match documents outside
+	 * of it.
+	 *
+	 * @method _getQueryRange
+	 * @private
+	 * @param {Object} queryData
+	 * @return {Object} - Object containing the `start` and `end` dates, if found.
+	 */
+	_getQueryRange(queryData) {
+		let range = {};
+		let narrow = (key, date) => {
+			if (date === null || date === undefined || !moment.utc(date).isValid()) { return; }
+			let time = moment.utc(date);
+			if (key === 'start' && (!range.start || time.isAfter(range.start))) {
+				range.start = time;
+			} else if (key === 'end' && (!range.end || time.isBefore(range.end))) {
+				range.end = time;
+			}
+		};
+		let traverse = (data) => {
+			if (!_.isPlainObject(data)) { return; }
+			for (let key in data) {
+				let value = data[key];
+				if (key === '$and' && _.isArray(value)) {
+					_.forEach(value, traverse);
+				} else if (key === this.field) {
+					if (_.isPlainObject(value)) {
+						narrow('start', _.has(value, '$gte') ? value.$gte : value.$gt);
+						if (_.has(value, '$lte')) {
+							narrow('end', value.$lte);
+						} else if (_.has(value, '$lt') && moment.utc(value.$lt).isValid()) {
+							// Exclusive upper bounds often fall on the start of the next index
+							narrow('end', moment.utc(value.$lt).subtract(1, 'ms'));
+						}
+					} else {
+						narrow('start', value);
+						narrow('end', value);
+					}
+				}
+			}
+		};
+		traverse(queryData);
+		return range;
+	}
+
+}
+
+/**
+ * Checks that a name is a valid ES index name.
+ *
+ * @method getIndexNameError
+ * @private
+ * @param {String} name
+ * @return {String|Null} - The reason the name is invalid, or null if it is valid.
+ */
+function getIndexNameError(name) {
+	if (name !== name.toLowerCase()) { return 'index names must be lowercase'; }
+	if (INVALID_NAME_CHARS.test(name)) { return 'index names cannot contain any of \\ / * ? " < > | , #'; }
+	if (/^[_\-+]/.test(name)) { return 'index names cannot start with _, - or +'; }
+	return null;
+}
+
+module.exports = exports = ElasticsearchIndexPattern;
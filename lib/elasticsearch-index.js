@@ -5,6 +5,24 @@
 const _ = require('lodash');
 const { EventEmitter } = require('events');
 const pasync = require('pasync');
+const objtools = require('objtools');
+const XError = require('xerror');
+const ElasticsearchError = require('./elasticsearch-error');
+const ElasticsearchMappingValidationError = require('./elasticsearch-mapping-validation-error');
+const { getNextVersionName } = require('./utils');
+
+// Analyzers which are available without being defined in the analysis settings
+const BUILTIN_ANALYZERS = [
+	'default', 'standard', 'simple', 'whitespace', 'stop', 'keyword', 'pattern', 'fingerprint', 'snowball',
+	'arabic', 'armenian', 'basque', 'bengali', 'brazilian', 'bulgarian', 'catalan', 'chinese', 'cjk', 'czech',
+	'danish', 'dutch', 'english', 'estonian', 'finnish', 'french', 'galician', 'german', 'greek', 'hindi',
+	'hungarian', 'indonesian', 'irish', 'italian', 'latvian', 'lithuanian', 'norwegian', 'persian', 'portuguese',
+	'romanian', 'russian', 'sorani', 'spanish', 'swedish', 'thai', 'turkish'
+];
+// Normalizers which are available without being defined in the analysis settings
+const BUILTIN_NORMALIZERS = [ 'lowercase' ];
+// Mapping properties which reference analyzers
+const ANALYZER_PROPERTIES = [ 'analyzer', 'index_analyzer', 'search_analyzer', 'search_quote_analyzer' ];
 
 /**
  * This class is instantiated for each Elasticsearch Index (ie, database) in use.
@@ -18,7 +36,23 @@ const pasync = require('pasync');
  *   @param {Number} [config.shards=5] - Number of shards to split the index into
  *   @param {Number} [config.replicas=1] - Number of replicas for each shard
  *   @param {Object} [config.warmers] - Object (in raw ES format) specifying index warmers.  Passed
- *     directly to ES.
+ *     directly to ES.  Warmers are ignored on ElasticSearch 5 and later.
+ *   @param {Object} [config.analysis] - Custom analysis settings (in raw ES format), containing the
+ *     `analyzer`, `tokenizer`, `filter`, `char_filter` and `normalizer` definitions.  These are applied
+ *     when the index is created.  If they changed on an existing index, the index is briefly closed to
+ *     update them.  Mappings referencing analyzers which are neither built-in nor defined here are
+ *     rejected.
+ *   @param {Boolean} [config.strict=false] - If set, initializing an existing index fails when its live
+ *     settings or mappings differ from the config in a way that cannot be fixed in place, such as a
+ *     different number of shards.  Otherwise, drift is only reported through the `drift` event.
+ *   @param {Object} [config.aliases] - Aliases of the index.  Models search through the read alias,
+ *     and save new documents through the write alias.
+ *     @param {String|Object} [config.aliases.read] - Name of the read alias, or an object containing
+ *       the alias `name`, and optionally a raw ES `filter`, a `routing` value, or separate
+ *       `indexRouting` and `searchRouting` values.  The read alias may be shared by multiple indexes.
+ *     @param {String|Object} [config.aliases.write] - Name or object for the write alias, in the same
+ *       format.  A write alias points to a single index; on initialization, it is only added if it
+ *       does not point to another index yet.  Use `updateAliases()` to move it.
  * @param {Object} [options] - Additional options passed to the constructor
  *   @param {Boolean} [options.initialize=true] - If set to false, the index is not automatically
  *     created or synchronized on class construction.
@@ -35,10 +69,19 @@ class ElasticsearchIndex extends EventEmitter {
 		this.config = {
 			shards: config.shards || 5, //eslint-disable-line camelcase
 			replicas: config.replicas || 1, //eslint-disable-line camelcase
-			warmers: config.warmers
+			warmers: config.warmers,
+			analysis: config.analysis,
+			strict: !!config.strict,
+			aliases: normalizeAliases(config.aliases)
 		};
 		this.options = options;
 
+		// Name of the actual index, if `name` is an alias left by a reindex which deleted the old index
+		this.concreteName = name;
+
+		// Whether the write alias currently points to this index
+		this._hasWriteAlias = false;
+
 		// Construct a promise on this class that resolves when the index is fully initialized
 		// and available.
 		this.indexWaiter = pasync.waiter();
@@ -69,19 +112,16 @@ class ElasticsearchIndex extends EventEmitter {
 		// If the index promise has already completed (in which it failed to initialize), we need to reset it
 		this.indexWaiter.reset();
 
-		// Need to wait for the connection to complete
-		this.connection.getClient().then((client) => {
-			// Do initialization with the connection
-			return client.indices.exists({ index: this.name }).then((exists) => {
-				if (!exists) {
-					// Create the index and set/create settings/warmers
-					return this._initializeNewIndex(client);
-				} else {
-					// Update settings
-					return this._initializeExistingIndex(client);
-				}
-			});
-		}).then(() => {
+		// Requests through the connection wait for the connection to complete
+		this.connection.clientRequest('indices.exists', { index: this.name }).then((exists) => {
+			if (!exists) {
+				// Create the index and set/create settings/warmers
+				return this._initializeNewIndex();
+			} else {
+				// Update settings
+				return this._initializeExistingIndex();
+			}
+		}).then(() => this._initializeAliases()).then(() => {
 			this._initializaing = false;
 			this._initialized = true;
 			this.indexWaiter.resolve(this);
@@ -101,45 +141,51 @@ class ElasticsearchIndex extends EventEmitter {
 	 *
 	 * @method _initializeNewIndex
 	 * @private
-	 * @param {elasticsearch.Client} client
 	 * @return {Promise}
 	 */
-	_initializeNewIndex(client) {
-		return client.indices.create({
-			index: this.name,
-			body: {
-				settings: {
-					index: {
-						number_of_shards: this.config.shards, //eslint-disable-line camelcase
-						number_of_replicas: this.config.replicas //eslint-disable-line camelcase
-					}
-				},
-				warmers: this.config.warmers
-			}
-		});
+	_initializeNewIndex() {
+		let body = {
+			settings: ElasticsearchIndex.buildIndexSettings(this.config)
+		};
+		if (this.connection.getApiAdapter().supportsWarmers()) {
+			body.warmers = this.config.warmers;
+		}
+		return this.connection.clientRequest('indices.create', { index: this.name, body });
 	}
 
 	/**
-	 * Initialize an existing client by putting settings/warmers on the index.
+	 * Initialize an existing client by putting settings/warmers on the index.  Drift from the config is
+	 * reported first; in strict mode, drift which cannot be fixed in place fails initialization.
 	 *
 	 * @method _initializeExistingIndex
 	 * @private
-	 * @param {elasticsearch.Client} client
 	 * @return {Promise}
 	 */
-	_initializeExistingIndex(client) {
-		return client.indices.putSettings({
-			index: this.name,
-			body: {
-				index: {
-					number_of_replicas: this.config.replicas //eslint-disable-line camelcase
-				}
+	_initializeExistingIndex() {
+		let existingSettings;
+		return this._getLiveSettings().then((settings) => {
+			existingSettings = settings;
+			return this._getDriftReport(settings);
+		}).then((report) => {
+			let unfixable = _.filter(report.drift, { fixable: false });
+			if (this.config.strict && unfixable.length) {
+				let paths = _.pluck(unfixable, 'path').join(', ');
+				throw new XError(XError.CONFLICT, `Index ${this.name} differs from its config: ${paths}`, { report });
 			}
-		}).then(() => {
-			// Create/update warmers
+			return this.connection.clientRequest('indices.putSettings', {
+				index: this.name,
+				body: {
+					index: {
+						number_of_replicas: this.config.replicas //eslint-disable-line camelcase
+					}
+				}
+			});
+		}).then(() => this._updateAnalysis(existingSettings)).then(() => {
+			// Create/update warmers (these are ignored on versions without warmers)
+			if (!this.connection.getApiAdapter().supportsWarmers()) { return Promise.resolve(); }
 			let warmers = _.pairs(this.config.warmers);
 			return pasync.eachSeries(warmers, ([ name, warmer ]) => {
-				return client.indices.putWarmer({
+				return this.connection.clientRequest('indices.putWarmer', {
 					index: this.name,
 					name,
 					type: warmer.type || warmer.types,
@@ -149,32 +195,911 @@ class ElasticsearchIndex extends EventEmitter {
 		});
 	}
 
+	/**
+	 * Fetches the live settings of the index, and resolves its concrete name.
+	 *
+	 * @method _getLiveSettings
+	 * @private
+	 * @return {Promise} - Resolves with the index settings, as returned by ES.
+	 */
+	_getLiveSettings() {
+		return this.connection.clientRequest('indices.getSettings', { index: this.name }).then((response) => {
+			let indexNames = _.keys(response);
+			if (indexNames.length === 1) {
+				this.concreteName = indexNames[0];
+			}
+			return (response[this.concreteName] || {}).settings || {};
+		});
+	}
+
+	/**
+	 * Compares the live settings and mappings of the index with its config and the mappings of the
+	 * models registered on the connection.  Emits a `drift` event with the report if anything differs.
+	 *
+	 * @method checkDrift
+	 * @return {Promise} - Resolves with the drift report.  See `_getDriftReport()` .
+	 */
+	checkDrift() {
+		return this.indexWaiter.promise
+			.then(() => this._getLiveSettings())
+			.then((settings) => this._getDriftReport(settings));
+	}
+
+	/**
+	 * Builds the drift report of the index, and emits it as a `drift` event if anything differs.
+	 *
+	 * @method _getDriftReport
+	 * @private
+	 * @param {Object} settings - The live settings of the index, as returned by ES.
+	 * @return {Promise} - Resolves with an object containing the `index` name, its `concreteName`, and
+	 *   the `drift` array.  Each entry contains the `type` (`setting` or `mapping`), the `path` of the
+	 *   setting or field (prefixed with the type name for mappings), the `expected` and `actual` values,
+	 *   and whether it is `fixable` without reindexing.
+	 */
+	_getDriftReport(settings) {
+		let apiAdapter = this.connection.getApiAdapter();
+		let params = apiAdapter.buildGetMappingParams(this.concreteName);
+		return this.connection.clientRequest('indices.getMapping', params).then((response) => {
+			// Undefined if the name matches multiple indexes
+			let liveMappings = (response[this.concreteName] || {}).mappings;
+			let drift = [];
+			let addDrift = (type, path, expected, actual, fixable) => {
+				drift.push({ type, path, expected, actual, fixable });
+			};
+
+			// Settings; values are returned as strings, either flat or nested
+			let getSetting = (key) => {
+				let value = objtools.getPath(settings, `index.${key}`);
+				return (value === undefined) ? settings[`index.${key}`] : value;
+			};
+			let shards = getSetting('number_of_shards');
+			if (shards !== undefined && String(shards) !== String(this.config.shards)) {
+				addDrift('setting', 'number_of_shards', this.config.shards, Number(shards), false);
+			}
+			let replicas = getSetting('number_of_replicas');
+			if (replicas !== undefined && String(replicas) !== String(this.config.replicas)) {
+				addDrift('setting', 'number_of_replicas', this.config.replicas, Number(replicas), true);
+			}
+			let analysis = getExistingAnalysis(settings);
+			if (this.config.analysis && !containsSettings(analysis, stringifySettings(this.config.analysis))) {
+				addDrift('setting', 'analysis', this.config.analysis, analysis, true);
+			}
+
+			// Mappings of the registered models; missing fields can be added, but changed fields cannot
+			let mappings = this.connection.indexManager ? this.connection.indexManager.getModelMappings(this.name) : {};
+			if (!liveMappings) { mappings = {}; }
+			let compareFields = (expectedFields, liveFields, prefix) => {
+				_.forEach(expectedFields, (expected, field) => {
+					if (!_.isPlainObject(expected)) { return; }
+					let path = prefix + field;
+					let live = liveFields && liveFields[field];
+					let expectedType = expected.type || (expected.properties ? 'object' : undefined);
+					if (!live) {
+						addDrift('mapping', path, expectedType, undefined, true);
+						return;
+					}
+					let liveType = live.type || (live.properties ? 'object' : undefined);
+					if (expectedType !== liveType) {
+						addDrift('mapping', path, expectedType, liveType, false);
+						return;
+					}
+					for (let key of ANALYZER_PROPERTIES) {
+						if (expected[key] && expected[key] !== live[key]) {
+							addDrift('mapping', `${path}.${key}`, expected[key], live[key], false);
+						}
+					}
+					compareFields(expected.properties, live.properties, `${path}.`);
+					compareFields(expected.fields, live.fields, `${path}.`);
+				});
+			};
+			for (let typeName in mappings) {
+				let expected = apiAdapter.translateMapping(mappings[typeName]);
+				let live = liveMappings[typeName];
+				if (!live) {
+					addDrift('mapping', typeName, 'object', undefined, true);
+				} else {
+					compareFields(expected.properties, live.properties, `${typeName}.`);
+				}
+			}
+
+			let report = { index: this.name, concreteName: this.concreteName, drift };
+			if (drift.length) {
+				this.emit('drift', report);
+			}
+			return report;
+		});
+	}
+
+	/**
+	 * Updates the analysis settings of an existing index, if a configured entry is missing or differs.
+	 * Analysis settings can only be changed on closed indexes, so the index is closed, updated and
+	 * reopened.  ES merges the new settings into the existing ones, so entries which are not configured
+	 * (ie, from index templates) are kept.
+	 *
+	 * @method _updateAnalysis
+	 * @private
+	 * @param {Object} existingSettings - The current settings of the index, as returned by ES.
+	 * @return {Promise}
+	 */
+	_updateAnalysis(existingSettings) {
+		if (!this.config.analysis) { return Promise.resolve(); }
+		let existingAnalysis = getExistingAnalysis(existingSettings);
+		if (containsSettings(existingAnalysis, stringifySettings(this.config.analysis))) { return Promise.resolve(); }
+
+		let index = this.concreteName;
+		return this.connection.clientRequest('indices.close', { index })
+			.then(() => this.connection.clientRequest('indices.putSettings', {
+				index,
+				body: { index: { analysis: this.config.analysis } }
+			}))
+			.then(() => this.connection.clientRequest('indices.open', { index }), (err) => {
+				// Reopen the index even if the settings were rejected
+				return this.connection.clientRequest('indices.open', { index })
+					.then(() => Promise.reject(err));
+			})
+			.then(() => this.connection.clientRequest('cluster.health', { index, waitForStatus: 'yellow' }));
+	}
+
+	/**
+	 * Checks that the analyzers and normalizers referenced by a mapping are built-in, or defined in the
+	 * analysis settings of the index config or of the live index.
+	 *
+	 * @method _validateAnalyzers
+	 * @private
+	 * @throws {ElasticsearchMappingValidationError} - If an analyzer is missing.
+	 * @param {String} typeName
+	 * @param {Object} mapping - The (untranslated) mapping.
+	 * @param {Object} [liveAnalysis] - The analysis settings of the live index.
+	 */
+	_validateAnalyzers(typeName, mapping, liveAnalysis) {
+		let analysisList = [ this.config.analysis || {}, liveAnalysis || {} ];
+		let analyzers = BUILTIN_ANALYZERS.concat(..._.map(analysisList, (analysis) => _.keys(analysis.analyzer)));
+		let normalizers = BUILTIN_NORMALIZERS.concat(..._.map(analysisList, (analysis) => _.keys(analysis.normalizer)));
+		let missing = [];
+		let traverse = (properties) => {
+			_.forEach(properties, (property) => {
+				if (!_.isPlainObject(property)) { return; }
+				for (let key of ANALYZER_PROPERTIES) {
+					if (property[key] && !_.contains(analyzers, property[key])) {
+						missing.push(property[key]);
+					}
+				}
+				if (property.normalizer && !_.contains(normalizers, property.normalizer)) {
+					missing.push(property.normalizer);
+				}
+				traverse(property.properties);
+				traverse(property.fields);
+			});
+		};
+		traverse(mapping.properties);
+		if (missing.length) {
+			let names = _.uniq(missing).join(', ');
+			throw new ElasticsearchMappingValidationError(
+				`Analyzers used by ${typeName} are not defined on index ${this.name}: ${names}`,
+				{ typeName, index: this.name, analyzers: _.uniq(missing) }
+			);
+		}
+	}
+
+	/**
+	 * Adds the configured aliases which are missing from the index, or whose definition changed, in a
+	 * single atomic request.
+	 *
+	 * @method _initializeAliases
+	 * @private
+	 * @return {Promise}
+	 */
+	_initializeAliases() {
+		let { read, write } = this.config.aliases;
+		if (!read && !write) { return Promise.resolve(); }
+		return Promise.all([
+			this._getAliasIndexes(read && read.name),
+			this._getAliasIndexes(write && write.name)
+		]).then(([ readIndexes, writeIndexes ]) => {
+			let actions = [];
+			let isOtherIndex = (index) => index !== this.concreteName;
+			for (let [ alias, aliasIndexes ] of [ [ read, readIndexes ], [ write, writeIndexes ] ]) {
+				if (!alias) { continue; }
+				// Do not take over a write alias from another index
+				if (alias === write && _.any(_.keys(aliasIndexes), isOtherIndex)) { continue; }
+				if (!_.isEqual(aliasIndexes[this.concreteName], buildAliasDefinition(alias))) {
+					actions.push({ add: buildAliasAction(this.concreteName, alias) });
+				}
+			}
+			this._hasWriteAlias = !!write && !_.any(_.keys(writeIndexes), isOtherIndex);
+			if (!actions.length) { return Promise.resolve(); }
+			return this.connection.clientRequest('indices.updateAliases', { body: { actions } });
+		});
+	}
+
+	/**
+	 * Fetches the indexes an alias points to.
+	 *
+	 * @method _getAliasIndexes
+	 * @private
+	 * @param {String} [aliasName]
+	 * @return {Promise{Object}} - Resolves with a map from index names to the alias definitions, in
+	 *   the same format as `buildAliasDefinition()` .
+	 */
+	_getAliasIndexes(aliasName) {
+		if (!aliasName) { return Promise.resolve({}); }
+		return this.connection.clientRequest('indices.getAlias', { name: aliasName })
+			.catch((err) => {
+				if (err.code === XError.NOT_FOUND) { return {}; }
+				throw err;
+			})
+			.then((response) => _.mapValues(response, (indexAliases) => {
+				let definition = (indexAliases.aliases || {})[aliasName] || {};
+				return _.omit(definition, _.isUndefined);
+			}));
+	}
+
+	/**
+	 * Replaces the aliases of this index.  Aliases no longer configured are removed from the index,
+	 * the new aliases are added, and the write alias is moved from any other index, all in a single
+	 * atomic request.
+	 *
+	 * @method updateAliases
+	 * @param {Object} aliases - The new aliases, in the same format as `config.aliases` .
+	 * @return {Promise} - Resolves when the aliases have been updated.
+	 */
+	updateAliases(aliases) {
+		let oldAliases = this.config.aliases;
+		let newAliases = normalizeAliases(aliases);
+		let { read, write } = newAliases;
+		return this.indexWaiter.promise
+			.then(() => this._getAliasIndexes(write && write.name))
+			.then((writeIndexes) => {
+				let actions = [];
+				let newNames = _.pluck(_.compact([ read, write ]), 'name');
+				for (let oldAlias of _.compact([ oldAliases.read, oldAliases.write ])) {
+					if (!_.contains(newNames, oldAlias.name)) {
+						actions.push({ remove: { index: this.concreteName, alias: oldAlias.name } });
+					}
+				}
+				for (let index in writeIndexes) {
+					if (index !== this.concreteName) {
+						actions.push({ remove: { index, alias: write.name } });
+					}
+				}
+				for (let alias of _.compact([ read, write ])) {
+					actions.push({ add: buildAliasAction(this.concreteName, alias) });
+				}
+				if (!actions.length) { return Promise.resolve(); }
+				return this.connection.clientRequest('indices.updateAliases', { body: { actions } });
+			})
+			.then(() => {
+				this.config.aliases = newAliases;
+				this._hasWriteAlias = !!write;
+			});
+	}
+
+	/**
+	 * Rebuilds the index with new settings and mappings, without downtime for models using the
+	 * read and write aliases.  The steps are:
+	 *
+	 * - A new versioned index (ie, `animals_v2`) is created with the new config and mappings, but
+	 *   without aliases.
+	 * - All documents are copied to the new index, using a scroll and bulk requests.
+	 * - Documents written during the copy are copied again, if `options.updatedField` is given.
+	 * - The read and write aliases are moved to the new index in a single atomic request.
+	 * - Documents written before the aliases were moved are copied again.
+	 * - If `options.deleteOld` is set, the old index is deleted.  If this index is not accessed through
+	 *   an alias, its name is added as an alias of the new index, in the same atomic request.  This
+	 *   requires ElasticSearch 6.4 or later.
+	 *
+	 * Documents removed from the old index during the copy are not removed from the new index.
+	 *
+	 * @method reindex
+	 * @throws {XError} - Rejects with `unsupported_operation` if the old index must be replaced by an
+	 *   alias, on ElasticSearch versions before 6.4 .
+	 * @param {Object} [options={}]
+	 *   @param {Object} [options.config] - Index config values overriding the config of this index.
+	 *   @param {Object} [options.mappings] - Map from type names to (untranslated) mappings to put on
+	 *     the new index.
+	 *   @param {String} [options.name] - Name of the new index.  Defaults to the name of this index with
+	 *     an incremented version suffix.
+	 *   @param {String} [options.updatedField] - Path of a date field set to the current time on every
+	 *     write.  Used to find documents to copy again after the initial copy.  If not given, writes must
+	 *     be stopped during the reindex.
+	 *   @param {Boolean} [options.deleteOld=false] - If true, delete the old index after the swap.
+	 *   @param {Number} [options.batchSize=500] - Number of documents in each scroll page and bulk request.
+	 *   @param {String} [options.scrollTimeout='5m'] - Timeout of the copy scroll.
+	 * @return {Promise{ElasticsearchIndex}} - Resolves with the new index once the aliases point to it.
+	 */
+	reindex(options = {}) {
+		let oldName;
+		let newIndex;
+		let newConfig = _.assign({}, this.config, options.config);
+		let newAliases = normalizeAliases(newConfig.aliases);
+		let copyStartTime, catchUpStartTime;
+		let copyUpdatedSince = (time) => {
+			return this._copyDocuments(newIndex, buildUpdatedSinceQuery(options.updatedField, time), options);
+		};
+		return this.indexWaiter.promise
+			.then(() => {
+				oldName = this.concreteName;
+				let apiAdapter = this.connection.getApiAdapter();
+				if (options.deleteOld && this.name === oldName && !apiAdapter.buildRemoveIndexAction(oldName)) {
+					throw new XError(
+						XError.UNSUPPORTED_OPERATION,
+						`Cannot replace index ${oldName} by an alias atomically before ElasticSearch 6.4; ` +
+							'name the index config after an alias of the index instead'
+					);
+				}
+				let newName = options.name || getNextVersionName(oldName);
+				newIndex = new ElasticsearchIndex(newName, this.connection, _.omit(newConfig, 'aliases'), this.options);
+				return newIndex.indexWaiter.promise;
+			})
+			.then(() => pasync.eachSeries(_.pairs(options.mappings), ([ typeName, mapping ]) => {
+				return newIndex.addMapping(typeName, mapping);
+			}))
+			.then(() => {
+				copyStartTime = Date.now();
+				return this._copyDocuments(newIndex, null, options);
+			})
+			.then(() => {
+				if (!options.updatedField) { return Promise.resolve(); }
+				catchUpStartTime = Date.now();
+				return copyUpdatedSince(copyStartTime);
+			})
+			.then(() => this._swapAliases(newIndex, newAliases))
+			.then(() => {
+				// If this index was accessed through an alias, that alias now points to the new index
+				if (this.name !== oldName) { newIndex.name = this.name; }
+			})
+			.then(() => {
+				if (!options.updatedField) { return Promise.resolve(); }
+				// Copy the documents written between the catch-up copy and the swap
+				return copyUpdatedSince(catchUpStartTime);
+			})
+			.then(() => {
+				if (!options.deleteOld) { return Promise.resolve(); }
+				if (this.name !== oldName) {
+					// The name of this index is an alias, which was moved to the new index by the swap
+					return this.connection.clientRequest('indices.delete', { index: oldName });
+				}
+				// Keep the old name usable, as an alias of the new index.  The old index is deleted in the same
+				// atomic request, so a write in between cannot create a new index with the old name.
+				let actions = [
+					this.connection.getApiAdapter().buildRemoveIndexAction(oldName),
+					{ add: { index: newIndex.concreteName, alias: this.name } }
+				];
+				return this.connection.clientRequest('indices.updateAliases', { body: { actions } })
+					.then(() => {
+						newIndex.name = this.name;
+					});
+			})
+			.then(() => newIndex);
+	}
+
+	/**
+	 * Moves the aliases of this index to a new index in a single atomic request.  If this index is
+	 * accessed through an alias, that alias is also moved.
+	 *
+	 * @method _swapAliases
+	 * @private
+	 * @param {ElasticsearchIndex} newIndex
+	 * @param {Object} newAliases - Normalized aliases of the new index.
+	 * @return {Promise}
+	 */
+	_swapAliases(newIndex, newAliases) {
+		let oldAliasNames = _.pluck(_.compact([ this.config.aliases.read, this.config.aliases.write ]), 'name');
+		if (this.name !== this.concreteName) {
+			oldAliasNames.push(this.name);
+		}
+		return pasync.mapSeries(oldAliasNames, (aliasName) => this._getAliasIndexes(aliasName))
+			.then((aliasIndexes) => {
+				let actions = [];
+				_.forEach(oldAliasNames, (aliasName, i) => {
+					if (aliasIndexes[i][this.concreteName]) {
+						actions.push({ remove: { index: this.concreteName, alias: aliasName } });
+					}
+				});
+				for (let alias of _.compact([ newAliases.read, newAliases.write ])) {
+					actions.push({ add: buildAliasAction(newIndex.concreteName, alias) });
+				}
+				if (this.name !== this.concreteName) {
+					actions.push({ add: { index: newIndex.concreteName, alias: this.name } });
+				}
+				if (!actions.length) { return Promise.resolve(); }
+				return this.connection.clientRequest('indices.updateAliases', { body: { actions } });
+			})
+			.then(() => {
+				newIndex.config.aliases = newAliases;
+				newIndex._hasWriteAlias = !!newAliases.write;
+				this._hasWriteAlias = false;
+			});
+	}
+
+	/**
+	 * Copies documents from this index to another index, using a scroll and bulk requests.
+	 *
+	 * @method _copyDocuments
+	 * @private
+	 * @param {ElasticsearchIndex} targetIndex
+	 * @param {Object|Null} query - Raw ES query selecting the documents to copy, or null to copy all
+	 *   documents.
+	 * @param {Object} options - Options passed to `reindex()` .
+	 * @return {Promise{Number}} - Resolves with the number of copied documents.
+	 */
+	_copyDocuments(targetIndex, query, options) {
+		let apiAdapter = this.connection.getApiAdapter();
+		let requestContext = { operation: 'reindex' };
+		let scroll = options.scrollTimeout || '5m';
+		let copied = 0;
+		let scrollId = null;
+		let isDone = false;
+		let clearScroll = () => {
+			if (!scrollId) { return Promise.resolve(); }
+			this.connection._untrackScroll(scrollId);
+			let clearScrollParams = apiAdapter.buildClearScrollParams(scrollId);
+			return this.connection.clientRequest('clearScroll', clearScrollParams, requestContext).catch(() => {});
+		};
+		// Refresh first, so the documents written so far are visible to the scroll
+		return this.connection.clientRequest('indices.refresh', { index: this.concreteName }, requestContext)
+			.then(() => pasync.whilst(() => !isDone, () => {
+				let scrollPromise;
+				if (scrollId) {
+					let scrollParams = apiAdapter.buildScrollParams(scrollId, scroll);
+					scrollPromise = this.connection.clientRequest('scroll', scrollParams, requestContext);
+				} else {
+					let searchParams = apiAdapter.translateSearchParams({
+						index: this.concreteName,
+						size: options.batchSize || 500,
+						scroll,
+						searchType: 'scan',
+						fields: [ '_parent', '_routing' ],
+						_source: true,
+						body: {
+							query: apiAdapter.translateQuery(query || { 'match_all': {} })
+						}
+					});
+					scrollPromise = this.connection.clientRequest('search', searchParams, requestContext);
+				}
+				return scrollPromise.then((resp) => {
+					let hits = objtools.getPath(resp, 'hits.hits') || [];
+					if (scrollId && !hits.length) {
+						isDone = true;
+						return Promise.resolve();
+					}
+					if (scrollId) { this.connection._untrackScroll(scrollId); }
+					scrollId = resp._scroll_id; //eslint-disable-line camelcase
+					this.connection._trackScroll(scrollId);
+					if (!hits.length) { return Promise.resolve(); }
+					return this._bulkIndexHits(targetIndex, hits, requestContext)
+						.then(() => {
+							copied += hits.length;
+							this.emit('reindexProgress', { index: targetIndex.getName(), copied });
+						});
+				});
+			}))
+			.then(() => clearScroll(), (err) => clearScroll().then(() => Promise.reject(err)))
+			.then(() => copied);
+	}
+
+	/**
+	 * Indexes a page of scroll hits into another index with a single bulk request.
+	 *
+	 * @method _bulkIndexHits
+	 * @private
+	 * @param {ElasticsearchIndex} targetIndex
+	 * @param {Object[]} hits - Raw ES hits.
+	 * @param {Object} requestContext
+	 * @return {Promise}
+	 */
+	_bulkIndexHits(targetIndex, hits, requestContext) {
+		let apiAdapter = this.connection.getApiAdapter();
+		let body = [];
+		for (let hit of hits) {
+			let fields = hit.fields || {};
+			body.push(apiAdapter.buildBulkIndexAction({
+				index: targetIndex.concreteName,
+				type: hit._type,
+				id: hit._id,
+				routing: hit._routing || fields._routing,
+				parent: hit._parent || fields._parent
+			}));
+			body.push(hit._source);
+		}
+		return this.connection.clientRequest('bulk', { body }, requestContext)
+			.then((resp) => {
+				if (!resp.errors) { return; }
+				let errors = _.compact(_.map(resp.items, (item) => _.values(item)[0].error));
+				throw new ElasticsearchError(ElasticsearchError.DB_ERROR, 'Failed to copy documents', { errors });
+			});
+	}
+
 	getName() {
 		return this.name;
 	}
 
+	/**
+	 * Builds the aliases of an index template from an index config.  Only the read alias is included,
+	 * since a write alias can only point to a single index.
+	 *
+	 * @method buildTemplateAliases
+	 * @static
+	 * @param {Object} config - An index config, as passed to the constructor.
+	 * @return {Object|Null} - The raw ES template aliases, or null if there is no read alias.
+	 */
+	static buildTemplateAliases(config) {
+		let { read } = normalizeAliases(config.aliases);
+		if (!read) { return null; }
+		return { [read.name]: buildAliasDefinition(read) };
+	}
+
+	/**
+	 * Returns the name to search this index through: the read alias if configured, or the actual index
+	 * name.
+	 *
+	 * @method getReadName
+	 * @return {String}
+	 */
+	getReadName() {
+		let { read } = this.config.aliases;
+		return read ? read.name : this.concreteName;
+	}
+
+	/**
+	 * Returns the name to write new documents to: the write alias if it points to this index, or the
+	 * actual index name.
+	 *
+	 * @method getWriteName
+	 * @return {String}
+	 */
+	getWriteName() {
+		let { write } = this.config.aliases;
+		return (write && this._hasWriteAlias) ? write.name : this.concreteName;
+	}
+
+	/**
+	 * Returns the routing value documents must be written with through the write alias, if the alias
+	 * has index routing.
+	 *
+	 * @method getWriteRouting
+	 * @return {String|Undefined}
+	 */
+	getWriteRouting() {
+		let { write } = this.config.aliases;
+		if (!write || !this._hasWriteAlias) { return undefined; }
+		return buildAliasDefinition(write).index_routing; //eslint-disable-line camelcase
+	}
+
+	/**
+	 * Builds the ES settings for a new index from an index config.
+	 *
+	 * @method buildIndexSettings
+	 * @static
+	 * @param {Object} config - An index config, as passed to the constructor.
+	 * @return {Object} - The raw ES index settings.
+	 */
+	static buildIndexSettings(config) {
+		let settings = {
+			index: {
+				number_of_shards: config.shards || 5, //eslint-disable-line camelcase
+				number_of_replicas: config.replicas || 1 //eslint-disable-line camelcase
+			}
+		};
+		if (config.analysis) {
+			settings.index.analysis = config.analysis;
+		}
+		return settings;
+	}
+
 	/**
 	 * Adds/updates a mapping in this index.
 	 *
 	 * @method addMapping
 	 * @param {String} typeName - The name of the elasticsearch Type
 	 * @param {Object} mapping - The elasticsearch-formatted mapping
-	 * @return {Promise} - Resolves with undefined, rejects with an ElasticsearchError
+	 * @return {Promise} - Resolves with undefined.  Rejects with an ElasticsearchMappingValidationError if
+	 *   the mapping references an analyzer which does not exist on the index, or ES cannot parse the
+	 *   mapping, or with an ElasticsearchError.
 	 */
 	addMapping(typeName, mapping) {
 		return this.indexWaiter.promise
-			.then((/*index*/) => this.connection.connectionWaiter.promise)
-			.then((connection) => {
-				return connection.client.indices.putMapping({
-					index: this.name,
-					type: typeName,
-					body: {
-						[ `${typeName}` ]: mapping
-					}
-				});
+			.then(() => this._getLiveSettings())
+			.then((settings) => {
+				this._validateAnalyzers(typeName, mapping, getExistingAnalysis(settings));
+				// Translate the mapping for the cluster's API version
+				let apiAdapter = this.connection.getApiAdapter();
+				let esMapping = apiAdapter.translateMapping(mapping);
+				let params = apiAdapter.buildPutMappingParams(this.concreteName, typeName, esMapping);
+				return this.connection.clientRequest('indices.putMapping', params);
+			})
+			.catch((err) => {
+				if (!isMapperParsingError(err)) { throw err; }
+				let reason = objtools.getPath(err, 'body.error.reason') || err.message;
+				throw new ElasticsearchMappingValidationError(
+					`Mapping of ${typeName} was rejected by index ${this.name}: ${reason}`,
+					{ typeName, index: this.name },
+					err
+				);
+			});
+	}
+
+	/**
+	 * Fetches the live mapping of a type in this index.
+	 *
+	 * @method getMapping
+	 * @param {String} typeName - The name of the elasticsearch Type
+	 * @return {Promise{Object|Null}} - Resolves with the mapping as returned by ES, or null if the
+	 *   index has no mapping for the type.
+	 */
+	getMapping(typeName) {
+		return this.indexWaiter.promise
+			.then(() => {
+				let params = this.connection.getApiAdapter().buildGetMappingParams(this.concreteName);
+				return this.connection.clientRequest('indices.getMapping', params);
+			})
+			.then((response) => {
+				let mappings = (response[this.concreteName] || {}).mappings || {};
+				return mappings[typeName] || null;
 			});
 	}
 
+	/**
+	 * Refreshes the index, making all written documents visible to searches.
+	 *
+	 * @method refresh
+	 * @return {Promise} - Resolves with undefined, rejects with an ElasticsearchError
+	 */
+	refresh() {
+		return this._adminRequest('indices.refresh');
+	}
+
+	/**
+	 * Flushes the index, writing its transaction log to disk.
+	 *
+	 * @method flush
+	 * @return {Promise} - Resolves with undefined, rejects with an ElasticsearchError
+	 */
+	flush() {
+		return this._adminRequest('indices.flush');
+	}
+
+	/**
+	 * Merges the segments of the index (called an optimization before ElasticSearch 5).
+	 *
+	 * @method forceMerge
+	 * @param {Object} [options={}]
+	 *   @param {Number} [options.maxSegments] - Number of segments to merge down to.
+	 *   @param {Boolean} [options.onlyExpungeDeletes] - If set, only merge segments containing deleted
+	 *     documents.
+	 *   @param {Boolean} [options.flush] - Whether to flush the index after merging.
+	 * @return {Promise} - Resolves with undefined, rejects with an ElasticsearchError
+	 */
+	forceMerge(options = {}) {
+		return this.indexWaiter.promise.then(() => {
+			let [ method, params ] = this.connection.getApiAdapter().buildForceMergeRequest(_.omit({
+				index: this.concreteName,
+				maxNumSegments: options.maxSegments,
+				onlyExpungeDeletes: options.onlyExpungeDeletes,
+				flush: options.flush
+			}, _.isUndefined));
+			return this.connection.clientRequest(method, params);
+		}).then(() => {});
+	}
+
+	/**
+	 * Opens the index after it was closed.
+	 *
+	 * @method open
+	 * @return {Promise} - Resolves with undefined, rejects with an ElasticsearchError
+	 */
+	open() {
+		return this._adminRequest('indices.open');
+	}
+
+	/**
+	 * Closes the index.  Closed indexes keep their data, but cannot be read or written until opened.
+	 *
+	 * @method close
+	 * @return {Promise} - Resolves with undefined, rejects with an ElasticsearchError
+	 */
+	close() {
+		return this._adminRequest('indices.close');
+	}
+
+	/**
+	 * Deletes the index and all of its documents.  Emits a `deleted` event, on which the index manager
+	 * forgets this index; later `getIndex()` calls create the index again, with a new object.
+	 *
+	 * @method delete
+	 * @return {Promise} - Resolves with undefined, rejects with an ElasticsearchError
+	 */
+	delete() {
+		return this._adminRequest('indices.delete').then(() => {
+			this._initialized = false;
+			this.emit('deleted', this);
+		});
+	}
+
+	/**
+	 * Fetches statistics about the index.
+	 *
+	 * @method getStats
+	 * @return {Promise} - Resolves with an object containing the `docCount` and `deletedDocCount` (of
+	 *   primary shards), the `storeSize` (in bytes, of all shards including replicas), the
+	 *   `primaryStoreSize`, and the `segmentCount` .
+	 */
+	getStats() {
+		return this.indexWaiter.promise
+			.then(() => this.connection.clientRequest('indices.stats', {
+				index: this.concreteName,
+				metric: [ 'docs', 'store', 'segments' ]
+			}))
+			.then((response) => {
+				let stats = (response.indices || {})[this.concreteName] || response._all || {};
+				let get = (path) => objtools.getPath(stats, path) || 0;
+				return {
+					docCount: get('primaries.docs.count'),
+					deletedDocCount: get('primaries.docs.deleted'),
+					storeSize: get('total.store.size_in_bytes'),
+					primaryStoreSize: get('primaries.store.size_in_bytes'),
+					segmentCount: get('total.segments.count')
+				};
+			});
+	}
+
+	/**
+	 * Sends an index administration request, once the index is initialized.
+	 *
+	 * @method _adminRequest
+	 * @private
+	 * @param {String} method - The elasticsearch.Client method, ie. `indices.refresh` .
+	 * @return {Promise}
+	 */
+	_adminRequest(method) {
+		return this.indexWaiter.promise
+			.then(() => this.connection.clientRequest(method, { index: this.concreteName }))
+			.then(() => {});
+	}
+
+}
+
+/**
+ * Normalizes the aliases of an index config, so each alias is either null or an object with a `name` .
+ *
+ * @method normalizeAliases
+ * @private
+ * @param {Object} [aliases={}]
+ * @return {Object} - Object containing `read` and `write` aliases.
+ */
+function normalizeAliases(aliases = {}) {
+	let normalize = (alias) => {
+		if (!alias) { return null; }
+		return _.isString(alias) ? { name: alias } : alias;
+	};
+	return { read: normalize(aliases.read), write: normalize(aliases.write) };
+}
+
+/**
+ * Builds a raw ES query matching documents written since a given time.
+ *
+ * @method buildUpdatedSinceQuery
+ * @private
+ * @param {String} updatedField - Path of a date field set on every write.
+ * @param {Number} time - Timestamp in ms.
+ * @return {Object}
+ */
+function buildUpdatedSinceQuery(updatedField, time) {
+	return { range: { [updatedField]: { gte: time } } };
+}
+
+/**
+ * Converts the values of settings to strings, as they are returned by ES.
+ *
+ * @method stringifySettings
+ * @private
+ * @param {Mixed} value
+ * @return {Mixed}
+ */
+function stringifySettings(value) {
+	if (_.isArray(value)) { return _.map(value, stringifySettings); }
+	if (_.isPlainObject(value)) { return _.mapValues(value, stringifySettings); }
+	return String(value);
+}
+
+/**
+ * Returns whether settings contain the given settings.  Only the keys of the expected settings are
+ * compared, since ES merges analysis settings with the existing ones.
+ *
+ * @method containsSettings
+ * @private
+ * @param {Mixed} settings - The live settings.
+ * @param {Mixed} expected - The expected settings, with all values as strings.
+ * @return {Boolean}
+ */
+function containsSettings(settings, expected) {
+	if (_.isPlainObject(expected)) {
+		return _.isPlainObject(settings) && _.every(expected, (value, key) => containsSettings(settings[key], value));
+	}
+	if (_.isArray(expected) && _.isPlainObject(settings)) {
+		// Flat settings hold the elements of lists under numbered keys
+		settings = _.map(_.sortBy(_.keys(settings), Number), (key) => settings[key]);
+	}
+	return _.isEqual(settings, expected);
+}
+
+/**
+ * Returns whether an error of the ES client is a failure to parse a mapping, which was not detected
+ * before sending it.
+ *
+ * @method isMapperParsingError
+ * @private
+ * @param {Error} err
+ * @return {Boolean}
+ */
+function isMapperParsingError(err) {
+	if (!err) { return false; }
+	// ES 1.x reports errors as strings, ie. `MapperParsingException[Analyzer [foo] not found for field [bar]]`
+	return objtools.getPath(err, 'body.error.type') === 'mapper_parsing_exception' ||
+		/MapperParsingException|mapper_parsing_exception/.test(err.message);
+}
+
+/**
+ * Returns the analysis settings of an index.
+ *
+ * @method getExistingAnalysis
+ * @private
+ * @param {Object} settings - The index settings, as returned by ES.
+ * @return {Object|Undefined} - The analysis settings, with all values as strings.
+ */
+function getExistingAnalysis(settings) {
+	// Settings may be returned either flat or nested
+	return objtools.getPath(settings, 'index.analysis') || unflattenSettings(settings, 'index.analysis.');
+}
+
+/**
+ * Extracts nested settings from flat settings, ie. `{ 'index.analysis.analyzer.foo.type': 'custom' }` .
+ *
+ * @method unflattenSettings
+ * @private
+ * @param {Object} settings - Flat settings.
+ * @param {String} prefix - Prefix of the keys to extract, ie. `index.analysis.` .
+ * @return {Object|Undefined} - The nested settings, or undefined if no key has the prefix.
+ */
+function unflattenSettings(settings, prefix) {
+	let result;
+	for (let key in settings) {
+		if (key.indexOf(prefix) !== 0) { continue; }
+		result = result || {};
+		objtools.setPath(result, key.slice(prefix.length), settings[key]);
+	}
+	return result;
+}
+
+/**
+ * Builds the ES definition of an alias, as returned by the get alias API.
+ *
+ * @method buildAliasDefinition
+ * @private
+ * @param {Object} alias - A normalized alias.
+ * @return {Object}
+ */
+function buildAliasDefinition(alias) {
+	let indexRouting = alias.indexRouting || alias.routing;
+	let searchRouting = alias.searchRouting || alias.routing;
+	return _.omit({
+		filter: alias.filter,
+		index_routing: _.isUndefined(indexRouting) ? undefined : String(indexRouting), //eslint-disable-line camelcase
+		search_routing: _.isUndefined(searchRouting) ? undefined : String(searchRouting) //eslint-disable-line camelcase
+	}, _.isUndefined);
+}
+
+/**
+ * Builds the `add` action for an alias, as passed to the update aliases API.
+ *
+ * @method buildAliasAction
+ * @private
+ * @param {String} index - Name of the index.
+ * @param {Object} alias - A normalized alias.
+ * @return {Object}
+ */
+function buildAliasAction(index, alias) {
+	return _.assign({ index, alias: alias.name }, buildAliasDefinition(alias));
 }
 
 module.exports = ElasticsearchIndex;
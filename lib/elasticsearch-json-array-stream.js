@@ -0,0 +1,132 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { StringDecoder } = require('string_decoder');
+const { Transform } = require('zstreams');
+const XError = require('xerror');
+
+/**
+ * Parses a streamed JSON array, such as a raw ElasticSearch response, into a stream of its elements.
+ * Elements are parsed as soon as they have been fully received, so the whole array never needs to be
+ * kept in memory.  Null elements are skipped.
+ *
+ * @class ElasticsearchJsonArrayStream
+ * @constructor
+ */
+class ElasticsearchJsonArrayStream extends Transform {
+
+	constructor() {
+		super({ writableObjectMode: false, readableObjectMode: true });
+		this._decoder = new StringDecoder('utf8');
+
+		// Parser state: whether the opening and closing brackets were seen, the nesting depth, and the
+		// source text of the element currently being read
+		this._started = false;
+		this._ended = false;
+		this._depth = 0;
+		this._inString = false;
+		this._escaped = false;
+		this._element = '';
+	}
+
+	_transform(chunk, encoding, cb) {
+		try {
+			this._parse(this._decoder.write(chunk));
+		} catch (ex) {
+			return cb(ex);
+		}
+		cb();
+	}
+
+	_flush(cb) {
+		try {
+			this._parse(this._decoder.end());
+			if (!this._ended) {
+				throw new XError(XError.INTERNAL_ERROR, 'Unexpected end of JSON array');
+			}
+		} catch (ex) {
+			return cb(ex);
+		}
+		cb();
+	}
+
+	/**
+	 * Parses the next piece of the array source, and pushes the elements it completes.
+	 *
+	 * @method _parse
+	 * @private
+	 * @param {String} text
+	 * @throws {XError} - If the source is not a valid JSON array.
+	 */
+	_parse(text) {
+		for (let i = 0; i < text.length; i++) {
+			let char = text[i];
+			if (this._inString) {
+				this._element += char;
+				if (this._escaped) {
+					this._escaped = false;
+				} else if (char === '\\') {
+					this._escaped = true;
+				} else if (char === '"') {
+					this._inString = false;
+				}
+			} else if (/\s/.test(char)) {
+				if (this._element) { this._element += char; }
+			} else if (this._ended) {
+				throw new XError(XError.INTERNAL_ERROR, 'Unexpected data after JSON array');
+			} else if (!this._started) {
+				if (char !== '[') {
+					throw new XError(XError.INTERNAL_ERROR, 'Expected a JSON array');
+				}
+				this._started = true;
+				this._depth = 1;
+			} else if (this._depth === 1 && (char === ',' || char === ']')) {
+				this._pushElement(char === ']');
+			} else {
+				this._element += char;
+				if (char === '"') {
+					this._inString = true;
+				} else if (char === '{' || char === '[') {
+					this._depth++;
+				} else if (char === '}' || char === ']') {
+					this._depth--;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Parses and pushes the element that has been read.
+	 *
+	 * @method _pushElement
+	 * @private
+	 * @param {Boolean} isLast - Whether the element was terminated by the closing bracket.
+	 */
+	_pushElement(isLast) {
+		let source = this._element.trim();
+		this._element = '';
+		if (isLast) {
+			this._ended = true;
+			this._depth = 0;
+			// Allow empty arrays
+			if (!source) { return; }
+		}
+		if (!source) {
+			throw new XError(XError.INTERNAL_ERROR, 'Unexpected comma in JSON array');
+		}
+		let element;
+		try {
+			element = JSON.parse(source);
+		} catch (ex) {
+			throw new XError(XError.INTERNAL_ERROR, 'Invalid element in JSON array', ex);
+		}
+		// Object streams cannot contain null, since pushing null ends the stream
+		if (element !== null) {
+			this.push(element);
+		}
+	}
+
+}
+
+module.exports = exports = ElasticsearchJsonArrayStream;
@@ -8,13 +8,29 @@ const XError = require('xerror');
 const objtools = require('objtools');
 const Profiler = require('simprof');
 const { SchemaModel } = require('unimodel-core');
-const { createQuery } = require('./common-query');
+const { createQuery, createUpdate } = require('./common-query');
 const { convertSchema, convertQuery, convertAggregate, convertAggregateResult } = require('./convert');
 const ElasticsearchDocument = require('./elasticsearch-document');
 const ElasticsearchDocumentStream = require('./elasticsearch-document-stream');
+const ElasticsearchBulkWriteStream = require('./elasticsearch-bulk-write-stream');
+const ElasticsearchError = require('./elasticsearch-error');
+const ElasticsearchIndexPattern = require('./elasticsearch-index-pattern');
+const { onCancel, buildTimeoutParams, parseByteSize, splitBatchesByBytes } = require('./utils');
 
 const profiler = new Profiler('ElasticsearchModel');
 
+// Update operators which ES can apply to documents, and the operations they are translated into
+const UPDATE_SCRIPT_OPERATIONS = {
+	$set: 'set',
+	$unset: 'unset',
+	$inc: 'inc',
+	$push: 'push',
+	$addToSet: 'addToSet',
+	$pull: 'pull'
+};
+// Hooks triggered while saving a document; updates of models with these hooks fetch each document
+const SAVE_HOOK_NAMES = [ 'pre-validate', 'post-validate', 'pre-normalize', 'post-normalize', 'pre-save', 'post-save' ];
+
 
 /**
  * This class represents a schema'd model stored in ElasticSearch.
@@ -23,7 +39,10 @@ const profiler = new Profiler('ElasticsearchModel');
  * @constructor
  * @param {String} typeName - The name of the "type" (ie, collection) in ElasticSearch
  * @param {Object|Schema} schema - The common-schema schema mapped to this model
- * @param {String|ElasticsearchIndex} index - The default index to save and search into
+ * @param {String|ElasticsearchIndex} index - The default index to save and search into.  This may also
+ *   be a time-based index pattern, such as `events_{YYYY.MM.DD}`; see ElasticsearchIndexPattern .  Documents
+ *   are then saved into the index for the value of `options.indexDateField`, and searches are narrowed
+ *   down to the indexes matching the date range of the query.
  * @param {ElasticsearchConnection} connection - The connection to ElasticSearch
  * @param {Object} [options] - Can contain any options passed to common-schema.  Additionally:
  *   @param {String} [options.searchIndexes] - An ElasticSearch glob expression matching the indexes
@@ -33,6 +52,10 @@ const profiler = new Profiler('ElasticsearchModel');
  *     when saving objects.
  *   @param {String[]} [options.keys] - Ordered array of key fields as returned by `getKeys()`
  *   @param {Boolean} [options.initialize] - If set to false, do not initialize the model.
+ *   @param {String} [options.indexDateField] - Path of the date field selecting the index, if `index` is
+ *     a time-based index pattern.
+ *   @param {Number} [options.maxSearchIndexes=100] - Maximum number of time-based indexes to list in
+ *     a search.  Searches spanning more indexes search all indexes matching the pattern instead.
  */
 class ElasticsearchModel extends SchemaModel {
 
@@ -47,6 +70,17 @@ class ElasticsearchModel extends SchemaModel {
 		this.options = options;
 		this.keys = null;
 
+		// Names the indexes of time-based models
+		this.indexPattern = null;
+		if (ElasticsearchIndexPattern.isPattern(index)) {
+			if (!options.indexDateField) {
+				throw new XError(XError.INVALID_ARGUMENT, 'Time-based index patterns require options.indexDateField');
+			}
+			this.indexPattern = new ElasticsearchIndexPattern(index, options.indexDateField, {
+				maxSearchIndexes: options.maxSearchIndexes
+			});
+		}
+
 		// This is a map of index names to promises as returned by ElasticsearchIndex#addMapping() .
 		// It is used to ensure multiple put mappings for the same type are not executed against
 		// the same index at the same time.
@@ -55,6 +89,9 @@ class ElasticsearchModel extends SchemaModel {
 		// Array of extra indexes added to the schema as passed into convertSchema()
 		this.extraIndexes = [];
 
+		// Set of the names of the hooks registered on this model
+		this.hookNames = this.hookNames || {};
+
 		if (this.options.initialize !== false) {
 			// Wrap in setImmediate so `model.index` can be called right after creation
 			setImmediate(() => this.initialize());
@@ -149,9 +186,11 @@ class ElasticsearchModel extends SchemaModel {
 	 *
 	 * @method initialize
 	 * @return {Promise{ElasticsearchIndex}} - Resolves with the default ElasticsearchIndex with
-	 *   the mapping initialized.
+	 *   the mapping initialized.  For time-based models, indexes are initialized as they are used, so
+	 *   this resolves with null.
 	 */
 	initialize() {
+		if (this.indexPattern) { return Promise.resolve(null); }
 		// Right now all we have to do is ensure the mapping on the default index
 		return Promise.resolve()
 			.then(() => this._ensureIndex(this.defaultIndex))
@@ -189,10 +228,49 @@ class ElasticsearchModel extends SchemaModel {
 	 * Get the default index associated with this model.
 	 *
 	 * @method getIndex
+	 * @param {Date|String|Number} [date] - For time-based models, the date selecting the index.  The index
+	 *   is initialized with the mapping of this model.
 	 * @return {Promise{ElasticsearchIndex}} - The default elasticsearch index.
 	 */
-	getIndex() {
-		return this._ensureIndex(this.defaultIndex);
+	getIndex(date) {
+		if (!this.indexPattern) {
+			return this._ensureIndex(this.defaultIndex);
+		}
+		return Promise.resolve()
+			.then(() => this._ensureIndex(this.indexPattern.getIndexName(date)))
+			.then((index) => this._ensureMapping(index).then(() => index));
+	}
+
+	/**
+	 * Get the index a document should be saved into.
+	 *
+	 * @method getIndexForData
+	 * @param {Object} data - The (normalized) document data.
+	 * @return {Promise{ElasticsearchIndex}}
+	 */
+	getIndexForData(data) {
+		if (!this.indexPattern) { return this.getIndex(); }
+		return this.getIndex(objtools.getPath(data, this.indexPattern.field));
+	}
+
+	/**
+	 * Get the index, or the index expression, to search for a query.  For time-based models, the
+	 * searched indexes are narrowed down from the date range of the query, and the search must ignore
+	 * the indexes which do not exist.
+	 *
+	 * @method _getSearchIndex
+	 * @private
+	 * @param {Query} query - The normalized query.
+	 * @param {Object} options - Options of the search operation.
+	 * @param {Boolean} [narrow=true] - If false, time-based models search all of their indexes.
+	 * @return {Promise{ElasticsearchIndex|String}}
+	 */
+	_getSearchIndex(query, options, narrow = true) {
+		if (options.index || !this.indexPattern) {
+			return this._ensureIndex(options.index || this.defaultIndex);
+		}
+		if (!narrow) { return Promise.resolve(this.indexPattern.getGlob()); }
+		return Promise.resolve(this.indexPattern.getSearchIndexes(query.getData()));
 	}
 
 	/**
@@ -203,6 +281,11 @@ class ElasticsearchModel extends SchemaModel {
 	 * @return {Promise{Object}} - The ES Mapping
 	 */
 	getMapping() {
+		if (this.indexPattern) {
+			// Time-based indexes get the mapping when they are first used
+			if (!this.mapping) { this.mapping = this.buildMapping(); }
+			return Promise.resolve(this.mapping);
+		}
 		return this._ensureIndex(this.defaultIndex)
 			.then((index) => this._ensureMapping(index))
 			.then(() => this.mapping);
@@ -222,12 +305,73 @@ class ElasticsearchModel extends SchemaModel {
 			return this.indexMappingPromises[index.name];
 		}
 		// Add the mapping
-		this.mapping = convertSchema(this.schema, this.extraIndexes, this.options);
+		this.mapping = this.buildMapping();
 		let mappingPromise = index.addMapping(this.typeName, this.mapping);
 		this.indexMappingPromises[index.name] = mappingPromise;
 		return mappingPromise;
 	}
 
+	/**
+	 * Checks that the mapping of this model exists on every index it searches, as matched by the
+	 * `searchIndexes` glob (or the index pattern of time-based models).  Only existing indexes
+	 * matching an index config are checked.
+	 *
+	 * @method checkSearchIndexes
+	 * @param {Object} [options={}]
+	 *   @param {Boolean} [options.addMissing=false] - If set, the mapping is put on the indexes missing it.
+	 * @return {Promise{Object}} - Resolves with an object containing the names of the checked `indexes`,
+	 *   and of those `missing` the mapping.
+	 */
+	checkSearchIndexes(options = {}) {
+		let glob = this.options.searchIndexes || (this.indexPattern && this.indexPattern.getGlob());
+		if (!glob) {
+			glob = _.isString(this.defaultIndex) ? this.defaultIndex : this.defaultIndex.getName();
+		}
+		let missing = [];
+		let indexes;
+		return this.connection.indexManager.listIndexes(glob)
+			.then((result) => {
+				indexes = result;
+				return pasync.eachSeries(indexes, (index) => {
+					return index.getMapping(this.typeName).then((mapping) => {
+						if (mapping) { return Promise.resolve(); }
+						missing.push(index.getName());
+						if (options.addMissing) { return index.addMapping(this.typeName, this.buildMapping()); }
+						return Promise.resolve();
+					});
+				});
+			})
+			.then(() => ({ indexes: _.invoke(indexes, 'getName'), missing }));
+	}
+
+	/**
+	 * Rebuilds the default index of this model, so changes to the mapping which cannot be applied to
+	 * the existing index (ie, a changed analyzer or field type) take effect.  Documents are copied to a
+	 * new versioned index, which then replaces the old one behind the index aliases.  The mappings of
+	 * the other models registered on the same index are also put on the new index.
+	 *
+	 * @method reindex
+	 * @param {Object} [options] - Options passed to `ElasticsearchIndex#reindex`, such as `updatedField`
+	 *   and `deleteOld` .  Unless the index is accessed through an alias, `deleteOld` is required; see
+	 *   `ElasticsearchIndexManager#reindex` .
+	 * @return {Promise{ElasticsearchIndex}} - Resolves with the new index.
+	 */
+	reindex(options = {}) {
+		let indexName = _.isString(this.defaultIndex) ? this.defaultIndex : this.defaultIndex.getName();
+		return this.connection.indexManager.reindex(indexName, options);
+	}
+
+	/**
+	 * Builds the ElasticSearch mapping of this model from its schema.  The mapping is not
+	 * translated for the API version of the cluster.
+	 *
+	 * @method buildMapping
+	 * @return {Object} - The ES Mapping
+	 */
+	buildMapping() {
+		return convertSchema(this.schema, this.extraIndexes, this.options);
+	}
+
 	/**
 	 * Get the type name of this model.
 	 *
@@ -238,6 +382,19 @@ class ElasticsearchModel extends SchemaModel {
 		return this.typeName;
 	}
 
+	/**
+	 * Get a related model, such as the child type of a `$child` query, from the model registry of
+	 * this model's connection.
+	 *
+	 * @method getRelatedModel
+	 * @throws {XError} - If the related model is not registered with the connection.
+	 * @param {String} name - Name of the related model.
+	 * @return {ElasticsearchModel}
+	 */
+	getRelatedModel(name) {
+		return this.connection.model(name);
+	}
+
 	/**
 	 * Create a ElasticsearchDocument with the given data.
 	 *
@@ -273,24 +430,33 @@ class ElasticsearchModel extends SchemaModel {
 	 * @method _buildSearchParams
 	 * @private
 	 * @param {Object} esquery
-	 * @param {ElasticsearchIndex} index
+	 * @param {ElasticsearchIndex|String} index - The index to search, through its read alias if it has one.
+	 *   Strings are index expressions of time-based models, which may contain missing indexes.
 	 * @param {Object} options - Common elasticsearch/unimodel find options.
+	 * @param {Object} [extraParams] - Additional search params to set before translating the params for
+	 *   the cluster's API version.
 	 * @return {Obejct} elasticsearch.Client search params.
 	 */
-	_buildSearchParams(esquery, index, options = {}) {
+	_buildSearchParams(esquery, index, options = {}, extraParams = {}) {
+		let apiAdapter = this.connection.getApiAdapter();
 		let params = {
 			type: this.getName(),
-			index: index.getName(),
+			index: _.isString(index) ? index : index.getReadName(),
 			from: options.skip || 0,
 			fields: [ '_parent', '_routing', '_index', '_type', '_id', '_score' ],
 			size: options.limit || 10,
 			sort: options.sort,
 			routing: options.routing,
 			body: {
-				query: esquery
+				query: apiAdapter.translateQuery(esquery)
 			}
 		};
 
+		// Time-based index expressions may list indexes which have not been created
+		if (_.isString(index)) {
+			params.ignoreUnavailable = true;
+		}
+
 		// Handle "fields"
 		if (!_.isEmpty(options.fields)) {
 			// Handle partial fields
@@ -324,7 +490,7 @@ class ElasticsearchModel extends SchemaModel {
 			params.sort = sort;
 		}
 
-		return params;
+		return apiAdapter.translateSearchParams(objtools.merge(params, extraParams));
 	}
 
 	/**
@@ -365,6 +531,11 @@ class ElasticsearchModel extends SchemaModel {
 	 *   @param {String} [options.routing] - Optional routing parameter for search.
 	 *   @param {String} [options.scrollTimeout='10m'] - Timeout before the scroll is deleted
 	 *   @param {Number} [options.scrollSize=100] - Size of each pull from ElasticSearch
+	 *   @param {Number} [options.timeout] - Time (in ms) after which each scroll request fails with a
+	 *     `timed_out` ElasticsearchError.
+	 *   @param {AbortSignal} [options.signal] - Cancellation signal.  When triggered, the request in
+	 *     flight is aborted, the scroll is cleared, and the stream emits a `request_cancelled`
+	 *     ElasticsearchError.
 	 * @return {ReadableStream{Document}} - Resolves with a stream, that will have documents come down.
 	 */
 	findStream(query, options = {}) {
@@ -379,11 +550,25 @@ class ElasticsearchModel extends SchemaModel {
 		// Set the limit that will be used to cut the stream off later
 		const limit = _.isNumber(options.limit) ? options.limit : -1;
 
-		Promise.all([ // Ensure the ES Client and Index we're hittings are available
-			this.getClient(),
-			this._ensureIndex(options.index || this.defaultIndex)
+		let requestContext = { model: this.getName(), operation: 'findStream', signal: options.signal };
+
+		// Rejects when the operation is cancelled, so writes blocked on a stalled consumer are abandoned
+		let cancelReject;
+		let cancelPromise = new Promise((resolve, reject) => {
+			cancelReject = reject;
+		});
+		cancelPromise.catch(() => {});
+		let removeCancelListener = onCancel(options.signal, () => {
+			cancelReject(new ElasticsearchError(ElasticsearchError.REQUEST_CANCELLED, 'Request was cancelled'));
+		});
+
+		Promise.all([ // Ensure the model and Index we're hittings are initialized
+			this.initialize(),
+			this._getSearchIndex(query, options)
 		])
-			.then(([ client, index ]) => {
+			.then(([ , index ]) => {
+				// The scroll is also cleared after a cancellation, so this request must not be cancelled
+				let clearScrollContext = _.omit(requestContext, 'signal');
 				let isDone = false;
 				let progress = 0;
 				let scrollId = null;
@@ -394,14 +579,20 @@ class ElasticsearchModel extends SchemaModel {
 					let scrollPromise;
 					if (scrollId) {
 						// Continue the existing scroll
-						scrollPromise = client.scroll({ scrollId, scroll });
+						let scrollParams = this.connection.getApiAdapter().buildScrollParams(scrollId, scroll);
+						if (options.timeout) {
+							scrollParams.requestTimeout = buildTimeoutParams(options.timeout).requestTimeout;
+						}
+						scrollPromise = this.connection.clientRequest('scroll', scrollParams, requestContext);
 					} else {
 						// New scroll search
-						let searchParams = this._buildSearchParams(esquery, index, options);
-						searchParams.size = options.scrollSize || 100;
-						searchParams.scroll = scroll; // timeout
-						searchParams.searchType = (searchParams.sort) ? 'query_then_fetch' : 'scan';
-						scrollPromise = client.search(searchParams);
+						let searchParams = this._buildSearchParams(esquery, index, options, {
+							size: options.scrollSize || 100,
+							scroll, // timeout
+							searchType: (options.sort) ? 'query_then_fetch' : 'scan',
+							requestTimeout: buildTimeoutParams(options.timeout).requestTimeout
+						});
+						scrollPromise = this.connection.clientRequest('search', searchParams, requestContext);
 					}
 					return scrollPromise.then((resp) => {
 						// Extract "hits" from the response
@@ -410,36 +601,51 @@ class ElasticsearchModel extends SchemaModel {
 						// Do different actions based on if this is the initial "scroll" search
 						if (!scrollId) {
 							// Get the total as the total number of hits we would get without limit/skip
-							docStream.setTotal(objtools.getPath(resp, 'hits.total') || 0);
+							docStream.setTotal(this.connection.getApiAdapter().getHitsTotal(resp));
 						} else if (!hits.length) {
 							// This is not the first scroll, but we have no results. We're done!
 							isDone = true;
 							return Promise.resolve();
 						}
 
-						// Get the scrollId (it shouldn't change once we get it the first time)
+						// Get the scrollId (it may change between pages), and keep track of it on the connection
+						if (scrollId) { this.connection._untrackScroll(scrollId); }
 						scrollId = resp._scroll_id; //eslint-disable-line camelcase
+						this.connection._trackScroll(scrollId);
 
-						return pasync.each(hits, (hit) => new Promise((resolve, reject) => {
+						let writeHits = pasync.each(hits, (hit) => new Promise((resolve, reject) => {
 							docStream.write(hit, (err) => {
 								if (err) { return reject(err); }
 								progress++;
 								resolve();
 							});
-						})).then(() => {
+						}));
+						return Promise.race([ writeHits, cancelPromise ]).then(() => {
 							// Check to see if we're done passing documents through with a limit
 							isDone = limit > 0 && (progress >= limit);
 						});
 					});
 				})
-				.catch((err) => {
+				.then(() => {
+					// Clear the finished scroll, instead of leaving it open until it times out
+					if (!scrollId) { return Promise.resolve(); }
+					this.connection._untrackScroll(scrollId);
+					let clearScrollParams = this.connection.getApiAdapter().buildClearScrollParams(scrollId);
+					return this.connection.clientRequest('clearScroll', clearScrollParams, clearScrollContext)
+						.catch(() => {});
+				}, (err) => {
 					// Try to clear the scroll if it exists
 					if (!scrollId) { return Promise.reject(err); }
-					return client.clearScroll({ scrollId })
+					this.connection._untrackScroll(scrollId);
+					let clearScrollParams = this.connection.getApiAdapter().buildClearScrollParams(scrollId);
+					return this.connection.clientRequest('clearScroll', clearScrollParams, clearScrollContext)
 						.then(() => Promise.reject(err));
 				});
 			})
-			.catch((err) => docStream.emit('error', err))
+			.then(removeCancelListener, (err) => {
+				removeCancelListener();
+				docStream.emit('error', err);
+			})
 			.then(() => docStream.end())
 			.catch(pasync.abort)
 			.then(prof.wrappedEnd());
@@ -464,10 +670,17 @@ class ElasticsearchModel extends SchemaModel {
 	 *   @param {String} [options.index] - A single index name to search, or an index glob expression.
 	 *     Defaults to options.searchIndexes passed into the model constructor.
 	 *   @param {String} [options.routing] - Optional routing parameter for search.
+	 *   @param {AbortSignal} [options.signal] - Cancellation signal.  When triggered, the request in
+	 *     flight is aborted, and the operation rejects with a `request_cancelled` ElasticsearchError.
+	 *   @param {Number} [options.timeout] - Time (in ms) ES may spend on the search.  When it runs out,
+	 *     ES returns the results found so far.  If ES does not respond shortly after, the find fails with
+	 *     a `timed_out` ElasticsearchError.
 	 * @return {Promise{ElasticsearchDocument[]}} - Resolves with an array of result documents.
 	 *   Rejects with an XError.
 	 *   If the option `total` was set to true, the array also contains an additional member called
 	 *   `total` containing the total number of results without skip or limit.
+	 *   If the option `timeout` was set, the array also contains an additional member called `timedOut`
+	 *   which is true if the results are partial because the search timed out.
 	 */
 	find(query, options = {}) {
 		let prof = profiler.begin('#find');
@@ -476,13 +689,18 @@ class ElasticsearchModel extends SchemaModel {
 		query = this.normalizeQuery(query);
 		let esquery = convertQuery(query, this);
 
-		return Promise.all([ // Ensure the ES Client and Index we're hittings are available
-			this.getClient(),
-			this._ensureIndex(options.index || this.defaultIndex)
+		return Promise.all([ // Ensure the model and Index we're hittings are initialized
+			this.initialize(),
+			this._getSearchIndex(query, options)
 		])
-			.then(([ client, index ]) => {
-				let searchParams = this._buildSearchParams(esquery, index, options);
-				return client.search(searchParams);
+			.then(([ , index ]) => {
+				let timeoutParams = buildTimeoutParams(options.timeout);
+				let searchParams = this._buildSearchParams(esquery, index, options, timeoutParams);
+				return this.connection.clientRequest('search', searchParams, {
+					model: this.getName(),
+					operation: 'find',
+					signal: options.signal
+				});
 			})
 			.then((resp) => {
 				let hits = objtools.getPath(resp, 'hits.hits') || [];
@@ -491,7 +709,10 @@ class ElasticsearchModel extends SchemaModel {
 					docs.push(this._createExisting(hit, !_.isEmpty(options.fields)));
 				}
 				if (options.total) {
-					docs.total = objtools.getPath(resp, 'hits.total');
+					docs.total = this.connection.getApiAdapter().getHitsTotal(resp);
+				}
+				if (options.timeout) {
+					docs.timedOut = !!resp.timed_out; //eslint-disable-line camelcase
 				}
 				return docs;
 			})
@@ -499,11 +720,34 @@ class ElasticsearchModel extends SchemaModel {
 	}
 
 	/**
-	 * Insert multiple documents into the database.
+	 * Insert a single document into the database.
+	 *
+	 * @method insert
+	 * @since v0.0.1
+	 * @param {Object} data - The data to insert as the document.
+	 * @param {Object} [options] - Same as for `insertMulti()` .
+	 * @return {Promise{ElasticsearchDocument}} - Resolves with the saved document, or rejects with the
+	 *   error that prevented saving it.
+	 */
+	insert(data, options = {}) {
+		return this.insertMulti([ data ], options)
+			.then((results) => {
+				if (results.errors.length) {
+					throw results.errors[0].error;
+				}
+				return results[0];
+			});
+	}
+
+	/**
+	 * Insert multiple documents into the database.  Documents are written with the bulk API, in batches
+	 * limited by document count and request size.  The `pre-save` and `post-save` hooks are triggered
+	 * for each document, as when saving it.
 	 * NOTE: insert will call insertMulti for its implementation
 	 *
 	 * @method insertMulti
 	 * @since v0.0.1
+	 * @throws {XError} - If the consistency or replication option is invalid.
 	 * @param {Array{Object}} datas - The data to insert as the document.
 	 * @param {Object} [options]
 	 *   @param {String} [options.index] - A single index name to search, or an index glob expression.
@@ -512,25 +756,194 @@ class ElasticsearchModel extends SchemaModel {
 	 *   @param {String} [options.consistency] - Save consistency. Could be: "one", "quorum", "all"
 	 *   @param {Boolean} [options.refresh] - If true, refresh the index after saving.
 	 *   @param {String} [options.replication] - Replication types. Could be: "sync", "async"
-	 * @return {Promise} - Resolves with undefined or rejects with XError.
+	 *   @param {AbortSignal} [options.signal] - Cancellation signal.  When triggered, the request in
+	 *     flight is aborted, and the operation rejects with a `request_cancelled` ElasticsearchError.
+	 *   @param {Number} [options.timeout] - Timeout (in ms) for each bulk request; see
+	 *     ElasticsearchDocument#save .
+	 *   @param {Number} [options.batchSize=500] - Maximum number of documents per bulk request.
+	 *   @param {Number|String} [options.batchBytes='5mb'] - Maximum size of a bulk request body, in bytes
+	 *     or as a string such as `10mb` .  Larger documents are sent alone.
+	 *   @param {Number} [options.parallelism=1] - Maximum number of bulk requests in flight at once.
+	 * @return {Promise{Array}} - Resolves with the saved ElasticsearchDocuments, in the order of `datas` .
+	 *   Documents which could not be saved are null, and are listed in the `errors` property of the
+	 *   array, as objects containing their `position` in `datas` and the `error` .  Rejects if a bulk
+	 *   request fails as a whole.
 	 */
 	insertMulti(datas, options = {}) {
-		if (_.isEmpty(datas)) { return Promise.resolve(); }
-
 		let prof = profiler.begin('#insertMulti');
 
 		let createParams = _.pick(options, [ 'index', 'routing' ]);
-		let saveParams = this._buildSaveParams(options);
+		let saveParams = _.assign(this._buildSaveParams(options), _.pick(options, [ 'signal', 'timeout' ]));
+		ElasticsearchDocument._validateSaveOptions(saveParams);
+		let batchSize = options.batchSize || 500;
+		let batchBytes = parseByteSize(options.batchBytes || '5mb');
 
-		let docSaves = _.map(datas, (data) => {
-			let doc = this.create(data, createParams);
-			return doc.save(saveParams);
-		});
-		return Promise.all(docSaves)
-			.then(() => {})
+		let results = _.map(datas, () => null);
+		results.errors = [];
+		let addResult = (entry, error) => {
+			if (error) {
+				results.errors.push({ position: entry.position, error });
+			} else {
+				results[entry.position] = entry.doc;
+			}
+		};
+
+		// Each worker prepares and sends one batch at a time, until all documents are sent
+		let position = 0;
+		let failed = false;
+		let runWorker = () => {
+			if (position >= datas.length || failed) { return Promise.resolve(); }
+			let offset = position;
+			position = Math.min(datas.length, position + batchSize);
+			let batchDatas = datas.slice(offset, position);
+			return this._prepareBulkDocuments(batchDatas, offset, createParams, saveParams, 'insertMulti')
+				.then((entries) => {
+					let prepared = [];
+					for (let entry of entries) {
+						if (entry.error) {
+							addResult(entry, entry.error);
+						} else {
+							prepared.push(entry);
+						}
+					}
+					return pasync.eachSeries(splitBatchesByBytes(prepared, batchBytes), (batch) => {
+						return this._sendBulkDocuments(batch, saveParams, 'insertMulti').then((errors) => {
+							batch.forEach((entry, i) => addResult(entry, errors[i]));
+						});
+					});
+				})
+				.then(runWorker, (err) => {
+					failed = true;
+					throw err;
+				});
+		};
+
+		return Promise.all(_.times(options.parallelism || 1, runWorker))
+			.then(() => {
+				results.errors = _.sortBy(results.errors, 'position');
+				return results;
+			})
 			.then(prof.wrappedEnd());
 	}
 
+	/**
+	 * Creates documents from data, and prepares them to be written with the bulk API.  Existing documents
+	 * whose ID, routing or index changed (ie, moved to the index of another date) are deleted from where
+	 * they were saved, as by `ElasticsearchDocument#save` .
+	 *
+	 * @method _prepareBulkDocuments
+	 * @private
+	 * @param {Array{Object|ElasticsearchDocument}} datas - The document data, or documents.
+	 * @param {Number} offset - Position of the first document in the whole operation.
+	 * @param {Object} createParams - Fields of the documents, as passed to `create()` .
+	 * @param {Object} saveParams - Save options, as passed to `ElasticsearchDocument#save` .
+	 * @param {String} operation - Name of the operation, for the request context.
+	 * @return {Promise{Object[]}} - Resolves with an entry per document, containing its `position`, and
+	 *   either the `error` which prevented preparing it, or the `doc`, its bulk `action` and `source`,
+	 *   and the size in `bytes` of both.
+	 */
+	_prepareBulkDocuments(datas, offset, createParams, saveParams, operation) {
+		let apiAdapter = this.connection.getApiAdapter();
+		return Promise.all(_.map(datas, (data, i) => {
+			let entry = { position: offset + i };
+			return Promise.resolve()
+				.then(() => {
+					entry.doc = (data instanceof ElasticsearchDocument) ? data : this.create(data, createParams);
+					return entry.doc._prepareSave();
+				})
+				.then((source) => {
+					entry.source = source;
+					return this.initialize().then(() => entry.doc._purgeOriginal(saveParams, operation));
+				})
+				.then(() => {
+					entry.action = apiAdapter.buildBulkIndexAction({
+						index: entry.doc.getIndexId(),
+						type: entry.doc.getType(),
+						id: entry.doc.getInternalId(),
+						routing: entry.doc.getRouting(),
+						parent: entry.doc.getParentId()
+					});
+					entry.bytes = Buffer.byteLength(JSON.stringify(entry.action)) +
+						Buffer.byteLength(JSON.stringify(entry.source)) + 2;
+				}, (err) => {
+					entry.error = err;
+				})
+				.then(() => entry);
+		}));
+	}
+
+	/**
+	 * Writes prepared documents with a single bulk request, and finishes saving the documents which were
+	 * written.
+	 *
+	 * @method _sendBulkDocuments
+	 * @private
+	 * @param {Object[]} entries - Entries as returned by `_prepareBulkDocuments()` .
+	 * @param {Object} saveParams - Save options, as passed to `ElasticsearchDocument#save` .
+	 * @param {String} operation - Name of the operation, for the request context.
+	 * @return {Promise{Array}} - Resolves with an ElasticsearchError for each entry which failed, or null.
+	 *   Rejects if the request fails as a whole.
+	 */
+	_sendBulkDocuments(entries, saveParams, operation) {
+		return this._sendBulkRequest(entries, saveParams, operation)
+			.then((items) => pasync.mapSeries(_.zip(entries, items), ([ entry, item ]) => {
+				if (item.error) { return Promise.resolve(item.error); }
+				entry.doc.setInternalId(item._id);
+				entry.doc.setIndexId(item._index);
+				return entry.doc._finishSave().then(() => null, (err) => err);
+			}));
+	}
+
+	/**
+	 * Sends bulk actions with a single bulk request.
+	 *
+	 * @method _sendBulkRequest
+	 * @private
+	 * @param {Object[]} entries - Entries containing the bulk `action` and its `source` .
+	 * @param {Object} saveParams - Save options, as passed to `ElasticsearchDocument#save` .
+	 * @param {String} operation - Name of the operation, for the request context.
+	 * @return {Promise{Object[]}} - Resolves with the response item of each entry, containing the `_id`
+	 *   and `_index` of the document, or the ElasticsearchError of the action in `error` .  Rejects if the
+	 *   request fails as a whole.
+	 */
+	_sendBulkRequest(entries, saveParams, operation) {
+		let apiAdapter = this.connection.getApiAdapter();
+		let timeoutParams = buildTimeoutParams(saveParams.timeout);
+		let body = [];
+		for (let entry of entries) {
+			body.push(entry.action, entry.source);
+		}
+		let params = apiAdapter.translateWriteParams(_.omit({
+			body,
+			consistency: saveParams.consistency,
+			refresh: saveParams.refresh,
+			replication: saveParams.replication || 'sync',
+			timeout: timeoutParams.timeout,
+			requestTimeout: timeoutParams.requestTimeout
+		}, _.isUndefined));
+		let requestContext = { model: this.getName(), operation, signal: saveParams.signal };
+		return this.initialize()
+			.then(() => this.connection.clientRequest('bulk', params, requestContext))
+			.then((resp) => _.map(resp.items, (respItem) => {
+				let item = _.values(respItem)[0] || {};
+				if (item.error || item.status >= 300) {
+					return _.assign({}, item, { error: ElasticsearchError.fromESError(item.status, item.error) });
+				}
+				return item;
+			}));
+	}
+
+	/**
+	 * Returns a writable stream which saves documents with the bulk API.  See ElasticsearchBulkWriteStream .
+	 *
+	 * @method bulkWriteStream
+	 * @param {Object} [options] - Options of ElasticsearchBulkWriteStream .
+	 * @return {ElasticsearchBulkWriteStream}
+	 */
+	bulkWriteStream(options = {}) {
+		return new ElasticsearchBulkWriteStream(this, options);
+	}
+
 	/**
 	 * Returns a count of the number of documents matching a query.
 	 *
@@ -541,6 +954,11 @@ class ElasticsearchModel extends SchemaModel {
 	 *   @param {String} [options.index] - A single index name to search, or an index glob expression.
 	 *     Defaults to options.searchIndexes passed into the model constructor.
 	 *   @param {String} [options.routing] - Optional routing parameter for search.
+	 *   @param {AbortSignal} [options.signal] - Cancellation signal.  When triggered, the request in
+	 *     flight is aborted, and the operation rejects with a `request_cancelled` ElasticsearchError.
+	 *   @param {Number} [options.timeout] - Time (in ms) after which the count fails with a `timed_out`
+	 *     ElasticsearchError.  The count API cannot return partial results, so this is only enforced by
+	 *     the client.
 	 * @return {Promise} - Resolves with the numeric count.  Rejects with an XError.
 	 */
 	count(query, options = {}) {
@@ -550,14 +968,21 @@ class ElasticsearchModel extends SchemaModel {
 		query = this.normalizeQuery(query);
 		let esquery = convertQuery(query, this);
 
-		return Promise.all([ // Ensure the ES Client and Index we're hittings are available
-			this.getClient(),
-			this._ensureIndex(options.index || this.defaultIndex)
+		return Promise.all([ // Ensure the model and Index we're hittings are initialized
+			this.initialize(),
+			this._getSearchIndex(query, options)
 		])
-			.then(([ client, index ]) => {
+			.then(([ , index ]) => {
 				let searchParams = this._buildSearchParams(esquery, index, options);
-				let countParams = _.pick(searchParams, [ 'body', 'index', 'type', 'routing' ]);
-				return client.count(countParams);
+				let countParams = _.pick(searchParams, [ 'body', 'index', 'type', 'routing', 'ignoreUnavailable' ]);
+				if (options.timeout) {
+					countParams.requestTimeout = buildTimeoutParams(options.timeout).requestTimeout;
+				}
+				return this.connection.clientRequest('count', countParams, {
+					model: this.getName(),
+					operation: 'count',
+					signal: options.signal
+				});
 			})
 			.then((resp) => {
 				return resp.count || 0;
@@ -577,6 +1002,10 @@ class ElasticsearchModel extends SchemaModel {
 	 *   @param {String} [options.routing] - Optional routing parameter for search.
 	 *   @param {String} [options.consistency] - Save consistency. Could be: "one", "quorum", "all"
 	 *   @param {String} [options.replication] - Replication types. Could be: "sync", "async"
+	 *   @param {AbortSignal} [options.signal] - Cancellation signal.  When triggered, the request in
+	 *     flight is aborted, and the operation rejects with a `request_cancelled` ElasticsearchError.
+	 *   @param {Number} [options.timeout] - Time (in ms) ES waits for unavailable shards.  If ES does not
+	 *     respond shortly after, the removal fails with a `timed_out` ElasticsearchError.
 	 * @return {Promise} - Promise that resolves with the number of documents removed, or rejects with XError
 	 */
 	remove(query, options = {}) {
@@ -586,15 +1015,24 @@ class ElasticsearchModel extends SchemaModel {
 		query = this.normalizeQuery(query);
 		let esquery = convertQuery(query, this);
 
-		return Promise.all([ // Ensure the ES Client and Index we're hittings are available
-			this.getClient(),
-			this._ensureIndex(options.index || this.defaultIndex)
+		return Promise.all([ // Ensure the model and Index we're hittings are initialized
+			this.initialize(),
+			this._getSearchIndex(query, options, false)
 		])
-			.then(([ client, index ]) => {
+			.then(([ , index ]) => {
 				let searchParams = this._buildSearchParams(esquery, index, options);
 				let saveParams = this._buildSaveParams(options);
-				let deleteParams = objtools.merge({}, searchParams, saveParams);
-				return client.deleteByQuery(deleteParams);
+				let timeoutParams = buildTimeoutParams(options.timeout);
+				let deleteParams = objtools.merge({}, searchParams, saveParams, _.pick(timeoutParams, 'timeout'));
+				let [ method, params ] = this.connection.getApiAdapter().buildDeleteByQueryRequest(deleteParams);
+				if (timeoutParams.requestTimeout) {
+					params.requestTimeout = timeoutParams.requestTimeout;
+				}
+				return this.connection.clientRequest(method, params, {
+					model: this.getName(),
+					operation: 'remove',
+					signal: options.signal
+				});
 			})
 			.then(() => {})
 			.then(prof.wrappedEnd());
@@ -603,6 +1041,15 @@ class ElasticsearchModel extends SchemaModel {
 	/**
 	 * Updates all documents matching a given query.
 	 *
+	 * Updates made of the `$set`, `$unset`, `$inc`, `$push`, `$addToSet` and `$pull` operators are
+	 * applied by ElasticSearch: the matching documents are updated by ID with bulk `update` actions,
+	 * containing a partial document for `$set`-only updates, or a script.  Other updates are applied to
+	 * each matching document, which is then saved.  Scripts require ElasticSearch 5.x or later.
+	 *
+	 * Documents updated by ElasticSearch are never fetched, so no hooks can be triggered for them.  When
+	 * validate, normalize or save hooks are registered on the model, every update is applied to the
+	 * fetched documents instead, and the hooks are triggered as on save.
+	 *
 	 * @method update
 	 * @since v0.0.1
 	 * @throws {XError} - On validation of [query|update] or while applying the update.
@@ -621,29 +1068,223 @@ class ElasticsearchModel extends SchemaModel {
 	 *   @param {String} [options.consistency] - Save consistency. Could be: "one", "quorum", "all"
 	 *   @param {Boolean} [options.refresh] - If true, refresh the index after saving.
 	 *   @param {String} [options.replication] - Replication types. Could be: "sync", "async"
-	 * @return {Promise} - Resolves with the number of documents updated, or rejects with XError
+	 *   @param {AbortSignal} [options.signal] - Cancellation signal.  When triggered, the request in
+	 *     flight is aborted, and the operation rejects with a `request_cancelled` ElasticsearchError.
+	 *   @param {Number} [options.timeout] - Timeout (in ms) for each scroll request and each document save.
+	 *   @param {Number} [options.batchSize=500] - Maximum number of documents per bulk `update` request.
+	 *   @param {Number} [options.retryOnConflict=3] - Number of times ES retries the update of a document
+	 *     which is modified concurrently.
+	 * @return {Promise} - Resolves with the number of documents updated, or rejects with XError.  When
+	 *   ElasticSearch fails to update some documents, the error contains the number of documents
+	 *   `updated`, and the `errors` of the others, as objects containing the `id` and `index` of the
+	 *   document and the `error` (ie, `not_found` for documents removed after they were found).
 	 */
 	update(query, update, options = {}) {
 		let prof = profiler.begin('#update');
 
 		// Split options object into set of options for each discrete step
 		let normalizeOpts = _.pick(options, [ 'allowFullReplace' ]);
-		let findOpts = _.pick(options, [ 'index', 'routing' ]);
+		let findOpts = _.pick(options, [ 'index', 'routing', 'signal', 'timeout' ]);
 		let updateOpts = _.pick(options, [ 'skipFields' ]);
-		let saveOpts = this._buildSaveParams(options);
+		let saveOpts = _.assign(this._buildSaveParams(options), _.pick(options, [ 'signal', 'timeout' ]));
 
-		// Normalize the update (find early issues)
+		// Normalize the query and update (find early issues)
+		query = this.normalizeQuery(query);
 		update = this.normalizeUpdate(update, normalizeOpts);
 
-		return this.findStream(query, findOpts).each((doc) => {
-			// Apply update to each doc, then save
-			update.apply(doc.getData(), updateOpts);
-			return doc.save(saveOpts);
-		})
-			.intoPromise()
+		return this.getMapping()
+			.then((mapping) => {
+				let updateBody = this._hasSaveHooks() ? null : this._buildUpdateBody(update, mapping, updateOpts);
+				if (updateBody) {
+					return this._updateByIds(query, updateBody, findOpts, saveOpts, options);
+				}
+				return this.findStream(query, findOpts).each((doc) => {
+					// Apply update to each doc, then save
+					update.apply(doc.getData(), updateOpts);
+					return doc.save(saveOpts);
+				})
+					.intoPromise();
+			})
 			.then(prof.wrappedEnd());
 	}
 
+	/**
+	 * Registers a hook; see CrispHooks#hook .  The names of registered hooks are recorded, so updates
+	 * know whether documents must be fetched to trigger them.
+	 *
+	 * @method hook
+	 * @param {String} name - Name of the hook, ie. `pre-save` .
+	 * @return {ElasticsearchModel} - `this`
+	 */
+	hook(name, ...args) {
+		this._recordHook(name);
+		return super.hook(name, ...args);
+	}
+
+	/**
+	 * Registers a synchronous hook; see CrispHooks#hookSync .  This is also used by `post()` .
+	 *
+	 * @method hookSync
+	 * @param {String} name - Name of the hook.
+	 * @return {ElasticsearchModel} - `this`
+	 */
+	hookSync(name, ...args) {
+		this._recordHook(name);
+		return super.hookSync(name, ...args);
+	}
+
+	/**
+	 * Registers a hook taking a callback; see CrispHooks#hookAsync .  This is also used by `pre()` .
+	 *
+	 * @method hookAsync
+	 * @param {String} name - Name of the hook.
+	 * @return {ElasticsearchModel} - `this`
+	 */
+	hookAsync(name, ...args) {
+		this._recordHook(name);
+		super.hookAsync(name, ...args);
+		return this;
+	}
+
+	/**
+	 * Records the name of a registered hook.
+	 *
+	 * @method _recordHook
+	 * @private
+	 * @param {String} name
+	 */
+	_recordHook(name) {
+		// Hooks may be registered by superclass constructors, before the set is created
+		this.hookNames = this.hookNames || {};
+		this.hookNames[name] = true;
+	}
+
+	/**
+	 * Returns whether hooks are registered for the steps of saving a document.
+	 *
+	 * @method _hasSaveHooks
+	 * @private
+	 * @return {Boolean}
+	 */
+	_hasSaveHooks() {
+		return _.any(SAVE_HOOK_NAMES, (name) => this.hookNames[name]);
+	}
+
+	/**
+	 * Translates an update into the body of an ES update request, if ES can apply it.
+	 *
+	 * @method _buildUpdateBody
+	 * @private
+	 * @param {Update} update - The normalized update.
+	 * @param {Object} mapping - The mapping of the model.
+	 * @param {Object} options - Options of `Update#apply()` .
+	 * @return {Object|Null} - The update body, containing a partial `doc` or a `script`, or null if the
+	 *   update must be applied to fetched documents.
+	 */
+	_buildUpdateBody(update, mapping, options) {
+		if (update.isFullReplace() || !_.isEmpty(options.skipFields)) { return null; }
+		if (!_.every(_.keys(update.getData()), (operator) => UPDATE_SCRIPT_OPERATIONS[operator])) { return null; }
+
+		// Documents would need to move when the fields selecting their ID, routing or index change.  Array
+		// positions cannot be addressed by scripts either.
+		let placementFields = _.compact([
+			objtools.getPath(mapping, '_id.path'),
+			objtools.getPath(mapping, '_routing.path'),
+			this.indexPattern && this.indexPattern.field
+		]);
+		let isUnsupportedField = (field) => {
+			if (/(^|\.)(\d+|\$)(\.|$)/.test(field)) { return true; }
+			return _.any(placementFields, (placementField) => field === placementField ||
+				_.startsWith(placementField, `${field}.`) || _.startsWith(field, `${placementField}.`));
+		};
+		if (_.any(update.getUpdatedFields(), isUnsupportedField)) { return null; }
+
+		// Values are sent in the serialized form they have in the source
+		let updateData = this.normalizeUpdate(objtools.deepCopy(update.getData()), { serialize: true }).getData();
+
+		if (_.isEqual(_.keys(updateData), [ '$set' ]) && !_.any(_.values(updateData.$set), _.isPlainObject)) {
+			// Partial documents are merged into the source, so they can set any value but objects
+			let doc = {};
+			for (let field in updateData.$set) {
+				objtools.setPath(doc, field, updateData.$set[field]);
+			}
+			return { doc };
+		}
+
+		let operations = [];
+		for (let operator in updateData) {
+			for (let field in updateData[operator]) {
+				let value = updateData[operator][field];
+				if (operator === '$push' || operator === '$addToSet') {
+					value = (value && _.isArray(value.$each)) ? value.$each : [ value ];
+				} else if (operator === '$pull') {
+					value = (value && _.isArray(value.$in)) ? value.$in : [ value ];
+				}
+				operations.push({ op: UPDATE_SCRIPT_OPERATIONS[operator], path: field.split('.'), value });
+			}
+		}
+		return this.connection.getApiAdapter().buildUpdateScript(operations);
+	}
+
+	/**
+	 * Updates the documents matching a query by ID, with bulk `update` actions.  No hooks are triggered.
+	 *
+	 * @method _updateByIds
+	 * @private
+	 * @param {Query} query - The normalized query.
+	 * @param {Object} updateBody - The update body, as returned by `_buildUpdateBody()` .
+	 * @param {Object} findOpts - Options of `findStream()` .
+	 * @param {Object} saveOpts - Save options, as passed to `ElasticsearchDocument#save` .
+	 * @param {Object} options - Options of `update()` .
+	 * @return {Promise} - Resolves when all documents are updated.  Rejects if a bulk request fails as a
+	 *   whole, or after all documents are sent if some could not be updated; see `update()` .
+	 */
+	_updateByIds(query, updateBody, findOpts, saveOpts, options) {
+		let apiAdapter = this.connection.getApiAdapter();
+		let retryOnConflict = _.isNumber(options.retryOnConflict) ? options.retryOnConflict : 3;
+		let results = { updated: 0, errors: [] };
+		// Only the metadata of the documents is needed; `_id` is not a source field, so no source is fetched
+		findOpts = _.assign({}, findOpts, { fields: { _id: true } });
+		return this.findStream(query, findOpts)
+			.batch(options.batchSize || 500)
+			.each((docs) => {
+				let entries = _.map(docs, (doc) => ({
+					doc,
+					action: apiAdapter.buildBulkUpdateAction({
+						index: doc.getIndexId(),
+						type: doc.getType(),
+						id: doc.getInternalId(),
+						routing: doc.getRouting(),
+						parent: doc.getParentId(),
+						retryOnConflict
+					}),
+					source: updateBody
+				}));
+				return this._sendBulkRequest(entries, saveOpts, 'update').then((items) => {
+					_.zip(docs, items).forEach(([ doc, item ]) => {
+						if (item.error) {
+							let error = item.error;
+							results.errors.push({ id: doc.getInternalId(), index: doc.getIndexId(), error });
+						} else {
+							results.updated++;
+						}
+					});
+				});
+			})
+			.intoPromise()
+			.then(() => {
+				if (!results.errors.length) { return; }
+				let firstError = results.errors[0].error;
+				let total = results.updated + results.errors.length;
+				throw new ElasticsearchError(
+					firstError.code,
+					`Could not update ${results.errors.length} of ${total} documents: ${firstError.message}`,
+					results,
+					firstError
+				);
+			});
+	}
+
 	/**
 	 * Run multiple aggregates against a query.
 	 * NOTE: aggregate will call aggregateMulti for its implementation
@@ -654,6 +1295,11 @@ class ElasticsearchModel extends SchemaModel {
 	 * @param {Object} aggregates - A map from aggregate names to aggregate specs. See the
 	 *   README for details.
 	 * @param {Object} [options]
+	 *   @param {AbortSignal} [options.signal] - Cancellation signal.  When triggered, the request in
+	 *     flight is aborted, and the operation rejects with a `request_cancelled` ElasticsearchError.
+	 *   @param {Number} [options.timeout] - Time (in ms) ES may spend on the search.  When it runs out,
+	 *     the aggregates are computed over the documents found so far.  If ES does not respond shortly
+	 *     after, the operation fails with a `timed_out` ElasticsearchError.
 	 * @return {Promise} - Resolves with a map from aggregate names (as in the aggregates parameter)
 	 *   to aggregate result objects.
 	 */
@@ -669,16 +1315,24 @@ class ElasticsearchModel extends SchemaModel {
 			aggregations[aggrName] = convertAggregate(aggregates[aggrName]);
 		}
 
-		return Promise.all([ // Ensure the ES Client and Index we're hittings are available
-			this.getClient(),
-			this._ensureIndex(options.index || this.defaultIndex)
+		return Promise.all([ // Ensure the model and Index we're hittings are initialized
+			this.initialize(),
+			this._getSearchIndex(query, options)
 		])
-			.then(([ client, index ]) => {
+			.then(([ , index ]) => {
 				let searchParams = this._buildSearchParams(esquery, index, options);
-				let aggrParams = _.pick(searchParams, [ 'index', 'routing', 'body', 'total' ]);
+				let aggrParams = _.pick(searchParams, [ 'index', 'routing', 'body', 'total', 'ignoreUnavailable' ]);
+				_.assign(aggrParams, buildTimeoutParams(options.timeout));
 				aggrParams.size = 0;
-				aggrParams.body.aggregations = aggregations;
-				return client.search(aggrParams);
+				let apiAdapter = this.connection.getApiAdapter();
+				aggrParams.body.aggregations = _.mapValues(aggregations, (aggregation) => {
+					return apiAdapter.translateAggregation(aggregation);
+				});
+				return this.connection.clientRequest('search', aggrParams, {
+					model: this.getName(),
+					operation: 'aggregateMulti',
+					signal: options.signal
+				});
 			})
 			.then((resp) => {
 				let result = {};
@@ -704,7 +1358,7 @@ class ElasticsearchModel extends SchemaModel {
 			{},
 			this.modelOptions || {},
 			options,
-			{ schema: this.schema }
+			{ schema: this.schema, model: this }
 		);
 		if (_.isPlainObject(query)) {
 			query = createQuery(query, normalizeOptions);
@@ -714,6 +1368,31 @@ class ElasticsearchModel extends SchemaModel {
 		return query;
 	}
 
+	/**
+	 * Normalizes and validates the update expression passed in.  Updates may use the update operators
+	 * registered on this module's update factory, such as `$pull` .
+	 *
+	 * @method normalizeUpdate
+	 * @since v0.0.1
+	 * @param {Update|Object} update - The update expression
+	 * @param {Object} [options] - Additional options to pass to the common-query normalizer
+	 * @return {Update} - The update object after normalization
+	 */
+	normalizeUpdate(update, options = {}) {
+		let normalizeOptions = _.assign(
+			{},
+			this.modelOptions || {},
+			options,
+			{ schema: this.schema }
+		);
+		if (_.isPlainObject(update)) {
+			update = createUpdate(update, normalizeOptions);
+		} else {
+			update.normalize(normalizeOptions);
+		}
+		return update;
+	}
+
 }
 
 module.exports = ElasticsearchModel;
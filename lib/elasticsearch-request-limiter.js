@@ -0,0 +1,132 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const XError = require('xerror');
+
+/**
+ * Limits the number of concurrent requests made by a connection.  Requests over the limit wait in a
+ * FIFO queue.  Reads and writes can additionally be limited separately, in which case a request only
+ * waits behind requests of the same kind.
+ *
+ * @class ElasticsearchRequestLimiter
+ * @constructor
+ * @param {Object} [options={}]
+ *   @param {Number} [options.maxConcurrent=Infinity] - Maximum number of requests running at once.
+ *   @param {Number} [options.maxConcurrentReads=Infinity] - Maximum number of read requests running at once.
+ *   @param {Number} [options.maxConcurrentWrites=Infinity] - Maximum number of write requests running at once.
+ *   @param {Number} [options.maxQueueLength=Infinity] - Maximum number of waiting requests.  Requests over
+ *     this limit are rejected with a `limit_exceeded` XError.
+ */
+class ElasticsearchRequestLimiter {
+
+	constructor(options = {}) {
+		this.maxConcurrent = options.maxConcurrent || Infinity;
+		this.maxConcurrentByKind = {
+			read: options.maxConcurrentReads || Infinity,
+			write: options.maxConcurrentWrites || Infinity
+		};
+		this.maxQueueLength = _.isNumber(options.maxQueueLength) ? options.maxQueueLength : Infinity;
+
+		// Number of running requests, in total and by kind
+		this.running = 0;
+		this.runningByKind = { read: 0, write: 0 };
+
+		// Waiting requests, in the order they were queued
+		this.queue = [];
+	}
+
+	/**
+	 * Waits for a free slot to run a request.
+	 *
+	 * @method acquire
+	 * @param {String} kind - Either `read` or `write` .
+	 * @return {Promise} - Resolves with a function which must be called to release the slot when the
+	 *   request completes.  Rejects if the queue is full.
+	 */
+	acquire(kind) {
+		if (this._hasCapacity(kind) && !this._hasQueued(kind)) {
+			return Promise.resolve(this._start(kind));
+		}
+		if (this.queue.length >= this.maxQueueLength) {
+			return Promise.reject(new XError(XError.LIMIT_EXCEEDED, 'Too many ElasticSearch requests queued'));
+		}
+		return new Promise((resolve) => {
+			this.queue.push({ kind, resolve });
+		});
+	}
+
+	/**
+	 * Returns statistics about the limiter.
+	 *
+	 * @method getStats
+	 * @return {Object} - Contains `running` and `queued` request counts.
+	 */
+	getStats() {
+		return { running: this.running, queued: this.queue.length };
+	}
+
+	/**
+	 * Returns whether a request of the given kind may start now.
+	 *
+	 * @method _hasCapacity
+	 * @private
+	 * @param {String} kind
+	 * @return {Boolean}
+	 */
+	_hasCapacity(kind) {
+		return this.running < this.maxConcurrent && this.runningByKind[kind] < this.maxConcurrentByKind[kind];
+	}
+
+	/**
+	 * Returns whether requests of the given kind are waiting in the queue.
+	 *
+	 * @method _hasQueued
+	 * @private
+	 * @param {String} kind
+	 * @return {Boolean}
+	 */
+	_hasQueued(kind) {
+		return _.some(this.queue, (entry) => entry.kind === kind);
+	}
+
+	/**
+	 * Marks a request as running.
+	 *
+	 * @method _start
+	 * @private
+	 * @param {String} kind
+	 * @return {Function} - Releases the slot.
+	 */
+	_start(kind) {
+		this.running++;
+		this.runningByKind[kind]++;
+		return _.once(() => {
+			this.running--;
+			this.runningByKind[kind]--;
+			this._dequeue();
+		});
+	}
+
+	/**
+	 * Starts queued requests while there are free slots.
+	 *
+	 * @method _dequeue
+	 * @private
+	 */
+	_dequeue() {
+		for (let i = 0; i < this.queue.length && this.running < this.maxConcurrent; ) {
+			let entry = this.queue[i];
+			if (this._hasCapacity(entry.kind)) {
+				this.queue.splice(i, 1);
+				entry.resolve(this._start(entry.kind));
+			} else {
+				i++;
+			}
+		}
+	}
+
+}
+
+module.exports = exports = ElasticsearchRequestLimiter;
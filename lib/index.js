@@ -2,6 +2,7 @@
 // Licensed under the Apache License, Version 2.0
 // http://www.apache.org/licenses/LICENSE-2.0
 
+const _ = require('lodash');
 const XError = require('xerror');
 
 // Reexport elasticsearch common query helpers
@@ -9,10 +10,12 @@ exports.commonQuery = require('./common-query');
 
 // Reexport classes
 const ElasticsearchConnection = exports.ElasticsearchConnection = require('./elasticsearch-connection');
+exports.ElasticsearchBulkWriteStream = require('./elasticsearch-bulk-write-stream');
 exports.ElasticsearchDocument = require('./elasticsearch-document');
 exports.ElasticsearchError = require('./elasticsearch-error');
 exports.ElasticsearchIndexManager = require('./elasticsearch-index-manager');
 exports.ElasticsearchIndex = require('./elasticsearch-index');
+exports.ElasticsearchIndexPattern = require('./elasticsearch-index-pattern');
 const ElasticsearchModel = exports.ElasticsearchModel = require('./elasticsearch-model');
 
 // Reexport errors
@@ -27,30 +30,107 @@ exports.convertSchema = convert.convertSchema;
 
 let defaultConnection = new ElasticsearchConnection({}, {}, {}, { initialize: false });
 
+// Map from connection names to connections created through `createConnection()`
+let connections = { default: defaultConnection };
+
+/**
+ * Applies the configuration passed to `connect()` or `createConnection()` to a connection, and
+ * initializes it.
+ *
+ * @method configureConnection
+ * @private
+ * @param {ElasticsearchConnection} connection
+ * @param {Object|String} clientOptions
+ * @param {Object} indexConfigs
+ * @param {Object} indexOptions
+ * @param {Object} options
+ * @return {ElasticsearchConnection}
+ */
+function configureConnection(connection, clientOptions, indexConfigs, indexOptions, options) {
+	if (typeof clientOptions === 'string') {
+		clientOptions = { host: clientOptions };
+	}
+	connection.setIndexConfigs(indexConfigs);
+	connection.setIndexOptions(indexOptions);
+	connection.setConnectionOptions(options);
+	connection.setClientOptions(clientOptions); // This will trigger `initialize`
+	return connection;
+}
+
 // Expose the default connection and a connect method
 
 exports.defaultConnection = defaultConnection;
 
-exports.connect = function(clientOptions={}, indexConfigs = {}, indexOptions={}) {
-	defaultConnection.setIndexConfigs(indexConfigs);
-	defaultConnection.setIndexOptions(indexOptions);
-	defaultConnection.setClientOptions(clientOptions); // This will trigger `initialize`
-	return defaultConnection;
+/**
+ * Configures and initializes the default connection.
+ *
+ * @method connect
+ * @static
+ * @param {Object|String} [clientOptions={}] - See ElasticsearchConnection.  A string is the host.
+ * @param {Object} [indexConfigs={}] - See ElasticsearchConnection.
+ * @param {Object} [indexOptions={}] - See ElasticsearchConnection.
+ * @param {Object} [options={}] - See ElasticsearchConnection.
+ * @return {ElasticsearchConnection}
+ */
+exports.connect = function(clientOptions = {}, indexConfigs = {}, indexOptions = {}, options = {}) {
+	return configureConnection(defaultConnection, clientOptions, indexConfigs, indexOptions, options);
+};
+
+/**
+ * Configures and initializes a named connection, which can later be retrieved with `getConnection()` .
+ * A new connection is created the first time a name is used.
+ *
+ * @method createConnection
+ * @static
+ * @param {String} name - Name of the connection.  The name `default` configures the default connection.
+ * @param {Object|String} [clientOptions={}] - See ElasticsearchConnection.  A string is the host.
+ * @param {Object} [indexConfigs={}] - See ElasticsearchConnection.
+ * @param {Object} [indexOptions={}] - See ElasticsearchConnection.
+ * @param {Object} [options={}] - See ElasticsearchConnection.
+ * @return {ElasticsearchConnection}
+ */
+exports.createConnection = function(name, clientOptions = {}, indexConfigs = {}, indexOptions = {}, options = {}) {
+	if (!_.isString(name) || !name) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Connection name must be a non-empty string');
+	}
+	if (!connections[name]) {
+		connections[name] = new ElasticsearchConnection({}, {}, {}, { initialize: false });
+	}
+	return configureConnection(connections[name], clientOptions, indexConfigs, indexOptions, options);
+};
+
+/**
+ * Returns the default connection, or a connection created through `createConnection()` .
+ *
+ * @method getConnection
+ * @static
+ * @throws {XError} - If there is no connection with the given name.
+ * @param {String} [name='default']
+ * @return {ElasticsearchConnection}
+ */
+exports.getConnection = function(name = 'default') {
+	let connection = connections[name];
+	if (!connection) throw new XError(XError.INTERNAL_ERROR, `Connection not found: ${name}`);
+	return connection;
 };
 
-// Add a function similar to mongoose which registers and retrieves models
-let modelRegistry = {};
+// Add a function similar to mongoose which registers and retrieves models.  Models are registered
+// with their own connection; retrieval looks in the default connection, then in named connections.
 exports.model = function(name, model) {
 	if (model) {
-		modelRegistry[name] = model;
+		(model.connection || defaultConnection).model(name, model);
 	} else {
-		model = modelRegistry[name];
-		if (!model) throw new XError(XError.INTERNAL_ERROR, `Model not found: ${name}`);
-		return model;
+		for (let connectionName in connections) {
+			let registry = connections[connectionName].modelRegistry;
+			if (registry[name]) return registry[name];
+		}
+		throw new XError(XError.INTERNAL_ERROR, `Model not found: ${name}`);
 	}
 };
 
-// Add a function to create models with the default connection
+// Add a function to create models with the default connection, or the connection given by name
+// in `options.connection`
 exports.createModel = function(typeName, schema, indexName, options = {}) {
-	return new ElasticsearchModel(typeName, schema, indexName, defaultConnection, options);
+	let connection = options.connection ? exports.getConnection(options.connection) : defaultConnection;
+	return new ElasticsearchModel(typeName, schema, indexName, connection, _.omit(options, 'connection'));
 };
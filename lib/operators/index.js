@@ -4,9 +4,15 @@
 
 const QueryOperatorParent = require('./parent');
 const QueryOperatorChild = require('./child');
+const UpdateOperatorPull = require('./pull');
 
 function registerOperators(queryFactory) {
 	queryFactory.registerQueryOperator('$child', new QueryOperatorChild());
 	queryFactory.registerQueryOperator('$parent', new QueryOperatorParent());
 }
 exports.registerOperators = registerOperators;
+
+function registerUpdateOperators(updateFactory) {
+	updateFactory.registerUpdateOperator('$pull', new UpdateOperatorPull());
+}
+exports.registerUpdateOperators = registerUpdateOperators;
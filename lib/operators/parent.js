@@ -56,14 +56,17 @@ class QueryOperatorParent extends QueryOperator {
 			} else {
 				// Otherwise, validate the subquery
 				let Relative;
-				try { // Try to get a registered Related model
-					Relative = require('../index').model(relative);
+				try { // Try to get a Related model registered with the querying model's connection
+					Relative = options.model ?
+						options.model.getRelatedModel(relative) :
+						require('../index').model(relative);
 				} catch (err) {
-					let msg = `Related model in ${operator} must be globally registered`;
+					let msg = `Related model in ${operator} must be registered with the connection`;
 					throw new QueryValidationError(msg, { query }, err);
 				}
 				const { createQuery } = require('../common-query'); // Try to prevent circlular dependencies
 				let relativeOptions = objtools.deepCopy(options);
+				relativeOptions.model = Relative;
 				if (doNormalize) {
 					if (relativeOptions.schema) {
 						// If schema is getting passed around, also include the schema with this
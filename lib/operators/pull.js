@@ -0,0 +1,54 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const objtools = require('objtools');
+const { Update, UpdateOperator, UpdateValidationError } = require('common-query');
+const XError = require('xerror');
+
+/**
+ * The $pull update operator, which removes all elements equal to a value from an array.  The value
+ * may also be an object such as `{ $in: [ 'a', 'b' ] }`, which removes the elements equal to any of
+ * the listed values.
+ */
+class UpdateOperatorPull extends UpdateOperator {
+
+	constructor(name) {
+		super(name || '$pull');
+	}
+
+	normalize(operatorValue, operator, update, options) {
+		this.validate(operatorValue, operator, update);
+		for (let key in operatorValue) {
+			if (objtools.isPlainObject(operatorValue[key]) && _.isArray(operatorValue[key].$in)) {
+				update[operator][key].$in = Update._normalizeValue(key, operatorValue[key].$in, options);
+			} else {
+				update[operator][key] = Update._normalizeValue(`${key}.$`, operatorValue[key], options);
+			}
+		}
+	}
+
+	validate(operatorValue, operator, update) {
+		super.validate(operatorValue, operator, update);
+		for (let key in operatorValue) {
+			let value = operatorValue[key];
+			if (value && _.has(value, '$in') && !_.isArray(value.$in)) {
+				throw new UpdateValidationError(`Value of $in must be an array in ${operator}`);
+			}
+		}
+	}
+
+	_applyToField(obj, field, value) {
+		let array = objtools.getPath(obj, field);
+		if (array === undefined || array === null) return;
+		if (!_.isArray(array)) throw new XError(XError.INVALID_ARGUMENT, '$pull can only apply to arrays');
+		let toPull = (value && _.isArray(value.$in)) ? value.$in : [ value ];
+		objtools.setPath(obj, field, _.reject(array, (elem) => {
+			return _.any(toPull, (pullValue) => objtools.deepEquals(elem, pullValue));
+		}));
+	}
+
+}
+
+module.exports = exports = UpdateOperatorPull;
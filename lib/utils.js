@@ -2,33 +2,224 @@
 // Licensed under the Apache License, Version 2.0
 // http://www.apache.org/licenses/LICENSE-2.0
 
-
+const _ = require('lodash');
+const XError = require('xerror');
 
 /**
  * Replicates the ElasticSearch globbing to filter a list of strings by a glob expression.
+ * The expression is a comma-separated list of names, which may contain `*` wildcards.  `_all` matches
+ * all strings.  Expressions prefixed with `-` remove the strings they match from those matched by the
+ * previous expressions (or from all strings, if the exclusion comes first), and `+` is ignored.
  *
  * @method elasticsearchGlobFilter
  * @static
- * @param {String} glob - The glob expression.  Ie, `foo*` or `bar,baz` .
+ * @param {String} glob - The glob expression.  Ie, `foo*`, `bar,baz` or `foo_*,-foo_old` .
  * @param {String[]} strings - The strings to filter.
- * @return {String[]} - The strings that match the glob.
+ * @return {String[]} - The strings that match the glob, in their original order.
  */
 function elasticsearchGlobFilter(glob, strings) {
-	// Currently this only handles globs in the form `foo*` and `bar,baz` .  I'm not sure
-	// what else ES supports and can't find a reference.
+	let matched = {};
+	let expressions = _.compact(_.invoke(glob.split(','), 'trim'));
+	expressions.forEach((expression, i) => {
+		let exclude = (expression[0] === '-');
+		if (exclude || expression[0] === '+') {
+			expression = expression.slice(1);
+		}
+		if (exclude && i === 0) {
+			for (let str of strings) { matched[str] = true; }
+		}
+		let regex = (expression === '_all') ? /^/ :
+			new RegExp('^' + expression.split('*').map(_.escapeRegExp).join('.*') + '$');
+		for (let str of strings) {
+			if (regex.test(str)) {
+				matched[str] = !exclude;
+			}
+		}
+	});
+	return _.filter(strings, (str) => matched[str]);
+}
+
+exports.elasticsearchGlobFilter = elasticsearchGlobFilter;
+
+/**
+ * Computes the delay before the given retry attempt of an exponential backoff policy.
+ *
+ * @method getBackoffDelay
+ * @static
+ * @param {Number} attempt - The number of the attempt that just failed, starting at 1.
+ * @param {Object} policy
+ *   @param {Number} policy.initialDelay - Delay (in ms) after the first failed attempt.
+ *   @param {Number} policy.maxDelay - Upper limit (in ms) of the delay.
+ *   @param {Number} [policy.factor=2] - Multiplier applied to the delay after each failed attempt.
+ *   @param {Number} [policy.jitter=0] - Fraction (0 to 1) of the delay to randomly add or subtract.
+ * @return {Number} - The delay in milliseconds.
+ */
+function getBackoffDelay(attempt, policy) {
+	let factor = policy.factor || 2;
+	let delay = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(factor, attempt - 1));
+	if (policy.jitter) {
+		delay += delay * policy.jitter * (Math.random() * 2 - 1);
+	}
+	return Math.max(0, Math.min(policy.maxDelay, Math.round(delay)));
+}
 
-	// Convert the glob into a regex
-	let regex = new RegExp(('(' + glob.replace(/,/g, ')|(') + ')').replace(/\*/g, '.*'));
+exports.getBackoffDelay = getBackoffDelay;
 
-	// Filter by matches to the regex
-	let ret = [];
-	for (let str of strings) {
-		if (regex.test(str)) {
-			ret.push(str);
+/**
+ * Returns whether an error was caused by ElasticSearch rejecting a request because a thread pool
+ * queue is full.
+ *
+ * @method isRejectedExecutionError
+ * @static
+ * @param {Error} err
+ * @return {Boolean}
+ */
+function isRejectedExecutionError(err) {
+	if (!err) { return false; }
+	let text = `${err.message} ${_.isString(err.data) ? err.data : JSON.stringify(err.data || {})}`;
+	return /es_rejected_execution_exception|EsRejectedExecutionException/.test(text);
+}
+
+exports.isRejectedExecutionError = isRejectedExecutionError;
+
+/**
+ * Splits items into batches, so the total size of each batch stays under a limit.
+ *
+ * @method splitBatchesByBytes
+ * @static
+ * @param {Object[]} items - Items containing their size in `bytes` .
+ * @param {Number} maxBytes - Maximum size of a batch; items larger than this are put in a batch alone.
+ * @return {Array{Object[]}} - The batches.
+ */
+function splitBatchesByBytes(items, maxBytes) {
+	let batches = [];
+	let batch = [];
+	let batchBytes = 0;
+	for (let item of items) {
+		if (batch.length && batchBytes + item.bytes > maxBytes) {
+			batches.push(batch);
+			batch = [];
+			batchBytes = 0;
 		}
+		batch.push(item);
+		batchBytes += item.bytes;
 	}
+	if (batch.length) { batches.push(batch); }
+	return batches;
+}
+
+exports.splitBatchesByBytes = splitBatchesByBytes;
 
-	return ret;
+/**
+ * Registers a listener for a cancellation signal.  Signals are objects implementing the AbortSignal
+ * interface (such as the `signal` of an AbortController), with an `aborted` flag and an `abort` event.
+ *
+ * @method onCancel
+ * @static
+ * @param {AbortSignal} [signal] - The cancellation signal.  If not given, the listener is never called.
+ * @param {Function} listener - Called when the signal is triggered, or right away if it already was.
+ * @return {Function} - Removes the listener.
+ */
+function onCancel(signal, listener) {
+	if (!signal) { return () => {}; }
+	if (signal.aborted) {
+		listener();
+		return () => {};
+	}
+	signal.addEventListener('abort', listener);
+	return () => signal.removeEventListener('abort', listener);
 }
 
-exports.elasticsearchGlobFilter = elasticsearchGlobFilter;
+exports.onCancel = onCancel;
+
+// Time (in ms) the client waits beyond an ES-side timeout, so ES can still report partial results
+const REQUEST_TIMEOUT_MARGIN = 1000;
+
+/**
+ * Builds the request parameters for an operation timeout.  The ES-side `timeout` makes ES stop
+ * and report what it has done so far (ie, `timed_out` in search responses), and the client-side
+ * `requestTimeout` gives up on the request if ES does not respond shortly after.
+ *
+ * @method buildTimeoutParams
+ * @static
+ * @param {Number} [timeout] - The operation timeout in milliseconds.
+ * @return {Object} - Contains `timeout` and `requestTimeout`, or is empty if no timeout is given.
+ */
+function buildTimeoutParams(timeout) {
+	if (!timeout) { return {}; }
+	return {
+		timeout: `${timeout}ms`,
+		requestTimeout: timeout + REQUEST_TIMEOUT_MARGIN
+	};
+}
+
+exports.buildTimeoutParams = buildTimeoutParams;
+
+/**
+ * Returns the name of the next version of an index, by incrementing its version suffix.
+ *
+ * @method getNextVersionName
+ * @static
+ * @param {String} name - Ie, `animals` or `animals_v2` .
+ * @return {String} - Ie, `animals_v2` or `animals_v3` .
+ */
+function getNextVersionName(name) {
+	let match = /^(.*)_v(\d+)$/.exec(name);
+	if (!match) { return `${name}_v2`; }
+	return `${match[1]}_v${parseInt(match[2]) + 1}`;
+}
+
+exports.getNextVersionName = getNextVersionName;
+
+// Multipliers of the duration and byte size units
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+const BYTE_SIZE_UNITS = { b: 1, kb: 1024, mb: Math.pow(1024, 2), gb: Math.pow(1024, 3), tb: Math.pow(1024, 4) };
+
+/**
+ * Parses a value with a unit, such as `7d` or `50gb`, into a number.
+ *
+ * @method parseUnitValue
+ * @private
+ * @throws {XError} - If the value is not valid.
+ * @param {Number|String} value
+ * @param {Object} units - Map from unit names to multipliers.
+ * @return {Number}
+ */
+function parseUnitValue(value, units) {
+	if (_.isNumber(value)) { return value; }
+	let match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]+)\s*$/i.exec(value || '');
+	if (!match || !units[match[2].toLowerCase()]) {
+		throw new XError(XError.INVALID_ARGUMENT, `Invalid value: ${value}`);
+	}
+	return parseFloat(match[1]) * units[match[2].toLowerCase()];
+}
+
+/**
+ * Parses a duration, such as `7d` or `12h`, into milliseconds.  Numbers are already in milliseconds.
+ *
+ * @method parseDuration
+ * @static
+ * @throws {XError} - If the duration is not valid.
+ * @param {Number|String} duration - A number, followed by one of the units `ms`, `s`, `m`, `h`, `d` or `w` .
+ * @return {Number}
+ */
+function parseDuration(duration) {
+	return parseUnitValue(duration, DURATION_UNITS);
+}
+
+exports.parseDuration = parseDuration;
+
+/**
+ * Parses a byte size, such as `50gb`, into bytes.  Numbers are already in bytes.
+ *
+ * @method parseByteSize
+ * @static
+ * @throws {XError} - If the size is not valid.
+ * @param {Number|String} size - A number, followed by one of the units `b`, `kb`, `mb`, `gb` or `tb` .
+ * @return {Number}
+ */
+function parseByteSize(size) {
+	return parseUnitValue(size, BYTE_SIZE_UNITS);
+}
+
+exports.parseByteSize = parseByteSize;
@@ -0,0 +1,310 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { expect } = require('chai');
+
+const {
+	getApiAdapter,
+	ApiAdapterV1,
+	ApiAdapterV2,
+	ApiAdapterV5,
+	ApiAdapterV6,
+	ApiAdapterV7
+} = require('../lib/api-adapters');
+const { AggregateValidationError } = require('common-query');
+const { ElasticsearchMappingValidationError } = require('../lib');
+
+describe('API adapters', function() {
+
+	describe('getApiAdapter', function() {
+
+		it('should select the adapter for the cluster version', function() {
+			expect(getApiAdapter()).to.be.an.instanceof(ApiAdapterV1);
+			expect(getApiAdapter('1.7.5')).to.be.an.instanceof(ApiAdapterV1);
+			expect(getApiAdapter('2.4.1')).to.be.an.instanceof(ApiAdapterV2);
+			expect(getApiAdapter('5.6.3')).to.be.an.instanceof(ApiAdapterV5);
+			expect(getApiAdapter('6.8.0')).to.be.an.instanceof(ApiAdapterV6);
+			expect(getApiAdapter('7.10.2')).to.be.an.instanceof(ApiAdapterV7);
+			expect(getApiAdapter('5.6.3').getMajorVersion()).to.equal(5);
+		});
+
+	});
+
+	describe('1.x', function() {
+
+		it('should pass requests through unchanged', function() {
+			let adapter = getApiAdapter('1.7.5');
+			let query = { filtered: { filter: { term: { foo: 'bar' } } } };
+			expect(adapter.translateQuery(query)).to.equal(query);
+			expect(adapter.buildDeleteByQueryRequest({ index: 'a' }))
+				.to.deep.equal([ 'deleteByQuery', { index: 'a' } ]);
+			expect(adapter.buildForceMergeRequest({ index: 'a' }))
+				.to.deep.equal([ 'indices.optimize', { index: 'a' } ]);
+			expect(adapter.supportsWarmers()).to.equal(true);
+		});
+
+		it('should store template versions in index settings', function() {
+			let adapter = getApiAdapter('1.7.5');
+			let params = adapter.buildPutTemplateParams('unimodel_foo_', 'foo_*', {
+				order: 1,
+				settings: { index: { 'number_of_shards': 2 } },
+				mappings: { bar: { properties: {} } },
+				warmers: { w: { types: [], source: {} } },
+				version: 123
+			});
+			expect(params).to.deep.equal({
+				name: 'unimodel_foo_',
+				body: {
+					template: 'foo_*',
+					order: 1,
+					settings: { index: { 'number_of_shards': 2, 'unimodel_template_version': 123 } },
+					mappings: { bar: { properties: {} } },
+					warmers: { w: { types: [], source: {} } }
+				}
+			});
+			expect(adapter.getTemplateVersion({ settings: { 'index.unimodel_template_version': '123' } }))
+				.to.equal(123);
+			expect(adapter.getTemplateVersion({ settings: {} })).to.equal(null);
+		});
+
+		it('should build bulk index actions', function() {
+			let params = { index: 'foo', type: 'bar', id: '1', routing: 'a', parent: 'p' };
+			expect(getApiAdapter('1.7.5').buildBulkIndexAction(params)).to.deep.equal({
+				index: { _index: 'foo', _type: 'bar', _id: '1', _routing: 'a', _parent: 'p' }
+			});
+			expect(getApiAdapter('6.8.0').buildBulkIndexAction(params)).to.deep.equal({
+				index: { _index: 'foo', _type: 'bar', _id: '1', routing: 'a' }
+			});
+		});
+
+		it('should delete indexes with alias actions from 6.4', function() {
+			expect(getApiAdapter('1.7.5').buildRemoveIndexAction('foo')).to.equal(null);
+			expect(getApiAdapter('5.6.0').buildRemoveIndexAction('foo')).to.equal(null);
+			expect(getApiAdapter('6.3.2').buildRemoveIndexAction('foo')).to.equal(null);
+			expect(getApiAdapter('6.4.0').buildRemoveIndexAction('foo')).to.deep.equal({
+				'remove_index': { index: 'foo' }
+			});
+			expect(getApiAdapter('7.0.0').buildRemoveIndexAction('foo')).to.deep.equal({
+				'remove_index': { index: 'foo' }
+			});
+		});
+
+		it('should build bulk update actions and update scripts', function() {
+			let params = { index: 'foo', type: 'bar', id: '1', routing: 'a', retryOnConflict: 3 };
+			let operations = [ { op: 'inc', path: [ 'count' ], value: 1 } ];
+			expect(getApiAdapter('1.7.5').buildBulkUpdateAction(params)).to.deep.equal({
+				update: { _index: 'foo', _type: 'bar', _id: '1', _routing: 'a', '_retry_on_conflict': 3 }
+			});
+			expect(getApiAdapter('6.8.0').buildBulkUpdateAction(params)).to.deep.equal({
+				update: { _index: 'foo', _type: 'bar', _id: '1', routing: 'a', 'retry_on_conflict': 3 }
+			});
+			expect(getApiAdapter('1.7.5').buildUpdateScript(operations)).to.equal(null);
+			let script = getApiAdapter('5.6.0').buildUpdateScript(operations).script;
+			expect(script.lang).to.equal('painless');
+			expect(script.inline).to.be.a('string');
+			expect(script.params).to.deep.equal({ ops: operations });
+			script = getApiAdapter('7.10.0').buildUpdateScript(operations).script;
+			expect(script.source).to.be.a('string');
+			expect(script).to.not.have.property('inline');
+		});
+
+	});
+
+	describe('2.x', function() {
+
+		let adapter = getApiAdapter('2.4.1');
+
+		it('should replace filtered queries with bool queries', function() {
+			let query = {
+				filtered: {
+					query: { match: { foo: 'bar' } },
+					filter: {
+						bool: { must: [
+							{ term: { baz: 1 } },
+							{ not: { filter: { exists: 'qux' } } },
+							{ missing: { field: 'zip' } }
+						] }
+					}
+				}
+			};
+			expect(adapter.translateQuery(query)).to.deep.equal({
+				bool: {
+					must: { match: { foo: 'bar' } },
+					filter: {
+						bool: { must: [
+							{ term: { baz: 1 } },
+							{ bool: { 'must_not': { exists: { field: 'qux' } } } },
+							{ bool: { 'must_not': { exists: { field: 'zip' } } } }
+						] }
+					}
+				}
+			});
+		});
+
+		it('should translate nested filters into queries', function() {
+			let query = {
+				bool: {
+					must: [ {
+						nested: {
+							path: 'foo',
+							filter: { query: { match: { 'foo.bar': 'baz' } } }
+						}
+					} ]
+				}
+			};
+			expect(adapter.translateQuery(query)).to.deep.equal({
+				bool: {
+					must: [ {
+						nested: {
+							path: 'foo',
+							query: { match: { 'foo.bar': 'baz' } }
+						}
+					} ]
+				}
+			});
+		});
+
+		it('should drop _id paths from mappings', function() {
+			let mapping = { _id: { path: 'id' }, properties: { id: { type: 'string' } } };
+			expect(adapter.translateMapping(mapping)).to.deep.equal({ properties: { id: { type: 'string' } } });
+		});
+
+		it('should use the delete-by-query plugin', function() {
+			let [ method, params ] = adapter.buildDeleteByQueryRequest({
+				index: 'foo',
+				type: 'bar',
+				routing: 'baz',
+				body: { query: { 'match_all': {} } }
+			});
+			expect(method).to.equal('transport.request');
+			expect(params).to.deep.equal({
+				method: 'DELETE',
+				path: '/foo/bar/_query',
+				query: { routing: 'baz' },
+				body: { query: { 'match_all': {} } }
+			});
+		});
+
+	});
+
+	describe('5.x', function() {
+
+		let adapter = getApiAdapter('5.6.3');
+
+		it('should translate string fields to text and keyword', function() {
+			let mapping = {
+				properties: {
+					foo: { type: 'string', index: 'not_analyzed' },
+					bar: { type: 'string', index: 'analyzed', analyzer: 'english' },
+					baz: { type: 'long', index: 'no', 'precision_step': 16 },
+					qux: { type: 'object', properties: { zip: { type: 'string', index: 'not_analyzed' } } }
+				}
+			};
+			expect(adapter.translateMapping(mapping)).to.deep.equal({
+				properties: {
+					foo: { type: 'keyword' },
+					bar: { type: 'text', analyzer: 'english' },
+					baz: { type: 'long', index: false },
+					qux: { type: 'object', properties: { zip: { type: 'keyword' } } }
+				}
+			});
+		});
+
+		it('should replace scan searches and write consistency', function() {
+			let params = adapter.translateSearchParams({ index: 'foo', searchType: 'scan', fields: [ '_source' ] });
+			expect(params.searchType).to.not.exist;
+			expect(params.fields).to.not.exist;
+			expect(params.sort).to.deep.equal([ '_doc' ]);
+			let writeParams = adapter.translateWriteParams({ index: 'foo', consistency: 'one', replication: 'sync' });
+			expect(writeParams).to.deep.equal({ index: 'foo', 'wait_for_active_shards': '1' });
+			let [ , deleteParams ] = adapter.buildDeleteByQueryRequest({
+				index: 'foo',
+				type: 'bar',
+				timeout: '500ms',
+				body: { query: { 'match_all': {} } }
+			});
+			expect(deleteParams.query).to.deep.equal({ timeout: '500ms' });
+			let [ mergeMethod, mergeParams ] = adapter.buildForceMergeRequest({ index: 'foo', maxNumSegments: 1 });
+			expect(mergeMethod).to.equal('transport.request');
+			expect(mergeParams).to.deep.equal({
+				method: 'POST',
+				path: '/foo/_forcemerge',
+				query: { 'max_num_segments': 1 }
+			});
+			expect(adapter.supportsWarmers()).to.equal(false);
+		});
+
+		it('should use template versions', function() {
+			let params = adapter.buildPutTemplateParams('unimodel_foo_', 'foo_*', {
+				order: 1,
+				settings: {},
+				mappings: {},
+				warmers: { w: {} },
+				version: 123
+			});
+			expect(params.body).to.deep.equal({
+				template: 'foo_*',
+				order: 1,
+				version: 123,
+				settings: {},
+				mappings: {}
+			});
+			expect(adapter.getTemplateVersion({ version: 123 })).to.equal(123);
+			expect(adapter.getTemplateVersion({})).to.equal(null);
+		});
+
+	});
+
+	describe('6.x', function() {
+
+		it('should reject parent mappings', function() {
+			let adapter = getApiAdapter('6.8.0');
+			expect(() => adapter.translateMapping({ _parent: { type: 'foo' }, properties: {} }))
+				.to.throw(ElasticsearchMappingValidationError);
+		});
+
+		it('should use index patterns in templates', function() {
+			let template = { order: 0, settings: {}, mappings: {}, version: 1 };
+			let params = getApiAdapter('6.8.0').buildPutTemplateParams('unimodel_foo_', 'foo_*', template);
+			expect(params.body.index_patterns).to.deep.equal([ 'foo_*' ]); //eslint-disable-line camelcase
+			expect(params.body.template).to.not.exist;
+			params = getApiAdapter('7.10.2').buildPutTemplateParams('unimodel_foo_', 'foo_*', template);
+			expect(params.include_type_name).to.equal(true); //eslint-disable-line camelcase
+			params = getApiAdapter('7.10.2').buildGetMappingParams('foo_1');
+			expect(params).to.deep.equal({ index: 'foo_1', include_type_name: true }); //eslint-disable-line camelcase
+		});
+
+	});
+
+	describe('7.x', function() {
+
+		let adapter = getApiAdapter('7.10.2');
+
+		it('should translate date histogram intervals', function() {
+			let aggregation = {
+				'date_histogram': { field: 'date', interval: '1d' },
+				aggregations: {
+					sub: { 'date_histogram': { field: 'date', interval: '1M' } }
+				}
+			};
+			expect(adapter.translateAggregation(aggregation)).to.deep.equal({
+				'date_histogram': { field: 'date', 'fixed_interval': '1d' },
+				aggregations: {
+					sub: { 'date_histogram': { field: 'date', 'calendar_interval': 'month' } }
+				}
+			});
+			expect(adapter.translateAggregation({ 'date_histogram': { field: 'date', interval: '12h' } }))
+				.to.deep.equal({ 'date_histogram': { field: 'date', 'fixed_interval': '12h' } });
+			expect(() => adapter.translateAggregation({ 'date_histogram': { field: 'date', interval: '2w' } }))
+				.to.throw(AggregateValidationError);
+		});
+
+		it('should read object hit totals', function() {
+			expect(adapter.getHitsTotal({ hits: { total: { value: 12, relation: 'eq' } } })).to.equal(12);
+			expect(getApiAdapter('1.7.5').getHitsTotal({ hits: { total: 12 } })).to.equal(12);
+		});
+
+	});
+
+});
@@ -7,6 +7,7 @@ const { QueryValidationError } = require('common-query');
 
 const { createQuery } = require('../lib/common-query');
 const { convertQuery } = require('../lib/convert/query');
+const { ElasticsearchConnection, ElasticsearchModel } = require('../lib');
 const testUtils = require('./lib/test-utils');
 
 describe('convertQuery', function() {
@@ -177,6 +178,34 @@ describe('convertQuery', function() {
 			});
 		});
 
+		it('should resolve $child models on the connection of the querying model', function() {
+			let archiveConnection = new ElasticsearchConnection({}, {}, {}, { initialize: false });
+			let ArchivedShelter = new ElasticsearchModel('Shelter', {
+				shelterId: { type: String, index: true, id: true, key: true }
+			}, 'uetest_archive', archiveConnection, { initialize: false });
+			let ArchivedAnimal = new ElasticsearchModel('ShelteredAnimal', {
+				animalId: { type: String, index: true, id: true, key: true },
+				archivedAt: { type: Date, index: true }
+			}, 'uetest_archive', archiveConnection, { initialize: false, parentType: 'Shelter' });
+			archiveConnection.model('Shelter', ArchivedShelter);
+			archiveConnection.model('ShelteredAnimal', ArchivedAnimal);
+
+			let query = ArchivedShelter.normalizeQuery({
+				$child: {
+					ShelteredAnimal: { archivedAt: { $exists: true } }
+				}
+			});
+			expect(convertQuery(query, ArchivedShelter)).to.deep.equal({
+				'has_child': {
+					type: 'ShelteredAnimal',
+					filter: { exists: 'archivedAt' }
+				}
+			});
+			// The model registered under the same name with the default connection has no such field
+			expect(() => convertQuery(query, models.Shelter))
+				.to.throw(QueryValidationError, 'Could not find field archivedAt in schema');
+		});
+
 		it('should bubble $child/$parent errors', function() {
 			let query = createQuery({
 				$child: {
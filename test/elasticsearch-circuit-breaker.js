@@ -0,0 +1,66 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { expect } = require('chai');
+const XError = require('xerror');
+
+const ElasticsearchCircuitBreaker = require('../lib/elasticsearch-circuit-breaker');
+const ElasticsearchError = require('../lib/elasticsearch-error');
+
+describe('ElasticsearchCircuitBreaker', function() {
+
+	let serverError = () => ElasticsearchError.fromESError(500, 'Internal server error');
+	let timeoutError = () => ElasticsearchError.fromESError(undefined, 'Request Timeout after 1000ms');
+
+	it('should open when the failure rate is reached', function() {
+		let breaker = new ElasticsearchCircuitBreaker({ minRequests: 4, failureRate: 0.5 });
+		let changes = [];
+		breaker.on('stateChange', (change) => changes.push(change));
+		breaker.begin().end();
+		breaker.begin().end();
+		breaker.begin().end(serverError());
+		expect(breaker.getState()).to.equal('closed');
+		breaker.begin().end(serverError());
+		expect(breaker.getState()).to.equal('open');
+		expect(breaker.begin()).to.equal(null);
+		expect(changes).to.deep.equal([ { state: 'open', previousState: 'closed' } ]);
+	});
+
+	it('should not count client errors as failures', function() {
+		let breaker = new ElasticsearchCircuitBreaker({ minRequests: 2, failureRate: 0.5 });
+		breaker.begin().end(new ElasticsearchError(XError.NOT_FOUND));
+		breaker.begin().end(new ElasticsearchError(XError.NOT_FOUND));
+		breaker.begin().cancel();
+		expect(breaker.getState()).to.equal('closed');
+	});
+
+	it('should open after too many timeouts', function() {
+		let breaker = new ElasticsearchCircuitBreaker({ maxTimeouts: 2 });
+		breaker.begin().end(timeoutError());
+		expect(breaker.getState()).to.equal('closed');
+		breaker.begin().end(timeoutError());
+		expect(breaker.getState()).to.equal('open');
+	});
+
+	it('should probe while half open', function(done) {
+		let breaker = new ElasticsearchCircuitBreaker({ maxTimeouts: 1, resetTimeout: 20 });
+		breaker.begin().end(timeoutError());
+		expect(breaker.getState()).to.equal('open');
+		setTimeout(() => {
+			expect(breaker.getState()).to.equal('halfOpen');
+			let probe = breaker.begin();
+			expect(probe).to.exist;
+			// Only one probe is allowed at a time
+			expect(breaker.begin()).to.equal(null);
+			probe.end(serverError());
+			expect(breaker.getState()).to.equal('open');
+			setTimeout(() => {
+				breaker.begin().end();
+				expect(breaker.getState()).to.equal('closed');
+				done();
+			}, 30);
+		}, 30);
+	});
+
+});
@@ -6,9 +6,38 @@ const http = require('http');
 const { expect } = require('chai');
 
 const ElasticsearchConnection = require('../lib/elasticsearch-connection');
+const ElasticsearchError = require('../lib/elasticsearch-error');
 const testUtils = require('./lib/test-utils');
 
 const proxyPort = 9201;
+const reconnectPort = 9202;
+const healthPort = 9203;
+const drainPort = 9204;
+const authPort = 9205;
+const instrumentationPort = 9206;
+const limiterPort = 9207;
+const breakerPort = 9208;
+const rawPort = 9209;
+const readNodePort = 9210;
+const writeNodePort = 9211;
+const cancelPort = 9212;
+const timeoutPort = 9213;
+
+// Creates a fake ES server which answers health checks right away and other requests after a delay
+function createDelayedServer(delay, requests = []) {
+	return http.createServer((req, res) => {
+		requests.push(`${req.method} ${req.url.split('?')[0]}`);
+		let respond = () => {
+			res.setHeader('Content-Type', 'application/json');
+			res.end(JSON.stringify({ status: 'green', hits: { total: 0, hits: [] } }));
+		};
+		if (/^\/_cluster\/health/.test(req.url)) {
+			respond();
+		} else {
+			setTimeout(respond, delay);
+		}
+	});
+}
 
 describe('ElasticsearchConnection', function() {
 
@@ -24,11 +53,7 @@ describe('ElasticsearchConnection', function() {
 	describe('request', function() {
 
 		it('should resolve with a response body', function() {
-			return conn.request({
-				method: 'GET',
-				path: '/'
-			}).then((body) => {
-				body = JSON.parse(body);
+			return conn.request('/').then((body) => {
 				expect(body.status).to.equal(200);
 			});
 		});
@@ -45,6 +70,7 @@ describe('ElasticsearchConnection', function() {
 
 			let server = http.createServer((req, res) => {
 				return setTimeout(() => {
+					res.setHeader('Content-Type', 'application/json');
 					res.write(JSON.stringify({ status: 200 }));
 					res.end();
 				}, 950);
@@ -55,9 +81,8 @@ describe('ElasticsearchConnection', function() {
 			});
 
 			return Promise.all([ serverPromise, slowConnection.connectionWaiter.promise ])
-				.then(() => slowConnection.request({ method: 'GET', path: '/' }))
+				.then(() => slowConnection.request('/'))
 				.then((body) => {
-					body = JSON.parse(body);
 					expect(body.status).to.equal(200);
 				});
 		});
@@ -68,10 +93,7 @@ describe('ElasticsearchConnection', function() {
 
 		it('should resolve with a response stream', function() {
 			this.timeout(1000000);
-			return conn.requestStream({
-				method: 'GET',
-				path: '/'
-			}).then((stream) => stream.intoString())
+			return conn.requestStream('/').then((stream) => stream.intoString())
 				.then((body) => {
 					body = JSON.parse(body);
 					expect(body.status).to.equal(200);
@@ -80,4 +102,781 @@ describe('ElasticsearchConnection', function() {
 
 	});
 
+	describe('raw requests', function() {
+
+		let server, rawConnection, received;
+		beforeEach(function() {
+			received = [];
+			server = http.createServer((req, res) => {
+				let body = '';
+				req.on('data', (chunk) => {
+					body += chunk;
+				});
+				req.on('end', () => {
+					received.push({ method: req.method, url: req.url, headers: req.headers, body });
+					if (/^\/missing/.test(req.url)) {
+						res.statusCode = 404;
+						res.setHeader('Content-Type', 'application/json');
+						res.end(JSON.stringify({ error: 'IndexMissingException[[missing] missing]', status: 404 }));
+					} else if (/^\/lines/.test(req.url)) {
+						res.setHeader('Content-Type', 'application/x-ndjson');
+						res.write('{"foo":1}\n{"fo');
+						res.end('o":2}\n\n{"foo":3}\n');
+					} else if (/^\/array/.test(req.url)) {
+						res.setHeader('Content-Type', 'application/json');
+						res.write('[ {"foo":"a,]"}, [1, {"bar"');
+						res.end(':2}], "baz" ]');
+					} else if (/^\/_cat/.test(req.url)) {
+						res.setHeader('Content-Type', 'text/plain');
+						res.end('green open foo\n');
+					} else {
+						res.setHeader('Content-Type', 'application/json');
+						res.end(JSON.stringify({ status: 'green', version: { number: '1.7.5' } }));
+					}
+				});
+			});
+			rawConnection = new ElasticsearchConnection(`http://localhost:${ rawPort }`);
+			return new Promise((resolve) => server.listen(rawPort, resolve))
+				.then(() => rawConnection.connectionWaiter.promise)
+				.then(() => {
+					received = [];
+				});
+		});
+		afterEach(function() {
+			rawConnection.close();
+			server.close();
+		});
+
+		it('should serialize bodies and parse JSON responses', function() {
+			let body = { query: { 'match_all': {} } };
+			return rawConnection.request('foo/_search', { method: 'post', qs: { size: 2 }, body })
+				.then((result) => {
+					expect(result.status).to.equal('green');
+					expect(received[0].method).to.equal('POST');
+					expect(received[0].url).to.equal('/foo/_search?size=2');
+					expect(received[0].headers['content-type']).to.equal('application/json');
+					expect(JSON.parse(received[0].body)).to.deep.equal(body);
+					return rawConnection.request('/_bulk', { method: 'POST', body: [ { index: {} }, { foo: 1 } ] });
+				})
+				.then(() => {
+					expect(received[1].headers['content-type']).to.equal('application/x-ndjson');
+					expect(received[1].body).to.equal('{"index":{}}\n{"foo":1}\n');
+					return rawConnection.request('/_cat/indices');
+				})
+				.then((result) => {
+					expect(result).to.equal('green open foo\n');
+				});
+		});
+
+		it('should reject non-2xx responses with an ElasticsearchError', function() {
+			return rawConnection.request('/missing/_search')
+				.then(() => {
+					throw new Error('Expected the request to fail');
+				}, (err) => {
+					expect(err).to.be.an.instanceof(ElasticsearchError);
+					expect(err.code).to.equal('not_found');
+					expect(err.data).to.equal('IndexMissingException[[missing] missing]');
+					return rawConnection.requestStream('/missing/_search');
+				})
+				.then(() => {
+					throw new Error('Expected the streamed request to fail');
+				}, (err) => {
+					expect(err).to.be.an.instanceof(ElasticsearchError);
+					expect(err.code).to.equal('not_found');
+				});
+		});
+
+		it('should parse NDJSON response streams', function() {
+			return rawConnection.requestStream('/lines', { parse: 'ndjson' })
+				.then((stream) => stream.intoArray())
+				.then((objects) => {
+					expect(objects).to.deep.equal([ { foo: 1 }, { foo: 2 }, { foo: 3 } ]);
+				});
+		});
+
+		it('should parse JSON array response streams', function() {
+			return rawConnection.requestStream('/array', { parse: 'json-array' })
+				.then((stream) => stream.intoArray())
+				.then((objects) => {
+					expect(objects).to.deep.equal([ { foo: 'a,]' }, [ 1, { bar: 2 } ], 'baz' ]);
+				});
+		});
+
+	});
+
+	describe('node separation', function() {
+
+		let servers, requests;
+		beforeEach(function() {
+			requests = [];
+			servers = [ readNodePort, writeNodePort ].map((port) => http.createServer((req, res) => {
+				requests.push(`${port} ${req.method} ${req.url.split('?')[0]}`);
+				res.setHeader('Content-Type', 'application/json');
+				if (/^\/_nodes/.test(req.url)) {
+					res.end(JSON.stringify({ nodes: {
+						readNode: {
+							'http_address': `inet[/127.0.0.1:${readNodePort}]`,
+							attributes: { master: 'false' }
+						},
+						writeNode: {
+							http: { 'publish_address': `127.0.0.1:${writeNodePort}` },
+							roles: [ 'master', 'ingest' ]
+						}
+					} }));
+				} else {
+					res.end(JSON.stringify({
+						status: 'green',
+						version: { number: '1.7.5' },
+						hits: { total: 0, hits: [] }
+					}));
+				}
+			}));
+			return Promise.all(servers.map((server, i) => new Promise((resolve) => {
+				server.listen([ readNodePort, writeNodePort ][i], resolve);
+			})));
+		});
+		afterEach(function() {
+			servers.forEach((server) => server.close());
+		});
+
+		let sendRequests = (connection) => connection.connectionWaiter.promise
+			.then(() => {
+				requests = [];
+				return connection.clientRequest('search', { index: 'foo' });
+			})
+			.then(() => connection.clientRequest('count', { index: 'foo' }))
+			.then(() => connection.clientRequest('index', { index: 'foo', type: 'bar', body: {} }))
+			.then(() => connection.clientRequest('indices.putMapping', { index: 'foo', type: 'bar', body: {} }))
+			.then(() => connection.request('/foo/_mapping'))
+			.then(() => {
+				connection.close();
+				return requests;
+			});
+
+		it('should send reads and writes to the configured hosts', function() {
+			let connection = new ElasticsearchConnection(`http://localhost:${ writeNodePort }`, {}, {}, {
+				nodes: { read: `http://localhost:${ readNodePort }` }
+			});
+			return sendRequests(connection).then((requests) => {
+				expect(requests).to.deep.equal([
+					`${readNodePort} POST /foo/_search`,
+					`${readNodePort} POST /foo/_count`,
+					`${writeNodePort} POST /foo/bar`,
+					`${writeNodePort} PUT /foo/_mapping/bar`,
+					`${readNodePort} GET /foo/_mapping`
+				]);
+			});
+		});
+
+		it('should select nodes by their sniffed roles', function() {
+			let roles;
+			let connection = new ElasticsearchConnection(`http://localhost:${ readNodePort }`, {}, {}, {
+				nodes: { sniffRoles: true }
+			});
+			connection.on('nodeRoles', (nodeRoles) => {
+				roles = nodeRoles;
+			});
+			return sendRequests(connection).then((requests) => {
+				expect(roles).to.deep.equal({
+					read: [ { host: '127.0.0.1', port: readNodePort } ],
+					write: [ { host: '127.0.0.1', port: writeNodePort } ]
+				});
+				expect(requests.map((request) => request.split(' ')[0])).to.deep.equal([
+					`${readNodePort}`,
+					`${readNodePort}`,
+					`${writeNodePort}`,
+					`${writeNodePort}`,
+					`${readNodePort}`
+				]);
+			});
+		});
+
+	});
+
+	describe('reconnect', function() {
+
+		it('should keep retrying until the cluster is available', function() {
+			this.timeout(10000);
+
+			let server = http.createServer((req, res) => {
+				res.setHeader('Content-Type', 'application/json');
+				res.end(JSON.stringify({ status: 'green' }));
+			});
+			let reconnectCount = 0;
+			let reconnectingConnection = new ElasticsearchConnection(`http://localhost:${ reconnectPort }`, {}, {}, {
+				reconnect: { initialDelay: 50, maxDelay: 200 }
+			});
+			reconnectingConnection.on('reconnecting', ({ attempt }) => {
+				reconnectCount++;
+				if (attempt === 2) {
+					server.listen(reconnectPort);
+				}
+			});
+
+			return reconnectingConnection.getClient()
+				.then((client) => {
+					expect(client).to.exist;
+					expect(reconnectCount).to.be.at.least(2);
+				})
+				.then(() => reconnectingConnection.close())
+				.then(() => server.close());
+		});
+
+		it('should reject after the maximum number of attempts', function() {
+			this.timeout(10000);
+
+			let reconnectingConnection = new ElasticsearchConnection(`http://localhost:${ reconnectPort }`, {}, {}, {
+				reconnect: { initialDelay: 10, maxAttempts: 3 }
+			});
+			let reconnectCount = 0;
+			reconnectingConnection.on('reconnecting', () => reconnectCount++);
+			reconnectingConnection.on('error', () => {});
+
+			return reconnectingConnection.getClient()
+				.then(() => {
+					throw new Error('Expected connection to fail');
+				}, (err) => {
+					expect(err).to.exist;
+					expect(reconnectCount).to.equal(2);
+				});
+		});
+
+	});
+
+	describe('health monitor', function() {
+
+		it('should emit degraded and recovered events on status changes', function() {
+			this.timeout(10000);
+
+			let statuses = [ 'green', 'yellow', 'green' ];
+			let server = http.createServer((req, res) => {
+				res.setHeader('Content-Type', 'application/json');
+				if (req.url.indexOf('/_cluster/health') !== 0) {
+					return res.end(JSON.stringify({ version: { number: '1.7.5' } }));
+				}
+				let status = (statuses.length > 1) ? statuses.shift() : statuses[0];
+				res.end(JSON.stringify({ status }));
+			});
+			let events = [];
+			let monitoredConnection;
+
+			return new Promise((resolve) => server.listen(healthPort, resolve))
+				.then(() => {
+					monitoredConnection = new ElasticsearchConnection(`http://localhost:${ healthPort }`, {}, {}, {
+						healthCheck: { interval: 20 }
+					});
+					monitoredConnection.on('degraded', (health) => events.push([ 'degraded', health.status ]));
+					return new Promise((resolve) => {
+						monitoredConnection.on('recovered', (health) => {
+							events.push([ 'recovered', health.status ]);
+							resolve();
+						});
+					});
+				})
+				.then(() => {
+					expect(events).to.deep.equal([ [ 'degraded', 'yellow' ], [ 'recovered', 'green' ] ]);
+					let health = monitoredConnection.getHealthStatus();
+					expect(health.status).to.equal('green');
+					expect(health.checkedAt).to.be.an.instanceof(Date);
+				})
+				.then(() => monitoredConnection.close())
+				.then(() => server.close());
+		});
+
+		it('should not emit degraded or recovered events for the first check', function() {
+			this.timeout(10000);
+
+			let statuses = [ 'red', 'green' ];
+			let server = http.createServer((req, res) => {
+				res.setHeader('Content-Type', 'application/json');
+				if (req.url.indexOf('/_cluster/health') !== 0) {
+					return res.end(JSON.stringify({ version: { number: '1.7.5' } }));
+				}
+				let status = (statuses.length > 1) ? statuses.shift() : statuses[0];
+				res.end(JSON.stringify({ status }));
+			});
+			let events = [];
+			let monitoredConnection;
+
+			return new Promise((resolve) => server.listen(healthPort, resolve))
+				.then(() => {
+					monitoredConnection = new ElasticsearchConnection(`http://localhost:${ healthPort }`, {}, {}, {
+						healthCheck: { interval: 20 }
+					});
+					monitoredConnection.on('health', (health) => events.push([ 'health', health.status ]));
+					monitoredConnection.on('degraded', (health) => events.push([ 'degraded', health.status ]));
+					return new Promise((resolve) => {
+						monitoredConnection.on('recovered', (health) => {
+							events.push([ 'recovered', health.status ]);
+							resolve();
+						});
+					});
+				})
+				.then(() => {
+					expect(events).to.deep.equal([
+						[ 'health', 'red' ],
+						[ 'health', 'green' ],
+						[ 'recovered', 'green' ]
+					]);
+				})
+				.then(() => monitoredConnection.close())
+				.then(() => server.close());
+		});
+
+	});
+
+	describe('authentication', function() {
+
+		let server, authHeaders;
+		beforeEach(function() {
+			authHeaders = [];
+			// Accepts only the API key `good-key`
+			server = http.createServer((req, res) => {
+				authHeaders.push(req.headers.authorization);
+				res.setHeader('Content-Type', 'application/json');
+				if (/^\/_cluster\/health/.test(req.url)) {
+					return res.end(JSON.stringify({ status: 'green' }));
+				}
+				if (req.headers.authorization !== 'ApiKey good-key') {
+					res.statusCode = 401;
+					return res.end(JSON.stringify({ error: 'unauthorized' }));
+				}
+				res.end(JSON.stringify({ version: { number: '1.7.5' } }));
+			});
+			return new Promise((resolve) => server.listen(authPort, resolve));
+		});
+		afterEach(function() {
+			server.close();
+		});
+
+		it('should send basic authentication headers', function() {
+			let authConnection = new ElasticsearchConnection(`http://localhost:${ authPort }`, {}, {}, {
+				auth: { username: 'elastic', password: 'changeme' },
+				reconnect: false
+			});
+			authConnection.on('error', () => {});
+			let expected = `Basic ${Buffer.from('elastic:changeme').toString('base64')}`;
+			return authConnection.connectionWaiter.promise
+				.then(() => {
+					throw new Error('Expected the basic credentials to be rejected');
+				}, () => {
+					expect(authHeaders).to.deep.equal([ expected, expected ]);
+				})
+				.then(() => authConnection.close());
+		});
+
+		it('should refresh credentials and authenticate streamed requests', function() {
+			let refreshCount = 0;
+			let authConnection = new ElasticsearchConnection(`http://localhost:${ authPort }`, {}, {}, {
+				auth: { refresh: () => Promise.resolve({ apiKey: (refreshCount++ ? 'good-key' : 'bad-key') }) },
+				reconnect: { initialDelay: 10 }
+			});
+			return authConnection.connectionWaiter.promise
+				.then(() => authConnection.requestStream('/'))
+				.then((stream) => {
+					expect(stream.statusCode).to.equal(200);
+					return stream.intoString();
+				})
+				.then(() => {
+					expect(authHeaders).to.deep.equal([
+						'ApiKey bad-key',
+						'ApiKey bad-key',
+						'ApiKey good-key',
+						'ApiKey good-key',
+						'ApiKey good-key'
+					]);
+				})
+				.then(() => authConnection.close());
+		});
+
+	});
+
+	describe('instrumentation', function() {
+
+		let server, instrumentedConnection, events;
+		beforeEach(function() {
+			events = [];
+			server = createDelayedServer(10);
+			instrumentedConnection = new ElasticsearchConnection(`http://localhost:${ instrumentationPort }`);
+			instrumentedConnection.on('request', (info) => events.push([ 'request', info ]));
+			instrumentedConnection.on('response', (info) => events.push([ 'response', info ]));
+			return new Promise((resolve) => server.listen(instrumentationPort, resolve))
+				.then(() => instrumentedConnection.connectionWaiter.promise)
+				.then(() => {
+					events = [];
+				});
+		});
+		afterEach(function() {
+			instrumentedConnection.close();
+			server.close();
+		});
+
+		it('should emit request and response events for client requests', function() {
+			let body = { query: { 'match_all': {} } };
+			let context = { model: 'Animal', operation: 'find' };
+			return instrumentedConnection.clientRequest('search', { index: 'foo', type: 'Animal', body }, context)
+				.then(() => {
+					expect(events.length).to.equal(2);
+					let [ [ requestEvent, request ], [ responseEvent, response ] ] = events;
+					expect(requestEvent).to.equal('request');
+					expect(request.method).to.equal('POST');
+					expect(request.path).to.equal('/foo/Animal/_search');
+					expect(request.bodySize).to.equal(JSON.stringify(body).length);
+					expect(request.model).to.equal('Animal');
+					expect(request.operation).to.equal('find');
+					expect(responseEvent).to.equal('response');
+					expect(response.id).to.equal(request.id);
+					expect(response.status).to.equal(200);
+					expect(response.error).to.equal(null);
+					expect(response.took).to.be.at.least(0);
+				});
+		});
+
+		it('should emit request and response events for raw requests', function() {
+			return instrumentedConnection.request('_nodes', { qs: { pretty: true } })
+				.then(() => instrumentedConnection.requestStream('/_stats'))
+				.then((stream) => stream.intoString())
+				.then(() => {
+					expect(events.map(([ event, info ]) => [ event, info.path, info.status ])).to.deep.equal([
+						[ 'request', '/_nodes', undefined ],
+						[ 'response', '/_nodes', 200 ],
+						[ 'request', '/_stats', undefined ],
+						[ 'response', '/_stats', 200 ]
+					]);
+				});
+		});
+
+		it('should emit response events for raw requests which complete synchronously', function() {
+			let connector = {
+				request: (params, cb) => {
+					cb(null, '{"ok":true}', 200, { 'content-type': 'application/json' });
+					return () => {};
+				}
+			};
+			instrumentedConnection._acquireRawRequestSlot = () => Promise.resolve([ connector, () => {}, () => {} ]);
+			return instrumentedConnection.request('_nodes')
+				.then((result) => {
+					expect(result).to.deep.equal({ ok: true });
+					expect(events.map(([ event, info ]) => [ event, info.path, info.status ])).to.deep.equal([
+						[ 'request', '/_nodes', undefined ],
+						[ 'response', '/_nodes', 200 ]
+					]);
+				});
+		});
+
+	});
+
+	describe('request limits', function() {
+
+		let server, limitedConnection, searches, rejectedSearches, concurrent, maxConcurrent;
+		beforeEach(function() {
+			searches = 0;
+			rejectedSearches = 4;
+			concurrent = 0;
+			maxConcurrent = 0;
+			// Rejects the first searches as if the search thread pool queue was full
+			server = http.createServer((req, res) => {
+				res.setHeader('Content-Type', 'application/json');
+				if (!/_search/.test(req.url)) {
+					return res.end(JSON.stringify({ status: 'green', version: { number: '1.7.5' } }));
+				}
+				let rejected = (searches++ < rejectedSearches);
+				concurrent++;
+				maxConcurrent = Math.max(concurrent, maxConcurrent);
+				setTimeout(() => {
+					concurrent--;
+					if (rejected) {
+						res.statusCode = 429;
+						return res.end(JSON.stringify({
+							error: { type: 'es_rejected_execution_exception', reason: 'rejected execution' },
+							status: 429
+						}));
+					}
+					res.end(JSON.stringify({ hits: { total: 0, hits: [] } }));
+				}, 20);
+			});
+			limitedConnection = new ElasticsearchConnection(`http://localhost:${ limiterPort }`, {}, {}, {
+				limits: { maxConcurrentReads: 2 },
+				rejectionRetry: { initialDelay: 10, maxAttempts: 2 }
+			});
+			return new Promise((resolve) => server.listen(limiterPort, resolve))
+				.then(() => limitedConnection.connectionWaiter.promise);
+		});
+		afterEach(function() {
+			limitedConnection.close();
+			server.close();
+		});
+
+		it('should limit concurrent requests and retry rejected requests', function() {
+			let rejections = 0;
+			limitedConnection.on('requestRejected', () => rejections++);
+			let search = () => limitedConnection.clientRequest('search', { index: 'foo', body: {} });
+			return Promise.all([ search(), search(), search(), search() ])
+				.then((results) => {
+					expect(results.length).to.equal(4);
+					expect(rejections).to.equal(4);
+					expect(searches).to.equal(8);
+					expect(maxConcurrent).to.equal(2);
+				});
+		});
+
+		it('should fail after the maximum number of attempts', function() {
+			return limitedConnection.clientRequest('search', { index: 'foo', body: {} })
+				.then(() => {
+					throw new Error('Expected the search to be rejected');
+				}, (err) => {
+					expect(err.data).to.contain('es_rejected_execution_exception');
+					expect(searches).to.equal(2);
+				});
+		});
+
+		it('should release the slot when the client method throws', function() {
+			return limitedConnection.getClient()
+				.then(() => {
+					limitedConnection.readClient.search = () => {
+						throw new Error('Invalid search parameters');
+					};
+					return limitedConnection.clientRequest('search', { index: 'foo', body: {} });
+				})
+				.then(() => {
+					throw new Error('Expected the search to fail');
+				}, (err) => {
+					expect(err.message).to.equal('Invalid search parameters');
+					expect(limitedConnection.requestLimiter.getStats()).to.deep.equal({ running: 0, queued: 0 });
+				});
+		});
+
+	});
+
+	describe('circuit breaker', function() {
+
+		it('should fail fast while the circuit is open', function() {
+			this.timeout(5000);
+			let failing = true;
+			let searches = 0;
+			let server = http.createServer((req, res) => {
+				res.setHeader('Content-Type', 'application/json');
+				if (!/_search/.test(req.url)) {
+					return res.end(JSON.stringify({ status: 'green', version: { number: '1.7.5' } }));
+				}
+				searches++;
+				res.statusCode = failing ? 500 : 200;
+				res.end(JSON.stringify({ hits: { total: 0, hits: [] } }));
+			});
+			let breakerConnection = new ElasticsearchConnection(`http://localhost:${ breakerPort }`, {}, {}, {
+				circuitBreaker: { minRequests: 2, failureRate: 0.5, resetTimeout: 50 }
+			});
+			let changes = [];
+			breakerConnection.on('circuitStateChange', ({ state }) => changes.push(state));
+			let search = () => breakerConnection.clientRequest('search', { index: 'foo', body: {} })
+				.then(() => null, (err) => err);
+
+			return new Promise((resolve) => server.listen(breakerPort, resolve))
+				.then(() => search())
+				.then(() => search())
+				.then(() => {
+					expect(breakerConnection.getCircuitBreakerState()).to.equal('open');
+					return search();
+				})
+				.then((err) => {
+					expect(err.code).to.equal(ElasticsearchError.DB_CIRCUIT_OPEN);
+					expect(searches).to.equal(2);
+					failing = false;
+					return new Promise((resolve) => setTimeout(resolve, 60));
+				})
+				.then(() => search())
+				.then((err) => {
+					expect(err).to.equal(null);
+					expect(changes).to.deep.equal([ 'open', 'halfOpen', 'closed' ]);
+				})
+				.then(() => breakerConnection.close())
+				.then(() => server.close());
+		});
+
+	});
+
+	describe('cancellation', function() {
+
+		let server, requests, cancelConnection;
+		beforeEach(function() {
+			requests = [];
+			server = createDelayedServer(200, requests);
+			cancelConnection = new ElasticsearchConnection(`http://localhost:${ cancelPort }`);
+			return new Promise((resolve) => server.listen(cancelPort, resolve))
+				.then(() => cancelConnection.connectionWaiter.promise)
+				.then(() => {
+					// The server keeps a reference to the array
+					requests.length = 0;
+				});
+		});
+		afterEach(function() {
+			cancelConnection.close();
+			server.close();
+		});
+
+		it('should abort requests when the signal is triggered', function() {
+			let controller = new AbortController();
+			let context = { signal: controller.signal };
+			let searchPromise = cancelConnection.clientRequest('search', { index: 'foo' }, context);
+			setTimeout(() => controller.abort(), 20);
+			return searchPromise
+				.then(() => {
+					throw new Error('Expected the request to be cancelled');
+				}, (err) => {
+					expect(err.code).to.equal(ElasticsearchError.REQUEST_CANCELLED);
+					expect(requests).to.deep.equal([ 'POST /foo/_search' ]);
+					expect(cancelConnection._pendingRequests).to.deep.equal({});
+				});
+		});
+
+		it('should not send requests if the signal was already triggered', function() {
+			let controller = new AbortController();
+			controller.abort();
+			return cancelConnection.clientRequest('search', { index: 'foo' }, { signal: controller.signal })
+				.then(() => {
+					throw new Error('Expected the request to be cancelled');
+				}, (err) => {
+					expect(err.code).to.equal(ElasticsearchError.REQUEST_CANCELLED);
+					return new Promise((resolve) => setTimeout(resolve, 20));
+				})
+				.then(() => {
+					expect(requests).to.deep.equal([]);
+				});
+		});
+
+	});
+
+	describe('timeouts', function() {
+
+		let server;
+		before(function() {
+			server = createDelayedServer(200);
+			return new Promise((resolve) => server.listen(timeoutPort, resolve));
+		});
+		after(function() {
+			server.close();
+		});
+
+		it('should fail with timed_out when the client stops waiting', function() {
+			let timeoutConnection = new ElasticsearchConnection(`http://localhost:${ timeoutPort }`);
+			return timeoutConnection.connectionWaiter.promise
+				.then(() => timeoutConnection.clientRequest('search', { index: 'foo', requestTimeout: 50 }))
+				.then(() => {
+					throw new Error('Expected the request to time out');
+				}, (err) => {
+					expect(err).to.be.an.instanceof(ElasticsearchError);
+					expect(err.code).to.equal(ElasticsearchError.TIMED_OUT);
+					timeoutConnection.close();
+				});
+		});
+
+	});
+
+	describe('#close', function() {
+
+		let server, requests;
+		beforeEach(function() {
+			requests = [];
+			server = createDelayedServer(200, requests);
+			return new Promise((resolve) => server.listen(drainPort, resolve));
+		});
+		afterEach(function() {
+			server.close();
+		});
+
+		it('should wait for requests in flight when draining', function() {
+			let drainConnection = new ElasticsearchConnection(`http://localhost:${ drainPort }`);
+			let searchDone = false;
+			return drainConnection.connectionWaiter.promise
+				.then(() => {
+					drainConnection.clientRequest('search', { index: 'foo' }).then(() => {
+						searchDone = true;
+					});
+					// Let the request get sent
+					return new Promise((resolve) => setTimeout(resolve, 20));
+				})
+				.then(() => drainConnection.close({ drain: true, timeout: 5000 }))
+				.then(() => {
+					expect(searchDone).to.be.true;
+				});
+		});
+
+		it('should abort requests still in flight after the timeout', function() {
+			let drainConnection = new ElasticsearchConnection(`http://localhost:${ drainPort }`);
+			let searchPromise;
+			return drainConnection.connectionWaiter.promise
+				.then(() => {
+					searchPromise = drainConnection.clientRequest('search', { index: 'foo' });
+					return drainConnection.close({ drain: true, timeout: 20 });
+				})
+				.then(() => searchPromise)
+				.then(() => {
+					throw new Error('Expected request to be aborted');
+				}, (err) => {
+					expect(err.message).to.equal('Request was aborted');
+				});
+		});
+
+		it('should remove the cancellation listeners of aborted requests', function() {
+			let drainConnection = new ElasticsearchConnection(`http://localhost:${ drainPort }`);
+			let listeners = [];
+			let signal = {
+				aborted: false,
+				addEventListener: (type, listener) => listeners.push(listener),
+				removeEventListener: (type, listener) => {
+					listeners = listeners.filter((other) => other !== listener);
+				}
+			};
+			let searchPromise;
+			return drainConnection.connectionWaiter.promise
+				.then(() => {
+					searchPromise = drainConnection.clientRequest('search', { index: 'foo' }, { signal });
+					// Let the request get sent
+					return new Promise((resolve) => setTimeout(resolve, 20));
+				})
+				.then(() => {
+					expect(listeners.length).to.equal(1);
+					return drainConnection.close({ drain: true, timeout: 20 });
+				})
+				.then(() => searchPromise.catch(() => {}))
+				.then(() => {
+					expect(listeners).to.deep.equal([]);
+				});
+		});
+
+		it('should reject requests made after closing', function() {
+			let drainConnection = new ElasticsearchConnection(`http://localhost:${ drainPort }`);
+			let closePromise;
+			let expectClosed = (promise) => promise.then(() => {
+				throw new Error('Expected the request to be rejected');
+			}, (err) => {
+				expect(err).to.be.instanceof(ElasticsearchError);
+				expect(err.message).to.equal('Connection is closed');
+			});
+			return drainConnection.connectionWaiter.promise
+				.then(() => {
+					closePromise = drainConnection.close({ drain: true });
+					return Promise.all([
+						expectClosed(drainConnection.clientRequest('search', { index: 'foo' })),
+						expectClosed(drainConnection.request('foo/_search')),
+						expectClosed(drainConnection.requestStream('foo/_search'))
+					]);
+				})
+				.then(() => closePromise);
+		});
+
+		it('should clear open scrolls when draining', function() {
+			let drainConnection = new ElasticsearchConnection(`http://localhost:${ drainPort }`);
+			return drainConnection.connectionWaiter.promise
+				.then(() => {
+					drainConnection._trackScroll('someScrollId');
+					return drainConnection.close({ drain: true });
+				})
+				.then(() => {
+					expect(requests).to.contain('DELETE /_search/scroll/someScrollId');
+				});
+		});
+
+	});
+
 });
@@ -2,6 +2,7 @@
 // Licensed under the Apache License, Version 2.0
 // http://www.apache.org/licenses/LICENSE-2.0
 
+const EventEmitter = require('events');
 const chai = require('chai');
 chai.use(require('chai-as-promised'));
 const { expect } = chai;
@@ -56,6 +57,181 @@ describe('ElasticsearchIndexManager', function() {
 				});
 		});
 
+		it('should create a new index after the index was deleted', function() {
+			let indexManager = makeIndexManager();
+			let deletedIndex;
+			return indexManager.getIndex('uetest_deleted')
+				.then((index) => {
+					deletedIndex = index;
+					return index.delete();
+				})
+				.then(() => indexManager.getIndex('uetest_deleted'))
+				.then((index) => {
+					expect(index).to.not.equal(deletedIndex);
+					return index.getStats();
+				})
+				.then((stats) => {
+					expect(stats.docCount).to.equal(0);
+				});
+		});
+
+	});
+
+	describe('#reindex', function() {
+
+		it('should require deleteOld to reindex an index which is not an alias', function() {
+			let indexManager = makeIndexManager();
+			return expect(indexManager.reindex('uetest_noalias'))
+				.to.be.rejectedWith(XError, 'requires the deleteOld option');
+		});
+
+		it('should forward the events of the new index', function() {
+			let indexManager = makeIndexManager();
+			let reports = [];
+			indexManager.on('drift', (report) => reports.push(report));
+			let oldIndex;
+			let newIndex = new EventEmitter();
+			return indexManager.getIndex('uetest_reindexed')
+				.then((index) => {
+					oldIndex = index;
+					oldIndex.reindex = () => Promise.resolve(newIndex);
+					return indexManager.reindex('uetest_reindexed', { deleteOld: true });
+				})
+				.then(() => {
+					expect(indexManager.indexMap.uetest_reindexed).to.equal(newIndex);
+					oldIndex.emit('drift', { index: 'old' });
+					newIndex.emit('drift', { index: 'new' });
+					expect(reports).to.deep.equal([ { index: 'new' } ]);
+					newIndex.emit('deleted');
+					expect(indexManager.indexMap).to.not.have.property('uetest_reindexed');
+				});
+		});
+
+	});
+
+	describe('#listIndexes', function() {
+
+		it('should list existing indexes matching a glob', function() {
+			let indexManager = makeIndexManager();
+			return Promise.all([
+				indexManager.getIndex('uetest_list_1'),
+				indexManager.getIndex('uetest_list_2'),
+				indexManager.getIndex('uetest_list_old')
+			])
+				.then(() => makeIndexManager().listIndexes('uetest_list_*,-uetest_list_old'))
+				.then((indexes) => {
+					expect(indexes.map((index) => index.getName())).to.deep.equal([ 'uetest_list_1', 'uetest_list_2' ]);
+				});
+		});
+
+	});
+
+	describe('#applyLifecycle', function() {
+
+		it('should roll over the write alias and report expired indexes', function() {
+			let indexManager = new ElasticsearchIndexManager(testUtils.getConnection(), {
+				'uetest_logs_*': {
+					aliases: { read: 'uetest_logs', write: 'uetest_logs_current' },
+					lifecycle: {
+						rollover: { maxDocs: 1 },
+						retention: { maxIndexes: 1 }
+					}
+				}
+			});
+			let client;
+			return indexManager.getIndex('uetest_logs_a')
+				.then(() => testUtils.getConnection().getClient())
+				.then((_client) => {
+					client = _client;
+					return client.index({
+						index: 'uetest_logs_current',
+						type: 'Log',
+						id: '1',
+						body: { message: 'hello' },
+						refresh: true
+					});
+				})
+				.then(() => indexManager.applyLifecycle({ dryRun: true }))
+				.then((report) => {
+					expect(report.dryRun).to.equal(true);
+					expect(report.actions).to.deep.equal([ {
+						glob: 'uetest_logs_*',
+						action: 'rollover',
+						index: 'uetest_logs_a',
+						newIndex: 'uetest_logs_a_v2',
+						reason: 'maxDocs'
+					} ]);
+					return indexManager.applyLifecycle();
+				})
+				.then(() => client.indices.getAlias({ name: 'uetest_logs_current' }))
+				.then((response) => {
+					expect(Object.keys(response)).to.deep.equal([ 'uetest_logs_a_v2' ]);
+					return indexManager.applyLifecycle({ dryRun: true });
+				})
+				.then((report) => {
+					expect(report.actions).to.deep.equal([ {
+						glob: 'uetest_logs_*',
+						action: 'delete',
+						index: 'uetest_logs_a',
+						reason: 'maxIndexes'
+					} ]);
+				});
+		});
+
+		it('should not close indexes which are already closed', function() {
+			let indexManager = new ElasticsearchIndexManager(testUtils.getConnection(), {
+				'uetest_archive_*': {
+					lifecycle: {
+						retention: { maxIndexes: 1, action: 'close' }
+					}
+				}
+			});
+			return indexManager.getIndex('uetest_archive_a')
+				.then(() => indexManager.getIndex('uetest_archive_b'))
+				.then(() => indexManager.applyLifecycle())
+				.then((report) => {
+					expect(report.actions).to.deep.equal([ {
+						glob: 'uetest_archive_*',
+						action: 'close',
+						index: 'uetest_archive_a',
+						reason: 'maxIndexes'
+					} ]);
+					return indexManager.applyLifecycle({ dryRun: true });
+				})
+				.then((report) => {
+					expect(report.actions).to.deep.equal([]);
+				});
+		});
+
+	});
+
+	describe('#putTemplates', function() {
+
+		it('should put templates only when their content changes', function() {
+			let connection = testUtils.getConnection();
+			let indexManager = makeIndexManager();
+			return indexManager.putTemplates()
+				.then((results) => {
+					let result = results[0];
+					expect(result.name).to.equal('unimodel_uetest_');
+					expect(result.pattern).to.equal('uetest_*');
+					return indexManager.putTemplates();
+				})
+				.then((results) => {
+					expect(results[0].updated).to.equal(false);
+					return connection.clientRequest('indices.getTemplate', { name: 'unimodel_uetest_' });
+				})
+				.then((response) => {
+					expect(response).to.have.property('unimodel_uetest_');
+					indexManager.indexConfigs = { 'uetest_*': { shards: 8 } };
+					return indexManager.putTemplates();
+				})
+				.then((results) => {
+					expect(results[0].updated).to.equal(true);
+					return connection.clientRequest('indices.deleteTemplate', { name: 'unimodel_uetest_' });
+				});
+		});
+
 	});
 
 });
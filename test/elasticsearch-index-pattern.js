@@ -0,0 +1,70 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { expect } = require('chai');
+const XError = require('xerror');
+
+const ElasticsearchIndexPattern = require('../lib/elasticsearch-index-pattern');
+
+describe('ElasticsearchIndexPattern', function() {
+
+	let daily = new ElasticsearchIndexPattern('events_{YYYY.MM.DD}', 'timestamp', { maxSearchIndexes: 5 });
+	let monthly = new ElasticsearchIndexPattern('events_{YYYY}_{MM}', 'timestamp');
+
+	it('should name indexes after dates', function() {
+		expect(daily.getIndexName('2016-03-05T23:00:00Z')).to.equal('events_2016.03.05');
+		expect(monthly.getIndexName(new Date('2016-03-05T23:00:00Z'))).to.equal('events_2016_03');
+		expect(daily.getGlob()).to.equal('events_*');
+		expect(monthly.getGlob()).to.equal('events_*_*');
+		expect(() => daily.getIndexName(undefined)).to.throw(XError);
+		expect(() => new ElasticsearchIndexPattern('events', 'timestamp')).to.throw(XError);
+		expect(ElasticsearchIndexPattern.isPattern('events_{YYYY}')).to.equal(true);
+		expect(ElasticsearchIndexPattern.isPattern('events_*')).to.equal(false);
+	});
+
+	it('should reject patterns formatting invalid index names', function() {
+		expect(() => new ElasticsearchIndexPattern('events_{MMM}', 'timestamp')).to.throw(XError, 'lowercase');
+		expect(() => new ElasticsearchIndexPattern('Events_{YYYY}', 'timestamp')).to.throw(XError, 'lowercase');
+		expect(() => new ElasticsearchIndexPattern('events_{YYYY/MM}', 'timestamp')).to.throw(XError, 'contain');
+		expect(() => new ElasticsearchIndexPattern('events#{YYYY}', 'timestamp')).to.throw(XError, 'contain');
+		expect(() => new ElasticsearchIndexPattern('_events_{YYYY}', 'timestamp')).to.throw(XError, 'start with');
+		expect(() => new ElasticsearchIndexPattern('{YYYY}', 'timestamp')).to.not.throw();
+		expect(() => new ElasticsearchIndexPattern('events-{YYYY.MM.DD}-{HH}', 'timestamp')).to.not.throw();
+	});
+
+	it('should narrow searches to the date range of a query', function() {
+		expect(daily.getSearchIndexes({
+			timestamp: { $gte: '2016-03-05T12:00:00Z', $lt: '2016-03-07T00:00:00Z' }
+		})).to.equal('events_2016.03.05,events_2016.03.06');
+		expect(daily.getSearchIndexes({
+			$and: [
+				{ timestamp: { $gte: '2016-03-01T00:00:00Z' } },
+				{ timestamp: { $lte: '2016-03-31T00:00:00Z' } }
+			]
+		})).to.equal('events_*');
+		expect(monthly.getSearchIndexes({
+			$and: [
+				{ timestamp: { $gte: '2016-01-15T00:00:00Z' } },
+				{ timestamp: { $lte: '2016-03-01T00:00:00Z' } }
+			]
+		})).to.equal('events_2016_01,events_2016_02,events_2016_03');
+		expect(daily.getSearchIndexes({ timestamp: '2016-03-05T12:00:00Z', foo: 'bar' }))
+			.to.equal('events_2016.03.05');
+		// Conditions which are not required do not narrow the search
+		expect(daily.getSearchIndexes({ $or: [ { timestamp: '2016-03-05T12:00:00Z' }, { foo: 'bar' } ] }))
+			.to.equal('events_*');
+		expect(daily.getSearchIndexes({ timestamp: { $gte: '2016-03-05T12:00:00Z' } })).to.equal('events_*');
+	});
+
+	it('should search every ISO week of a range', function() {
+		let weekly = new ElasticsearchIndexPattern('events_{GGGG}_w{WW}', 'timestamp');
+		// 2017-01-01 is a Sunday, in the last ISO week of 2016
+		expect(weekly.getIndexNames('2017-01-01T12:00:00Z', '2017-01-09T12:00:00Z'))
+			.to.deep.equal([ 'events_2016_w52', 'events_2017_w01', 'events_2017_w02' ]);
+		let isoYearly = new ElasticsearchIndexPattern('events_{GGGG}', 'timestamp');
+		expect(isoYearly.getIndexNames('2019-12-29T00:00:00Z', '2019-12-31T00:00:00Z'))
+			.to.deep.equal([ 'events_2019', 'events_2020' ]);
+	});
+
+});
@@ -6,9 +6,10 @@ const chai = require('chai');
 chai.use(require('chai-as-promised'));
 const { expect } = chai;
 const { createSchema } = require('common-schema');
+const XError = require('xerror');
 
 const testUtils = require('./lib/test-utils');
-const { ElasticsearchIndex } = require('../lib');
+const { ElasticsearchIndex, ElasticsearchMappingValidationError } = require('../lib');
 const { convertSchema } = require('../lib/convert');
 
 let idxItr = 0;
@@ -103,6 +104,25 @@ describe('ElasticsearchIndex', function() {
 				});
 		});
 
+		it('should update the analysis settings of an existing index', function() {
+			let analysis = {
+				analyzer: {
+					'lower_keyword': { type: 'custom', tokenizer: 'keyword', filter: [ 'lowercase' ] }
+				}
+			};
+			let index = makeIndex();
+			return index.indexWaiter.promise.then(() => {
+				let existingIndex = makeIndex({ analysis }, index.getName());
+				return existingIndex.indexWaiter.promise;
+			})
+				.then(() => testUtils.getConnection().getClient())
+				.then((client) => client.indices.getSettings({ index: index.getName() }))
+				.then((response) => {
+					let settings = response[index.getName()].settings.index;
+					expect(settings.analysis.analyzer.lower_keyword.tokenizer).to.equal('keyword');
+				});
+		});
+
 		it('should only initialize once', function() {
 			let index = makeIndex();
 			let connectedCount = 0;
@@ -120,6 +140,53 @@ describe('ElasticsearchIndex', function() {
 
 	});
 
+	describe('#checkDrift', function() {
+
+		it('should report settings which differ from the config', function() {
+			let index = makeIndex({ shards: 2 });
+			let existingIndex;
+			let reports = [];
+			return index.indexWaiter.promise.then(() => {
+				existingIndex = makeIndex({ shards: 3 }, index.getName());
+				existingIndex.on('drift', (report) => reports.push(report));
+				return existingIndex.indexWaiter.promise;
+			})
+				.then(() => existingIndex.checkDrift())
+				.then((report) => {
+					expect(report.drift).to.deep.equal([
+						{ type: 'setting', path: 'number_of_shards', expected: 3, actual: 2, fixable: false }
+					]);
+					expect(reports).to.deep.equal([ report, report ]);
+				});
+		});
+
+		it('should not report analysis settings which are not configured', function() {
+			let lowerKeyword = { type: 'custom', tokenizer: 'keyword', filter: [ 'lowercase' ] };
+			let index = makeIndex({
+				analysis: { analyzer: { 'lower_keyword': lowerKeyword, 'from_template': { type: 'standard' } } }
+			});
+			return index.indexWaiter.promise
+				.then(() => {
+					let analysis = { analyzer: { 'lower_keyword': lowerKeyword } };
+					let existingIndex = makeIndex({ analysis }, index.getName());
+					return existingIndex.indexWaiter.promise.then(() => existingIndex.checkDrift());
+				})
+				.then((report) => {
+					expect(report.drift).to.deep.equal([]);
+				});
+		});
+
+		it('should fail initialization in strict mode', function() {
+			let index = makeIndex({ shards: 2 });
+			return index.indexWaiter.promise.then(() => {
+				let existingIndex = makeIndex({ shards: 3, strict: true }, index.getName());
+				existingIndex.on('error', () => {});
+				return expect(existingIndex.indexWaiter.promise).to.be.rejectedWith(/number_of_shards/);
+			});
+		});
+
+	});
+
 	describe('#getName', function() {
 
 		it('should get the name of the index', function() {
@@ -128,6 +195,126 @@ describe('ElasticsearchIndex', function() {
 
 	});
 
+	describe('#updateAliases', function() {
+
+		it('should initialize aliases', function() {
+			let index = makeIndex({
+				aliases: {
+					read: { name: 'uetest_alias_read', routing: 'a' },
+					write: 'uetest_alias_write'
+				}
+			});
+			return index.indexWaiter.promise
+				.then(() => {
+					expect(index.getReadName()).to.equal('uetest_alias_read');
+					expect(index.getWriteName()).to.equal('uetest_alias_write');
+					return testUtils.getConnection().getClient();
+				})
+				.then((client) => client.indices.getAlias({ index: index.getName() }))
+				.then((response) => {
+					let aliases = response[index.getName()].aliases;
+					expect(aliases.uetest_alias_read).to.deep.equal({ 'index_routing': 'a', 'search_routing': 'a' });
+					expect(aliases.uetest_alias_write).to.deep.equal({});
+				});
+		});
+
+		it('should not take over a write alias on initialization', function() {
+			let config = { aliases: { write: 'uetest_alias_taken' } };
+			let index = makeIndex(config);
+			let otherIndex;
+			return index.indexWaiter.promise
+				.then(() => {
+					otherIndex = makeIndex(config);
+					return otherIndex.indexWaiter.promise;
+				})
+				.then(() => {
+					expect(otherIndex.getWriteName()).to.equal(otherIndex.getName());
+					return otherIndex.updateAliases({ read: 'uetest_alias_all', write: 'uetest_alias_taken' });
+				})
+				.then(() => {
+					expect(otherIndex.getWriteName()).to.equal('uetest_alias_taken');
+					return testUtils.getConnection().getClient();
+				})
+				.then((client) => client.indices.getAlias({ name: 'uetest_alias_taken' }))
+				.then((response) => {
+					expect(Object.keys(response)).to.deep.equal([ otherIndex.getName() ]);
+				});
+		});
+
+	});
+
+	describe('#reindex', function() {
+
+		it('should copy documents to a new index and move the aliases', function() {
+			let client;
+			let index = makeIndex({ aliases: { read: 'uetest_reindex_read', write: 'uetest_reindex_write' } });
+			let newIndex;
+			let replacesIndex = !!testUtils.getConnection().getApiAdapter().buildRemoveIndexAction('foo');
+			return index.indexWaiter.promise
+				.then(() => testUtils.getConnection().getClient())
+				.then((_client) => {
+					client = _client;
+					return client.index({ index: index.getName(), type: 'Dog', id: 'a', body: { name: 'Rex' } });
+				})
+				.then(() => {
+					if (replacesIndex) { return Promise.resolve(); }
+					// The old index cannot be replaced by an alias atomically before ES 6.4
+					return expect(index.reindex({ deleteOld: true }))
+						.to.be.rejectedWith(XError, 'Cannot replace index');
+				})
+				.then(() => index.reindex({ deleteOld: replacesIndex }))
+				.then((_newIndex) => {
+					newIndex = _newIndex;
+					expect(newIndex.concreteName).to.equal(`${index.getName()}_v2`);
+					expect(newIndex.getWriteName()).to.equal('uetest_reindex_write');
+					return client.get({ index: 'uetest_reindex_read', type: 'Dog', id: 'a' });
+				})
+				.then((response) => {
+					expect(response._index).to.equal(newIndex.concreteName);
+					expect(response._source).to.deep.equal({ name: 'Rex' });
+					if (!replacesIndex) { return Promise.resolve(); }
+					expect(newIndex.getName()).to.equal(index.getName());
+					return client.indices.getAlias({ name: index.getName() }).then((aliasResponse) => {
+						expect(Object.keys(aliasResponse)).to.deep.equal([ newIndex.concreteName ]);
+					});
+				});
+		});
+
+	});
+
+	describe('administration', function() {
+
+		it('should refresh, flush, merge and report stats', function() {
+			let index = makeIndex();
+			return index.refresh()
+				.then(() => index.flush())
+				.then(() => index.forceMerge({ maxSegments: 1 }))
+				.then(() => index.getStats())
+				.then((stats) => {
+					expect(stats.docCount).to.equal(0);
+					expect(stats.storeSize).to.be.a('number');
+					expect(stats.segmentCount).to.be.a('number');
+				});
+		});
+
+		it('should close, open and delete the index', function() {
+			let index = makeIndex();
+			let deleted = false;
+			index.on('deleted', () => { deleted = true; });
+			return index.close()
+				.then(() => expect(index.refresh()).to.be.rejected)
+				.then(() => index.open())
+				.then(() => index.delete())
+				.then(() => testUtils.getConnection().getClient())
+				.then((client) => client.indices.exists({ index: index.getName() }))
+				.then((exists) => {
+					expect(exists).to.be.false;
+					expect(deleted).to.be.true;
+				});
+		});
+
+	});
+
 	describe('#addMapping', function() {
 
 		it('should wait until the index is initialized, then add mapping', function() {
@@ -145,6 +332,29 @@ describe('ElasticsearchIndex', function() {
 				});
 		});
 
+		it('should reject mappings using undefined analyzers', function() {
+			let mapping = { properties: { name: { type: 'string', analyzer: 'no_such_analyzer' } } };
+			return expect(dogIndex.addMapping('Dog', mapping))
+				.to.be.rejectedWith(ElasticsearchMappingValidationError, /no_such_analyzer/);
+		});
+
+		it('should accept analyzers defined on the index but not in its config', function() {
+			let analysis = {
+				analyzer: {
+					'lower_keyword': { type: 'custom', tokenizer: 'keyword', filter: [ 'lowercase' ] }
+				}
+			};
+			let index = makeIndex({ analysis });
+			let mapping = { properties: { name: { type: 'string', analyzer: 'lower_keyword' } } };
+			return index.indexWaiter.promise
+				.then(() => makeIndex({}, index.getName()).addMapping('Dog', mapping))
+				.then(() => testUtils.getConnection().getClient())
+				.then((client) => client.indices.getMapping({ index: index.getName(), type: 'Dog' }))
+				.then((response) => {
+					expect(response[index.getName()].mappings.Dog.properties.name.analyzer).to.equal('lower_keyword');
+				});
+		});
+
 	});
 
 });
@@ -0,0 +1,46 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { expect } = require('chai');
+const zstreams = require('zstreams');
+
+const ElasticsearchJsonArrayStream = require('../lib/elasticsearch-json-array-stream');
+
+describe('ElasticsearchJsonArrayStream', function() {
+
+	let parse = (chunks) => zstreams.fromArray(chunks)
+		.pipe(new ElasticsearchJsonArrayStream())
+		.intoArray();
+
+	it('should parse elements split across chunks', function() {
+		return parse([ ' [{"a":"x\\\\"', ', "b": "]}"}, 1,', ' null, [2, [3]] ]\n' ])
+			.then((elements) => {
+				expect(elements).to.deep.equal([ { a: 'x\\', b: ']}' }, 1, [ 2, [ 3 ] ] ]);
+				return parse([ '[]' ]);
+			})
+			.then((elements) => {
+				expect(elements).to.deep.equal([]);
+			});
+	});
+
+	it('should fail on invalid arrays', function() {
+		let expectFailure = (chunks) => parse(chunks).then(() => {
+			throw new Error('Expected parsing to fail');
+		}, (err) => err);
+		return Promise.all([
+			expectFailure([ '{"a":1}' ]),
+			expectFailure([ '[1, 2' ]),
+			expectFailure([ '[1,,2]' ]),
+			expectFailure([ '[1] 2' ])
+		]).then((errors) => {
+			expect(errors.map((err) => err.message)).to.deep.equal([
+				'Expected a JSON array',
+				'Unexpected end of JSON array',
+				'Unexpected comma in JSON array',
+				'Unexpected data after JSON array'
+			]);
+		});
+	});
+
+});
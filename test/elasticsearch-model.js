@@ -6,6 +6,7 @@ const chai = require('chai');
 chai.use(require('chai-as-promised'));
 const { expect } = chai;
 const moment = require('moment');
+const zstreams = require('zstreams');
 const XError = require('xerror');
 const { createSchema } = require('common-schema');
 const { QueryValidationError, createQuery } = require('common-query');
@@ -172,6 +173,28 @@ describe('ElasticsearchModel', function() {
 
 	});
 
+	describe('#checkSearchIndexes', function() {
+
+		it('should report and add missing mappings on the searched indexes', function() {
+			let Person = makePerson();
+			let OtherPerson = makePerson(false);
+			let SearchPerson = new ElasticsearchModel('Person', Person.schema, Person.defaultIndex,
+				testUtils.getConnection(), { searchIndexes: 'uetest_person_*', initialize: false });
+			return Promise.all([ Person.initialize(), OtherPerson.getIndex() ])
+				.then(() => SearchPerson.checkSearchIndexes({ addMissing: true }))
+				.then((result) => {
+					expect(result.indexes).to.include(Person.defaultIndex);
+					expect(result.missing).to.include(OtherPerson.defaultIndex);
+					expect(result.missing).to.not.include(Person.defaultIndex);
+					return SearchPerson.checkSearchIndexes();
+				})
+				.then((result) => {
+					expect(result.missing).to.deep.equal([]);
+				});
+		});
+
+	});
+
 	describe('#getName', function() {
 
 		it('should return the internal typeName property', function() {
@@ -246,6 +269,17 @@ describe('ElasticsearchModel', function() {
 			});
 		});
 
+		it('should reject when the signal was already triggered', function() {
+			let controller = new AbortController();
+			controller.abort();
+			return models.Animal.find({}, { signal: controller.signal })
+				.then(() => {
+					throw new Error('Expected the find to be cancelled');
+				}, (err) => {
+					expect(err.code).to.equal(ElasticsearchError.REQUEST_CANCELLED);
+				});
+		});
+
 		it('should fail to normalize bad queries', function() {
 			expect(() => models.Animal.find({ sex: { $what: { $what: '$what' } } }))
 				.to.throw(QueryValidationError, 'Unrecognized expression operator: $what');
@@ -292,6 +326,15 @@ describe('ElasticsearchModel', function() {
 					});
 			});
 
+			it('timeout', function() {
+				return models.Animal.find({}, { timeout: 5000, total: true })
+					.then((docs) => {
+						expect(docs).to.have.length(3);
+						expect(docs.total).to.equal(3);
+						expect(docs.timedOut).to.equal(false);
+					});
+			});
+
 			it('total', function() {
 				return models.Animal.find({}, { limit: 2, total: true })
 					.then((docs) => {
@@ -382,6 +425,23 @@ describe('ElasticsearchModel', function() {
 				});
 		});
 
+		it('should stop when the signal is triggered', function() {
+			let controller = new AbortController();
+			let docStream = models.Animal.findStream({}, { scrollSize: 1, signal: controller.signal });
+			let count = 0;
+			return docStream.each(() => {
+				count++;
+				controller.abort();
+			}).intoPromise()
+				.then(() => {
+					throw new Error('Expected the stream to be cancelled');
+				}, (err) => {
+					expect(err.code).to.equal(ElasticsearchError.REQUEST_CANCELLED);
+					expect(count).to.be.below(3);
+					expect(models.Animal.connection._activeScrolls).to.deep.equal({});
+				});
+		});
+
 		it('should have getTotal', function() {
 			let docStream = models.Animal.findStream({ isDog: true });
 			return docStream.intoArray()
@@ -493,6 +553,69 @@ describe('ElasticsearchModel', function() {
 				});
 		});
 
+		it('should apply update operators in ElasticSearch', function() {
+			return models.Animal.update(
+				{ isDog: true },
+				{
+					$inc: { age: 2 },
+					$push: { beds: { $each: [ { bedId: 'a' }, { bedId: 'b' } ] } },
+					$unset: { updatable: true }
+				},
+				{ refresh: true }
+			)
+				.then(() => models.Animal.update(
+					{ isDog: true },
+					{ $inc: { age: 1 }, $pull: { beds: { bedId: 'a' } } },
+					{ refresh: true }
+				))
+				.then(() => models.Animal.find({ isDog: true }))
+				.then((docs) => {
+					expect(docs).to.have.length(2);
+					for (let animal of docs) {
+						let data = animal.getData();
+						expect(data.age).to.equal(3);
+						expect(data.beds).to.deep.equal([ { bedId: 'b' } ]);
+						expect(data).to.not.have.property('updatable');
+					}
+				});
+		});
+
+		it('should save fetched documents when save hooks are registered', function() {
+			let Person = makePerson(false);
+			let hookCounts = { 'pre-save': 0, 'post-save': 0 };
+			return Person.insertMulti([
+				{ personId: 'p1', name: 'One' },
+				{ personId: 'p2', name: 'Two' }
+			], { refresh: true })
+				.then(() => {
+					Person.hook('pre-save', () => { hookCounts['pre-save']++; });
+					Person.hook('post-save', () => { hookCounts['post-save']++; });
+					return Person.update({}, { $set: { sex: 'unknown' } }, { refresh: true });
+				})
+				.then(() => {
+					expect(hookCounts).to.deep.equal({ 'pre-save': 2, 'post-save': 2 });
+					return Person.find({ sex: 'unknown' });
+				})
+				.then((docs) => {
+					expect(docs).to.have.length(2);
+					for (let doc of docs) {
+						expect(doc.getData().name).to.be.a('string');
+					}
+				});
+		});
+
+		it('should detect validate, normalize and save hooks', function() {
+			let Person = makePerson(false);
+			expect(Person._hasSaveHooks()).to.be.false;
+			Person.hook('post-find', () => {});
+			expect(Person._hasSaveHooks()).to.be.false;
+			Person.post('validate', () => {});
+			expect(Person._hasSaveHooks()).to.be.true;
+			let Animal = makePerson(false);
+			Animal.pre('normalize', (next) => next());
+			expect(Animal._hasSaveHooks()).to.be.true;
+		});
+
 		it('should fail to normalize a bad update', function() {
 			expect(() => models.Animal.update({}, { $what: {} }))
 				.to.throw(Error, 'operator: $what');
@@ -511,6 +634,55 @@ describe('ElasticsearchModel', function() {
 
 	});
 
+	describe('time-based indexes', function() {
+
+		it('should save into and search the indexes matching document dates', function() {
+			let Event = new ElasticsearchModel('Event', {
+				eventId: { type: String, index: true, id: true, key: true },
+				timestamp: { type: Date, index: true }
+			}, 'uetest_events_{YYYY.MM.DD}', testUtils.getConnection(), { indexDateField: 'timestamp' });
+			return Event.insertMulti([
+				{ eventId: 'a', timestamp: new Date('2016-03-05T12:00:00Z') },
+				{ eventId: 'b', timestamp: new Date('2016-03-06T12:00:00Z') }
+			], { refresh: true })
+				.then(() => Event.find({
+					timestamp: { $gte: new Date('2016-03-06T00:00:00Z'), $lt: new Date('2016-03-08T00:00:00Z') }
+				}))
+				.then((docs) => {
+					expect(docs).to.have.length(1);
+					expect(docs[0].getIndexId()).to.equal('uetest_events_2016.03.06');
+					return Event.count({});
+				})
+				.then((count) => {
+					expect(count).to.equal(2);
+				});
+		});
+
+		it('should delete documents moved to another index by bulk writes', function() {
+			let Event = new ElasticsearchModel('Event', {
+				eventId: { type: String, index: true, id: true, key: true },
+				timestamp: { type: Date, index: true }
+			}, 'uetest_movedevents_{YYYY.MM.DD}', testUtils.getConnection(), { indexDateField: 'timestamp' });
+			let datas = [ { eventId: 'a', timestamp: new Date('2016-03-05T12:00:00Z') } ];
+			return Event.insertMulti(datas, { refresh: true })
+				.then((results) => {
+					let event = results[0];
+					event.getData().timestamp = new Date('2016-03-06T12:00:00Z');
+					return Event.insertMulti([ event ], { refresh: true });
+				})
+				.then((results) => {
+					expect(results.errors).to.have.length(0);
+					expect(results[0].getIndexId()).to.equal('uetest_movedevents_2016.03.06');
+					return Event.find({});
+				})
+				.then((docs) => {
+					expect(docs).to.have.length(1);
+					expect(docs[0].getIndexId()).to.equal('uetest_movedevents_2016.03.06');
+				});
+		});
+
+	});
+
 	describe('#insert', function() {
 
 		it('should insert one document', function() {
@@ -554,6 +726,62 @@ describe('ElasticsearchModel', function() {
 				});
 		});
 
+		it('should write documents in batches and report failed documents', function() {
+			let Person = makePerson(false);
+			let hookCounts = { 'pre-save': 0, 'post-save': 0 };
+			Person.hook('pre-save', () => { hookCounts['pre-save']++; });
+			Person.hook('post-save', () => { hookCounts['post-save']++; });
+			return Person.insertMulti([
+				{ personId: 'p1', name: 'One' },
+				{ personId: 'p2', name: 'Two', sex: 'invalid' },
+				{ personId: 'p3', name: 'Three' },
+				{ personId: 'p4', name: 'Four' }
+			], { batchSize: 2, parallelism: 2, refresh: true })
+				.then((results) => {
+					expect(results).to.have.length(4);
+					expect(results[1]).to.equal(null);
+					expect(results[3]).to.be.instanceof(ElasticsearchDocument);
+					expect(results[3].getInternalId()).to.equal('p4');
+					expect(results.errors).to.have.length(1);
+					expect(results.errors[0].position).to.equal(1);
+					expect(hookCounts).to.deep.equal({ 'pre-save': 3, 'post-save': 3 });
+					return Person.count({});
+				})
+				.then((count) => {
+					expect(count).to.equal(3);
+				});
+		});
+
+	});
+
+	describe('#bulkWriteStream', function() {
+
+		it('should write streamed documents and report failures', function() {
+			let Person = makePerson(false);
+			let datas = [];
+			for (let i = 0; i < 25; i++) {
+				datas.push({ personId: `p${i}`, name: `Person ${i}` });
+			}
+			datas.push({ personId: 'invalid', name: 'Invalid', sex: 'invalid' });
+			datas.push(Person.create({ personId: 'doc', name: 'Document' }));
+			let writeStream = Person.bulkWriteStream({ batchSize: 10, parallelism: 2, refresh: true });
+			let itemErrors = [];
+			let progressCount = 0;
+			writeStream.on('itemError', (itemError) => itemErrors.push(itemError));
+			writeStream.on('progress', () => progressCount++);
+			return zstreams.fromArray(datas).pipe(writeStream).intoPromise()
+				.then(() => {
+					expect(writeStream.summary).to.deep.equal({ indexed: 26, failed: 1, retried: 0 });
+					expect(itemErrors).to.have.length(1);
+					expect(itemErrors[0].position).to.equal(25);
+					expect(progressCount).to.equal(3);
+					return Person.count({});
+				})
+				.then((count) => {
+					expect(count).to.equal(26);
+				});
+		});
+
 	});
 
 	describe('#remove', function() {
@@ -0,0 +1,77 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { expect } = require('chai');
+const XError = require('xerror');
+
+const ElasticsearchRequestLimiter = require('../lib/elasticsearch-request-limiter');
+
+describe('ElasticsearchRequestLimiter', function() {
+
+	it('should queue requests over the limit in FIFO order', function() {
+		let limiter = new ElasticsearchRequestLimiter({ maxConcurrent: 2 });
+		let started = [];
+		let releases = [];
+		let acquire = (name) => limiter.acquire('read').then((release) => {
+			started.push(name);
+			releases.push(release);
+		});
+		let promises = [ acquire('a'), acquire('b'), acquire('c'), acquire('d') ];
+		return Promise.all(promises.slice(0, 2))
+			.then(() => {
+				expect(started).to.deep.equal([ 'a', 'b' ]);
+				expect(limiter.getStats()).to.deep.equal({ running: 2, queued: 2 });
+				releases[1]();
+				return promises[2];
+			})
+			.then(() => {
+				expect(started).to.deep.equal([ 'a', 'b', 'c' ]);
+				releases[0]();
+				// Releasing twice has no effect
+				releases[0]();
+				return promises[3];
+			})
+			.then(() => {
+				expect(started).to.deep.equal([ 'a', 'b', 'c', 'd' ]);
+				expect(limiter.getStats()).to.deep.equal({ running: 2, queued: 0 });
+			});
+	});
+
+	it('should limit reads and writes separately', function() {
+		let limiter = new ElasticsearchRequestLimiter({ maxConcurrentReads: 1, maxConcurrentWrites: 1 });
+		let started = [];
+		let releases = {};
+		let acquire = (name, kind) => limiter.acquire(kind).then((release) => {
+			started.push(name);
+			releases[name] = release;
+		});
+		let read1 = acquire('read1', 'read');
+		let read2 = acquire('read2', 'read');
+		let write1 = acquire('write1', 'write');
+		return Promise.all([ read1, write1 ])
+			.then(() => {
+				// The second read waits, but does not block the write
+				expect(started).to.deep.equal([ 'read1', 'write1' ]);
+				releases.write1();
+				releases.read1();
+				return read2;
+			})
+			.then(() => {
+				expect(started).to.deep.equal([ 'read1', 'write1', 'read2' ]);
+			});
+	});
+
+	it('should reject requests when the queue is full', function() {
+		let limiter = new ElasticsearchRequestLimiter({ maxConcurrent: 1, maxQueueLength: 1 });
+		limiter.acquire('write');
+		limiter.acquire('write');
+		return limiter.acquire('write')
+			.then(() => {
+				throw new Error('Expected the request to be rejected');
+			}, (err) => {
+				expect(err.code).to.equal(XError.LIMIT_EXCEEDED);
+			});
+	});
+
+});
@@ -0,0 +1,42 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { expect } = require('chai');
+const XError = require('xerror');
+
+const es = require('../lib');
+
+describe('unimodel-elasticsearch', function() {
+
+	describe('connect', function() {
+
+		after(function() {
+			es.defaultConnection.close();
+		});
+
+		it('should connect the default connection to a host given as a string', function() {
+			let connection = es.connect('localhost');
+			expect(connection).to.equal(es.defaultConnection);
+			expect(es.getConnection()).to.equal(connection);
+			expect(connection._clientOptions).to.deep.equal({ host: 'localhost' });
+			expect(() => es.getConnection('localhost')).to.throw(XError, 'Connection not found');
+			return connection.connectionWaiter.promise;
+		});
+
+	});
+
+	describe('createConnection', function() {
+
+		it('should create named connections', function() {
+			let connection = es.createConnection('archive', 'http://archive-host:9200');
+			expect(connection).to.not.equal(es.defaultConnection);
+			expect(es.getConnection('archive')).to.equal(connection);
+			expect(es.createConnection('archive', 'http://archive-host:9201')).to.equal(connection);
+			expect(() => es.createConnection('')).to.throw(XError);
+			connection.close();
+		});
+
+	});
+
+});
@@ -3,9 +3,10 @@
 // http://www.apache.org/licenses/LICENSE-2.0
 
 const { expect } = require('chai');
-const { QueryValidationError, QueryFactory } = require('common-query');
+const { QueryValidationError, QueryFactory, UpdateValidationError } = require('common-query');
 
 const testUtils = require('./lib/test-utils');
+const { createUpdate } = require('../lib/common-query');
 const QueryOperatorParent = require('../lib/operators/parent');
 const QueryOperatorChild = require('../lib/operators/child');
 const queryFactory = new QueryFactory();
@@ -133,3 +134,22 @@ describe('Query Operator', function() {
 	});
 
 });
+
+describe('Update Operator', function() {
+
+	describe('$pull', function() {
+
+		it('should remove matching elements from arrays', function() {
+			let obj = { tags: [ 'a', 'b', 'a' ], nums: [ 1, 2, 3 ], beds: [ { id: 1 }, { id: 2 } ] };
+			createUpdate({ $pull: { tags: 'a', nums: { $in: [ 1, 3 ] }, beds: { id: 2 }, missing: 'a' } }).apply(obj);
+			expect(obj).to.deep.equal({ tags: [ 'b' ], nums: [ 2 ], beds: [ { id: 1 } ] });
+		});
+
+		it('should validate $in', function() {
+			expect(() => createUpdate({ $pull: { tags: { $in: 'a' } } }))
+				.to.throw(UpdateValidationError, 'Value of $in must be an array');
+		});
+
+	});
+
+});
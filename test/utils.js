@@ -0,0 +1,39 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const { expect } = require('chai');
+
+const { elasticsearchGlobFilter, parseDuration, parseByteSize } = require('../lib/utils');
+
+describe('utils', function() {
+
+	describe('elasticsearchGlobFilter', function() {
+
+		let names = [ 'events_1', 'events_2', 'events_old', 'animals', 'animals_v2' ];
+
+		it('should match whole names with wildcards', function() {
+			expect(elasticsearchGlobFilter('animals', names)).to.deep.equal([ 'animals' ]);
+			expect(elasticsearchGlobFilter('events_*', names)).to.deep.equal([ 'events_1', 'events_2', 'events_old' ]);
+			expect(elasticsearchGlobFilter('*_v2,events_1', names)).to.deep.equal([ 'events_1', 'animals_v2' ]);
+			expect(elasticsearchGlobFilter('event.*', [ 'event.1', 'events_1' ])).to.deep.equal([ 'event.1' ]);
+		});
+
+		it('should handle _all and exclusions', function() {
+			expect(elasticsearchGlobFilter('_all', names)).to.deep.equal(names);
+			expect(elasticsearchGlobFilter('events_*,-events_old', names)).to.deep.equal([ 'events_1', 'events_2' ]);
+			expect(elasticsearchGlobFilter('-events_*', names)).to.deep.equal([ 'animals', 'animals_v2' ]);
+			expect(elasticsearchGlobFilter('_all,-*_v2,+events_old', names))
+				.to.deep.equal([ 'events_1', 'events_2', 'events_old', 'animals' ]);
+		});
+
+	});
+
+	it('should parse durations and byte sizes', function() {
+		expect(parseDuration('12h')).to.equal(12 * 3600 * 1000);
+		expect(parseDuration(500)).to.equal(500);
+		expect(parseByteSize('50gb')).to.equal(50 * Math.pow(1024, 3));
+		expect(() => parseDuration('soon')).to.throw();
+	});
+
+});